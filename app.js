@@ -1,7 +1,7 @@
 /*
  * Civil Engineering Calculators web app
- * This script wires up the UI, performs calculations for various civil engineering equations,
- * and draws simple visualizations on canvases to help users understand how changing
+ * This script wires up the UI, runs the calculations in engine.js for various civil engineering
+ * equations, and draws simple visualizations on canvases to help users understand how changing
  * parameters impacts each calculation. All computations are client-side, making the app
  * functional offline (especially when installed as a PWA with the provided service worker).
  */
@@ -25,6 +25,9 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  // Unit handling wraps the inputs and outputs before any calculator reads them
+  initUnits();
+
   // Initialize calculators
   initSiteCalculator();
   initGeotechCalculator();
@@ -34,6 +37,9 @@ document.addEventListener('DOMContentLoaded', () => {
   initHydraulicsCalculator();
   initConstructionCalculator();
 
+  // Saved scenarios read and refill the calculator forms
+  initScenarios();
+
   // Register service worker for offline support
   if ('serviceWorker' in navigator) {
     navigator.serviceWorker.register('sw.js').catch(err => {
@@ -44,170 +50,978 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // ---------------------- Site/Civil ----------------------
 function initSiteCalculator() {
-  const a1Input = document.getElementById('site-a1');
-  const a2Input = document.getElementById('site-a2');
-  const lengthInput = document.getElementById('site-length');
-  const methodSelect = document.getElementById('site-method');
-  const volumeOutput = document.getElementById('site-volume');
+  // Earthwork station table and mass haul
+  const shrinkInput = document.getElementById('site-shrink');
+  const swellInput = document.getElementById('site-swell');
+  const freeHaulInput = document.getElementById('site-freehaul');
+  const cutOutput = document.getElementById('site-cut');
+  const fillOutput = document.getElementById('site-fill');
+  const netOutput = document.getElementById('site-net');
+  const resultsTable = document.getElementById('site-results');
   const canvas = document.getElementById('site-canvas');
   const ctx = canvas.getContext('2d');
+  const stationTable = createRowTable(
+    document.getElementById('site-stations'),
+    document.getElementById('site-add-station'),
+    [
+      { key: 'chainage', label: 'Chainage (m)', placeholder: 'm' },
+      { key: 'cut', label: 'Cut area (m²)', placeholder: 'm²' },
+      { key: 'fill', label: 'Fill area (m²)', placeholder: 'm²' },
+      {
+        key: 'method',
+        label: 'Segment method',
+        type: 'select',
+        options: [['avg', 'Average End Area'], ['prism', 'Prismoidal']],
+      },
+    ],
+    updateVolume
+  );
 
   function updateVolume() {
-    const A1 = parseFloat(a1Input.value);
-    const A2 = parseFloat(a2Input.value);
-    const L = parseFloat(lengthInput.value);
-    if (isNaN(A1) || isNaN(A2) || isNaN(L) || L <= 0) {
-      volumeOutput.textContent = '—';
+    const units = displayUnits();
+    const out = CALCULATORS.earthwork.run({
+      stations: stationTable.getRows(),
+      shrink: inputNumber(shrinkInput),
+      swell: inputNumber(swellInput),
+      freeHaul: inputNumber(freeHaulInput),
+    });
+    if (out.error) {
+      cutOutput.textContent = 'Cut: —';
+      fillOutput.textContent = 'Fill: —';
+      netOutput.textContent = 'Net: —';
+      fillResultTable(resultsTable, [], []);
       clearCanvas(ctx, canvas);
       return;
     }
-    const method = methodSelect.value;
-    let volume;
-    if (method === 'avg') {
-      volume = (A1 + A2) / 2 * L;
-    } else {
-      // prismoidal formula with midpoint area approximated by average
-      const Am = (A1 + A2) / 2;
-      volume = L / 6 * (A1 + 4 * Am + A2);
-    }
-    volumeOutput.textContent = volume.toFixed(2) + ' m³';
-    drawSiteVolume(ctx, canvas, A1, A2);
+    const r = out.results;
+    cutOutput.textContent = units.text('Cut: ' + r.cut.toFixed(2) + ' m³ (' + r.looseCut.toFixed(2) + ' m³ loose)');
+    fillOutput.textContent = units.text('Fill: ' + r.fill.toFixed(2) + ' m³');
+    netOutput.textContent = units.text('Net: ' + r.net.toFixed(2) + ' m³ ' + (r.net >= 0 ? '(surplus)' : '(deficit)'));
+    fillResultTable(
+      resultsTable,
+      ['Chainage (m)', 'Σ Cut (m³)', 'Σ Fill (m³)', 'Mass (m³)'],
+      out.intermediate.stations.map(st => [
+        st.chainage.toFixed(1),
+        st.cumCut.toFixed(1),
+        st.cumFill.toFixed(1),
+        st.mass.toFixed(1),
+      ]),
+      units
+    );
+    drawMassHaul(ctx, canvas, out.intermediate, out.intermediate.freeHaulChord, units);
   }
-  [a1Input, a2Input, lengthInput, methodSelect].forEach(el => {
+  [shrinkInput, swellInput, freeHaulInput].forEach(el => {
     el.addEventListener('input', updateVolume);
   });
 
-  // Rational method
+  // Rational / SCS runoff
+  const methodSelect = document.getElementById('runoff-method');
   const cInput = document.getElementById('runoff-c');
+  const cnInput = document.getElementById('runoff-cn');
+  const pInput = document.getElementById('runoff-p');
   const iInput = document.getElementById('runoff-i');
   const aInput = document.getElementById('runoff-a');
+  const tcMethodSelect = document.getElementById('tc-method');
+  const tcLengthInput = document.getElementById('tc-length');
+  const tcSlopeInput = document.getElementById('tc-slope');
+  const tcNInput = document.getElementById('tc-n');
+  const tcManualInput = document.getElementById('tc-manual');
+  const returnInput = document.getElementById('idf-return');
   const qOutput = document.getElementById('runoff-q');
+  const tcOutput = document.getElementById('runoff-tc');
+  const detailsOutput = document.getElementById('runoff-details');
   const runoffCanvas = document.getElementById('runoff-canvas');
   const runoffCtx = runoffCanvas.getContext('2d');
+  const subAreaTable = createRowTable(
+    document.getElementById('runoff-subareas'),
+    document.getElementById('runoff-add-subarea'),
+    [
+      { key: 'use', label: 'Land use', type: 'text', placeholder: 'e.g. roofs' },
+      { key: 'area', label: 'Area (ha)', placeholder: 'ha' },
+      { key: 'c', label: 'C', placeholder: '0–1' },
+      { key: 'cn', label: 'CN', placeholder: '30–100' },
+    ],
+    updateRunoff,
+    []
+  );
+  const idfTable = createRowTable(
+    document.getElementById('runoff-idf'),
+    document.getElementById('runoff-add-idf'),
+    [
+      { key: 'duration', label: 'Duration (min)', placeholder: 'min' },
+      { key: 'intensity', label: 'Intensity (mm/h)', placeholder: 'mm/h' },
+    ],
+    updateRunoff,
+    []
+  );
+
   function updateRunoff() {
-    const C = parseFloat(cInput.value);
-    const I = parseFloat(iInput.value);
-    const A = parseFloat(aInput.value);
-    if (isNaN(C) || isNaN(I) || isNaN(A) || C < 0 || I < 0 || A < 0) {
+    const units = displayUnits();
+    const method = methodSelect.value;
+    [cInput, iInput].forEach(el => el.closest('label').classList.toggle('hidden', method !== 'rational'));
+    [cnInput, pInput].forEach(el => el.closest('label').classList.toggle('hidden', method !== 'scs'));
+    const tcMethod = tcMethodSelect.value;
+    [tcLengthInput, tcSlopeInput].forEach(el => el.closest('label').classList.toggle('hidden', tcMethod === 'manual'));
+    tcNInput.closest('label').classList.toggle('hidden', tcMethod !== 'kinematic');
+    tcManualInput.closest('label').classList.toggle('hidden', tcMethod !== 'manual');
+
+    const p = {
+      method,
+      C: inputNumber(cInput),
+      CN: inputNumber(cnInput),
+      P: inputNumber(pInput),
+      I: inputNumber(iInput),
+      A: inputNumber(aInput),
+      subAreas: subAreaTable.getRows(),
+      tcMethod,
+      L: inputNumber(tcLengthInput),
+      S: inputNumber(tcSlopeInput),
+      n: inputNumber(tcNInput),
+      tc: inputNumber(tcManualInput),
+      returnPeriod: inputNumber(returnInput),
+      idf: idfTable.getRows(),
+    };
+    const out = CALCULATORS.runoff.run(p);
+    const tc = out.intermediate.tc;
+    tcOutput.textContent = 'Tc: ' + (isNaN(tc) ? '—' : tc.toFixed(1) + ' min');
+    if (out.error) {
       qOutput.textContent = '—';
+      detailsOutput.textContent = '—';
       clearCanvas(runoffCtx, runoffCanvas);
       return;
     }
-    // Q = C * I (mm/h) * A (ha) * conversion (m³/s)
-    const Q = C * I * A * 0.00277777778; // m³/s
-    qOutput.textContent = Q.toFixed(3) + ' m³/s';
-    drawRunoffBar(runoffCtx, runoffCanvas, Q);
+    const r = out.results;
+    const m = out.intermediate;
+
+    if (method === 'scs') {
+      detailsOutput.textContent = units.text('CN = ' + m.CN.toFixed(1) + ', S = ' + m.S.toFixed(1) + ' mm, Q = ' +
+        r.runoffDepth.toFixed(1) + ' mm, V = ' + r.volume.toFixed(0) + ' m³');
+      if (isNaN(tc)) {
+        qOutput.textContent = '—';
+        clearCanvas(runoffCtx, runoffCanvas);
+        return;
+      }
+      qOutput.textContent = units.text(r.Q.toFixed(3) + ' m³/s');
+      drawRunoffHydrograph(runoffCtx, runoffCanvas, r.Q, m.Tp * 60, m.Tb * 60, 'min', units);
+      return;
+    }
+
+    qOutput.textContent = units.text(r.Q.toFixed(3) + ' m³/s');
+    const source = m.idf ? ' (' + (isNaN(p.returnPeriod) ? '' : p.returnPeriod + '-yr ') + 'IDF at Tc)' : '';
+    detailsOutput.textContent = units.text('C = ' + m.C.toFixed(2) + (m.composite ? ' (composite)' : '') + ', I = ' +
+      m.I.toFixed(1) + ' mm/h' + source + ', A = ' + m.A.toFixed(2) + ' ha');
+    // Modified rational hydrograph: storm duration equal to tc, so rise to Q at tc and recede by 2tc.
+    // Without a tc, time is plotted as a multiple of tc.
+    if (isNaN(tc)) drawRunoffHydrograph(runoffCtx, runoffCanvas, r.Q, 1, 2, '×tc', units);
+    else drawRunoffHydrograph(runoffCtx, runoffCanvas, r.Q, tc, 2 * tc, 'min', units);
   }
-  [cInput, iInput, aInput].forEach(el => {
+
+  [methodSelect, cInput, cnInput, pInput, iInput, aInput, tcMethodSelect, tcLengthInput, tcSlopeInput,
+    tcNInput, tcManualInput, returnInput].forEach(el => {
     el.addEventListener('input', updateRunoff);
   });
+  updateRunoff();
 }
 
-function drawSiteVolume(ctx, canvas, A1, A2) {
+function drawMassHaul(ctx, canvas, result, chord, units) {
   clearCanvas(ctx, canvas);
-  // Draw trapezoid representing cross-section variation
-  const maxA = Math.max(A1, A2, 1);
-  const heightScale = (canvas.height - 20) / maxA;
-  const baseY = canvas.height - 10;
-  // Points for cross-sectional heights at start and end
-  const x0 = 20;
-  const x1 = canvas.width - 20;
-  const y0 = baseY - A1 * heightScale;
-  const y1 = baseY - A2 * heightScale;
-  ctx.fillStyle = '#6fa8dc';
-  ctx.beginPath();
-  ctx.moveTo(x0, baseY);
-  ctx.lineTo(x0, y0);
-  ctx.lineTo(x1, y1);
-  ctx.lineTo(x1, baseY);
-  ctx.closePath();
-  ctx.fill();
+  const pts = result.stations;
+  const margin = 30;
+  const x0 = margin;
+  const x1 = canvas.width - 10;
+  const yTop = 15;
+  const yBot = canvas.height - margin;
+  const cMin = pts[0].chainage;
+  const cMax = pts[pts.length - 1].chainage;
+  const mMax = Math.max(...pts.map(p => p.mass), 0);
+  const mMin = Math.min(...pts.map(p => p.mass), 0);
+  const mRange = Math.max(mMax - mMin, 1e-6);
+  function px(chainage) {
+    return x0 + ((chainage - cMin) / (cMax - cMin)) * (x1 - x0);
+  }
+  function py(mass) {
+    return yBot - ((mass - mMin) / mRange) * (yBot - yTop);
+  }
+  // Axes and zero (balance) line
   ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x0, yTop);
+  ctx.lineTo(x0, yBot);
   ctx.stroke();
-  // draw labels
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(x0, py(0));
+  ctx.lineTo(x1, py(0));
+  ctx.stroke();
+  ctx.setLineDash([]);
+  // Mass curve
+  ctx.strokeStyle = '#6fa8dc';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  pts.forEach((p, i) => {
+    if (i === 0) ctx.moveTo(px(p.chainage), py(p.mass));
+    else ctx.lineTo(px(p.chainage), py(p.mass));
+  });
+  ctx.stroke();
+  // Balance points
+  ctx.fillStyle = '#93c47d';
+  result.balancePoints.forEach(c => {
+    ctx.beginPath();
+    ctx.arc(px(c), py(0), 4, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+  // Free-haul chord
+  if (chord) {
+    ctx.strokeStyle = '#f6b26b';
+    ctx.beginPath();
+    ctx.moveTo(px(chord.x1), py(chord.level));
+    ctx.lineTo(px(chord.x2), py(chord.level));
+    ctx.stroke();
+    ctx.fillStyle = '#0a253a';
+    ctx.font = '10px Arial';
+    ctx.fillText('FH', (px(chord.x1) + px(chord.x2)) / 2 - 6, py(chord.level) + (chord.level > 0 ? 12 : -4));
+  }
+  ctx.lineWidth = 1;
+  // Labels
   ctx.fillStyle = '#0a253a';
-  ctx.font = '12px Arial';
-  ctx.fillText('A1', x0 - 15, y0 - 5);
-  ctx.fillText('A2', x1 + 5, y1 - 5);
+  ctx.font = '10px Arial';
+  ctx.fillText(units.value(mMax, 'm³').toFixed(0), 2, yTop + 8);
+  ctx.fillText(units.value(mMin, 'm³').toFixed(0), 2, yBot);
+  ctx.fillText(units.value(cMin, 'm').toFixed(0), x0, yBot + 12);
+  ctx.fillText(units.value(cMax, 'm').toFixed(0), x1 - 25, yBot + 12);
+  ctx.fillText(units.label('Chainage (m)'), (x0 + x1) / 2 - 30, yBot + 24);
+  ctx.fillText(units.label('Mass (m³)'), x0 + 4, yTop + 8);
 }
 
-function drawRunoffBar(ctx, canvas, Q) {
+// Triangular hydrograph peaking at Qp at tPeak and receding to zero at tBase
+function drawRunoffHydrograph(ctx, canvas, Qp, tPeak, tBase, timeUnit, units) {
   clearCanvas(ctx, canvas);
-  const maxQ = 10; // m³/s reference scale
-  const barWidth = Math.min(canvas.width - 40, (Q / maxQ) * (canvas.width - 40));
-  ctx.fillStyle = '#8fce00';
-  ctx.fillRect(20, canvas.height / 2 - 15, barWidth, 30);
+  const margin = 30;
+  const x0 = margin;
+  const y0 = canvas.height - margin;
+  const x1 = canvas.width - margin;
+  const y1 = margin;
   ctx.strokeStyle = '#0a253a';
-  ctx.strokeRect(20, canvas.height / 2 - 15, canvas.width - 40, 30);
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y0);
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x0, y1);
+  ctx.stroke();
+  const tMax = tBase * 1.1;
+  const px = t => x0 + (t / tMax) * (x1 - x0);
+  const peakY = y1 + 10;
+  ctx.fillStyle = 'rgba(111, 168, 220, 0.4)';
+  ctx.strokeStyle = '#6fa8dc';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(px(0), y0);
+  ctx.lineTo(px(tPeak), peakY);
+  ctx.lineTo(px(tBase), y0);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+  ctx.lineWidth = 1;
   ctx.fillStyle = '#0a253a';
-  ctx.font = '12px Arial';
-  ctx.fillText(Q.toFixed(2) + ' m³/s', 25, canvas.height / 2 + 30);
+  ctx.font = '10px Arial';
+  ctx.fillText(units.text('Qp = ' + Qp.toFixed(2) + ' m³/s'), px(tPeak) + 5, peakY);
+  ctx.fillText(tPeak.toFixed(1), px(tPeak) - 8, y0 + 12);
+  ctx.fillText(tBase.toFixed(1), px(tBase) - 8, y0 + 12);
+  ctx.fillText('Time (' + timeUnit + ')', x1 - 50, y0 + 24);
+  ctx.fillText(units.label('Q (m³/s)'), x0 - 25, y1 - 10);
 }
 
 // ---------------------- Geotechnical ----------------------
 function initGeotechCalculator() {
   // Shear strength
+  const shearForm = document.getElementById('form-shear');
+  const modeSelect = document.getElementById('shear-mode');
   const cInput = document.getElementById('geotech-c');
   const sigmaInput = document.getElementById('geotech-sigma');
   const phiInput = document.getElementById('geotech-phi');
+  const testTypeSelect = document.getElementById('shear-test-type');
+  const sxInput = document.getElementById('state-sx');
+  const syInput = document.getElementById('state-sy');
+  const txyInput = document.getElementById('state-txy');
   const tauOutput = document.getElementById('geotech-tau');
+  const detailsOutput = document.getElementById('geotech-details');
   const shearCanvas = document.getElementById('geotech-canvas');
   const shearCtx = shearCanvas.getContext('2d');
+  const testTable = createRowTable(
+    document.getElementById('shear-tests'),
+    document.getElementById('shear-add-test'),
+    [
+      { key: 'a', label: 'σ′3 or σ′n (kPa)', placeholder: 'kPa' },
+      { key: 'b', label: 'σ′1 or τf (kPa)', placeholder: 'kPa' },
+    ],
+    updateShear,
+    [{}, {}, {}]
+  );
+  let fitted = null;
+  document.getElementById('shear-use-fit').addEventListener('click', () => {
+    if (!fitted) return;
+    setInputValue(cInput, fitted.c.toFixed(2));
+    setInputValue(phiInput, fitted.phi.toFixed(2));
+    modeSelect.value = 'mc';
+    updateShear();
+  });
+
   function updateShear() {
-    const c = parseFloat(cInput.value);
-    const sigma = parseFloat(sigmaInput.value);
-    const phi = parseFloat(phiInput.value);
-    if (isNaN(c) || isNaN(sigma) || isNaN(phi)) {
+    const units = displayUnits();
+    const mode = modeSelect.value;
+    showModeGroups(shearForm, mode);
+    fitted = null;
+    detailsOutput.textContent = '';
+    const p = {
+      mode,
+      c: inputNumber(cInput),
+      phi: inputNumber(phiInput),
+      sigma: inputNumber(sigmaInput),
+      testType: testTypeSelect.value,
+      tests: testTable.getRows(),
+      sx: inputNumber(sxInput),
+      sy: inputNumber(syInput),
+      txy: inputNumber(txyInput),
+    };
+    const out = CALCULATORS.shear.run(p);
+    if (out.error) {
       tauOutput.textContent = '—';
       clearCanvas(shearCtx, shearCanvas);
       return;
     }
-    const phiRad = (phi * Math.PI) / 180;
-    const tau = c + sigma * Math.tan(phiRad);
-    tauOutput.textContent = tau.toFixed(2) + ' kPa';
-    drawShearDiagram(shearCtx, shearCanvas, c, phiRad);
+    const r = out.results;
+    const m = out.intermediate;
+    if (mode === 'fit') {
+      fitted = r;
+      tauOutput.textContent = units.text('c′ = ' + r.c.toFixed(2) + ' kPa, φ′ = ' + r.phi.toFixed(2) + '°');
+      detailsOutput.textContent = 'R² = ' + m.r2.toFixed(3) + ' (' + m.tests.length + ' tests)';
+      drawShearDiagram(shearCtx, shearCanvas, r.c, (r.phi * Math.PI) / 180, {
+        circles: p.testType === 'triaxial' ? m.tests.map(t => ({ center: (t.a + t.b) / 2, radius: (t.b - t.a) / 2 })) : [],
+        points: p.testType === 'direct' ? m.tests.map(t => ({ sigma: t.a, tau: t.b })) : [],
+      }, units);
+      return;
+    }
+    if (mode === 'state') {
+      tauOutput.textContent = units.text('σ1 = ' + r.sigma1.toFixed(2) + ' kPa, σ3 = ' + r.sigma3.toFixed(2) +
+        ' kPa, τmax = ' + r.tauMax.toFixed(2) + ' kPa');
+      let details = 'Major principal plane at ' + m.thetaP.toFixed(1) + '° from x';
+      const plane = m.failurePlane;
+      if (plane) {
+        details += '; failure plane at ' + plane.thetaF.toFixed(1) + '° to it (' + plane.thetaX.toFixed(1) +
+          '° from x); mobilised ' + (100 * plane.mobilised).toFixed(0) + '% of strength';
+      }
+      detailsOutput.textContent = details;
+      drawShearDiagram(shearCtx, shearCanvas, plane ? p.c : NaN, (p.phi * Math.PI) / 180, {
+        circles: [{ center: m.center, radius: r.tauMax }],
+        points: [{ sigma: p.sx, tau: p.txy }, { sigma: p.sy, tau: -p.txy }],
+      }, units);
+      return;
+    }
+    tauOutput.textContent = units.text(r.tau.toFixed(2) + ' kPa');
+    drawShearDiagram(shearCtx, shearCanvas, p.c, (p.phi * Math.PI) / 180, {
+      circles: [],
+      points: [{ sigma: p.sigma, tau: r.tau }],
+    }, units);
   }
-  [cInput, sigmaInput, phiInput].forEach(el => {
+  [modeSelect, cInput, sigmaInput, phiInput, testTypeSelect, sxInput, syInput, txyInput].forEach(el => {
     el.addEventListener('input', updateShear);
   });
+  updateShear();
   // Bearing capacity
   const bcInputs = {
+    method: document.getElementById('bear-method'),
+    shape: document.getElementById('bear-shape'),
     c: document.getElementById('bear-c'),
-    q: document.getElementById('bear-q'),
     gamma: document.getElementById('bear-gamma'),
     B: document.getElementById('bear-b'),
+    L: document.getElementById('bear-l'),
+    Df: document.getElementById('bear-df'),
     phi: document.getElementById('bear-phi'),
+    beta: document.getElementById('bear-beta'),
+    Dw: document.getElementById('bear-dw'),
+    FS: document.getElementById('bear-fs'),
   };
   const qultOutput = document.getElementById('bear-qult');
+  const qallOutput = document.getElementById('bear-qall');
+  const factorsOutput = document.getElementById('bear-factors');
   const bearCanvas = document.getElementById('bear-canvas');
   const bearCtx = bearCanvas.getContext('2d');
   function updateBearing() {
-    const c = parseFloat(bcInputs.c.value);
-    const q = parseFloat(bcInputs.q.value);
-    const gamma = parseFloat(bcInputs.gamma.value);
-    const B = parseFloat(bcInputs.B.value);
-    const phi = parseFloat(bcInputs.phi.value);
-    if ([c, q, gamma, B, phi].some(x => isNaN(x) || B <= 0)) {
+    const units = displayUnits();
+    const p = { method: bcInputs.method.value, shape: bcInputs.shape.value };
+    bcInputs.L.closest('label').classList.toggle('hidden', p.shape !== 'rectangular');
+    ['c', 'gamma', 'B', 'L', 'Df', 'phi', 'beta', 'Dw', 'FS'].forEach(key => {
+      p[key] = inputNumber(bcInputs[key]);
+    });
+    const out = CALCULATORS.bearing.run(p);
+    if (out.error) {
       qultOutput.textContent = '—';
+      qallOutput.textContent = 'q_all: —';
+      factorsOutput.textContent = '—';
       clearCanvas(bearCtx, bearCanvas);
       return;
     }
-    const phiRad = (phi * Math.PI) / 180;
-    // Bearing capacity factors
-    const Nq = Math.exp(Math.PI * Math.tan(phiRad)) * Math.pow(Math.tan(Math.PI / 4 + phiRad / 2), 2);
-    const Nc = (Nq - 1) / Math.tan(phiRad || 1e-6);
-    const Ngamma = 2 * (Nq + 1) * Math.tan(phiRad);
-    const qult = c * Nc + q * Nq + 0.5 * gamma * B * Ngamma; // kPa
-    qultOutput.textContent = qult.toFixed(2) + ' kPa';
-    drawBearingBar(bearCtx, bearCanvas, c * Nc, q * Nq, 0.5 * gamma * B * Ngamma);
+    const { qult, qall } = out.results;
+    const { Nc, Nq, Ngamma, terms } = out.intermediate;
+    qultOutput.textContent = units.text('q_ult: ' + qult.toFixed(2) + ' kPa');
+    qallOutput.textContent = units.text('q_all: ' + (p.FS > 0 ? qall.toFixed(2) + ' kPa (FS ' + p.FS + ')' : '—'));
+    factorsOutput.textContent = 'Nc = ' + Nc.toFixed(2) + ', Nq = ' + Nq.toFixed(2) + ', Nγ = ' + Ngamma.toFixed(2);
+    drawBearingBar(bearCtx, bearCanvas, terms.c, terms.q, terms.gamma, units);
   }
   Object.values(bcInputs).forEach(el => {
     el.addEventListener('input', updateBearing);
   });
+  updateBearing();
+  // Consolidation settlement
+  const consInputs = {
+    method: document.getElementById('cons-method'),
+    shape: document.getElementById('cons-shape'),
+    q: document.getElementById('cons-q'),
+    B: document.getElementById('cons-b'),
+    L: document.getElementById('cons-l'),
+    Df: document.getElementById('cons-df'),
+    gamma: document.getElementById('cons-gamma'),
+    Dw: document.getElementById('cons-dw'),
+  };
+  const consTotalOut = document.getElementById('cons-total');
+  const consTimeOut = document.getElementById('cons-time');
+  const consResults = document.getElementById('cons-results');
+  const consCanvas = document.getElementById('cons-canvas');
+  const consCtx = consCanvas.getContext('2d');
+  const clayTable = createRowTable(
+    document.getElementById('cons-layers'),
+    document.getElementById('cons-add-layer'),
+    [
+      { key: 'top', label: 'Top depth (m)', placeholder: 'm' },
+      { key: 'H', label: 'Thickness (m)', placeholder: 'm' },
+      { key: 'gamma', label: 'γsat (kN/m³)', placeholder: 'kN/m³' },
+      { key: 'e0', label: 'e0', placeholder: '–' },
+      { key: 'Cc', label: 'Cc', placeholder: '–' },
+      { key: 'Cr', label: 'Cr', placeholder: '–' },
+      { key: 'sigmaP', label: 'σ′p (kPa)', placeholder: 'blank = NC' },
+      { key: 'cv', label: 'cv (m²/yr)', placeholder: 'm²/yr' },
+      { key: 'drainage', label: 'Drainage', type: 'select', options: [['double', 'Double'], ['single', 'Single']] },
+    ],
+    updateConsolidation,
+    [{}]
+  );
+  function updateConsolidation() {
+    const units = displayUnits();
+    const shape = consInputs.shape.value;
+    consInputs.L.closest('label').classList.toggle('hidden', shape !== 'rectangular');
+    const p = { method: consInputs.method.value, shape, layers: clayTable.getRows() };
+    ['q', 'B', 'L', 'Df', 'gamma', 'Dw'].forEach(key => {
+      p[key] = inputNumber(consInputs[key]);
+    });
+    const out = CALCULATORS.consolidation.run(p);
+    if (out.error) {
+      const blank = awaitingInput([p.q, p.B, p.Df, p.gamma].concat(shape === 'rectangular' ? [p.L] : []),
+        p.layers, ['top', 'H', 'gamma', 'e0', 'Cc', 'Cr', 'cv']);
+      consTotalOut.textContent = 'Settlement: ' + (blank ? '—' : out.error);
+      consTimeOut.textContent = 't50, t90: —';
+      fillResultTable(consResults, [], []);
+      clearCanvas(consCtx, consCanvas);
+      return;
+    }
+    const r = out.results;
+    consTotalOut.textContent = units.text('Settlement: ' + r.settlement.toFixed(1) + ' mm (primary consolidation)');
+    consTimeOut.textContent = 't50 = ' + formatYears(r.t50) + ', t90 = ' + formatYears(r.t90);
+    fillResultTable(consResults, ['Layer', 'σ′0 (kPa)', 'Δσ (kPa)', 'State', 'S (mm)'], out.intermediate.layers.map((l, i) => [
+      i + 1,
+      l.sigma0.toFixed(1),
+      l.dSigma.toFixed(1),
+      l.state,
+      l.S.toFixed(1),
+    ]), units);
+    drawSettlementTime(consCtx, consCanvas, out.intermediate.curve, r.settlement, r.t50, r.t90, units);
+  }
+  Object.values(consInputs).forEach(el => {
+    el.addEventListener('input', updateConsolidation);
+  });
+  updateConsolidation();
+  // Lateral earth pressure and retaining wall
+  const wallForm = document.getElementById('form-wall');
+  const wallInputs = {
+    theory: document.getElementById('wall-theory'),
+    state: document.getElementById('wall-state'),
+    type: document.getElementById('wall-type'),
+    H: document.getElementById('wall-h'),
+    top: document.getElementById('wall-top'),
+    stem: document.getElementById('wall-stem'),
+    B: document.getElementById('wall-b'),
+    tb: document.getElementById('wall-tb'),
+    toe: document.getElementById('wall-toe'),
+    gammaWall: document.getElementById('wall-gc'),
+    beta: document.getElementById('wall-beta'),
+    delta: document.getElementById('wall-delta'),
+    q: document.getElementById('wall-q'),
+    dw: document.getElementById('wall-dw'),
+    D: document.getElementById('wall-d'),
+  };
+  const wallKOut = document.getElementById('wall-k');
+  const wallForcesOut = document.getElementById('wall-forces');
+  const wallOtOut = document.getElementById('wall-ot');
+  const wallSlidingOut = document.getElementById('wall-sliding');
+  const wallBearingOut = document.getElementById('wall-bearing');
+  const wallCanvas = document.getElementById('wall-canvas');
+  const wallCtx = wallCanvas.getContext('2d');
+  const wallLayerTable = createRowTable(
+    document.getElementById('wall-layers'),
+    document.getElementById('wall-add-layer'),
+    [
+      { key: 'thickness', label: 'Thickness (m)', placeholder: 'blank = to base' },
+      { key: 'gamma', label: 'γ (kN/m³)', placeholder: 'kN/m³' },
+      { key: 'gammaSat', label: 'γsat (kN/m³)', placeholder: 'kN/m³' },
+      { key: 'c', label: 'c′ (kPa)', placeholder: 'kPa' },
+      { key: 'phi', label: 'φ′ (°)', placeholder: '°' },
+    ],
+    updateWall,
+    [{}]
+  );
+  function updateWall() {
+    const units = displayUnits();
+    const type = wallInputs.type.value;
+    const theory = wallInputs.theory.value;
+    showModeGroups(wallForm, type);
+    wallInputs.delta.closest('label').classList.toggle('hidden', theory !== 'coulomb');
+    const p = { theory, state: wallInputs.state.value, type, layers: wallLayerTable.getRows() };
+    ['H', 'top', 'stem', 'B', 'tb', 'toe', 'gammaWall', 'beta', 'delta', 'q', 'dw', 'D'].forEach(key => {
+      p[key] = inputNumber(wallInputs[key]);
+    });
+    const out = CALCULATORS.wall.run(p);
+    if (out.error) {
+      const required = ['H', 'top', 'stem', 'B', 'gammaWall', 'beta', 'q'].concat(type === 'cantilever' ? ['tb', 'toe'] : [],
+        theory === 'coulomb' ? ['delta'] : []);
+      const blank = awaitingInput(required.map(key => p[key]), p.layers, ['gamma', 'c', 'phi']);
+      wallKOut.textContent = 'K: ' + (blank ? '—' : out.error);
+      wallForcesOut.textContent = 'Thrust: —';
+      wallOtOut.textContent = 'Overturning: —';
+      wallSlidingOut.textContent = 'Sliding: —';
+      wallBearingOut.textContent = 'Bearing: —';
+      clearCanvas(wallCtx, wallCanvas);
+      return;
+    }
+    const r = out.results;
+    const m = out.intermediate;
+    wallKOut.textContent = m.coefficients.map((k, i) => 'Layer ' + (i + 1) + ': ' +
+      (p.state === 'rest' ? 'K0 = ' + k.K0.toFixed(3) : 'Ka = ' + k.Ka.toFixed(3)) + ', Kp = ' + k.Kp.toFixed(3)).join('; ');
+    wallForcesOut.textContent = units.text('Thrust: earth ' + r.Pearth.toFixed(1) + ' kN/m + water ' + r.Pwater.toFixed(1) +
+      ' kN/m; P_h = ' + r.Ph.toFixed(1) + ' kN/m at ' + r.yArm.toFixed(2) + ' m above the base, P_v = ' + r.Pv.toFixed(1) +
+      ' kN/m');
+    wallOtOut.textContent = 'Overturning: FS = ' + r.FSoverturning.toFixed(2) + checkNote(r.FSoverturning, 2);
+    wallSlidingOut.textContent = units.text('Sliding: FS = ' + r.FSsliding.toFixed(2) + checkNote(r.FSsliding, 1.5) +
+      (r.Pp > 0 ? ' with passive ' + r.Pp.toFixed(1) + ' kN/m' : ''));
+    wallBearingOut.textContent = units.text('Bearing: e = ' + r.e.toFixed(2) + ' m, q_max = ' + r.qmax.toFixed(1) +
+      ' kPa, q_min = ' + r.qmin.toFixed(1) + ' kPa, FS = ' + r.FSbearing.toFixed(2) + checkNote(r.FSbearing, 3) +
+      (Math.abs(r.e) > m.geometry.B / 6 ? ' (resultant outside middle third)' : ''));
+    drawRetainingWall(wallCtx, wallCanvas, m.geometry, { ...r, ...m }, units);
+  }
+  Object.values(wallInputs).forEach(el => {
+    el.addEventListener('input', updateWall);
+  });
+  updateWall();
+  // Slope stability; strength defaults to c′ and φ′ from the shear form
+  const infInputs = {
+    beta: document.getElementById('inf-beta'),
+    z: document.getElementById('inf-z'),
+    gamma: document.getElementById('inf-gamma'),
+    gammaSat: document.getElementById('inf-gsat'),
+    m: document.getElementById('inf-m'),
+  };
+  const infFsOut = document.getElementById('inf-fs');
+  const infDetailsOut = document.getElementById('inf-details');
+  function updateInfiniteSlope() {
+    const units = displayUnits();
+    const p = { c: inputNumber(cInput), phi: inputNumber(phiInput) };
+    Object.keys(infInputs).forEach(key => {
+      p[key] = inputNumber(infInputs[key]);
+    });
+    const out = CALCULATORS['infinite-slope'].run(p);
+    if (out.error) {
+      infFsOut.textContent = 'FoS: —';
+      infDetailsOut.textContent = '';
+      return;
+    }
+    const r = out.results;
+    const m = out.intermediate;
+    infFsOut.textContent = 'FoS: ' + r.FS.toFixed(3) + (r.FS < 1 ? ' (unstable)' : '');
+    infDetailsOut.textContent = units.text('σ′n = ' + m.sigmaN.toFixed(1) + ' kPa, τ = ' + m.tau.toFixed(1) +
+      ' kPa, u = ' + m.u.toFixed(1) + ' kPa; dry FoS = ' + r.dryFS.toFixed(3) +
+      ' (c′ = ' + p.c + ' kPa, φ′ = ' + p.phi + '° from the shear form)');
+  }
+  Object.values(infInputs).forEach(el => {
+    el.addEventListener('input', updateInfiniteSlope);
+  });
+  const gridInputs = {
+    xMin: document.getElementById('slope-xc-min'),
+    xMax: document.getElementById('slope-xc-max'),
+    yMin: document.getElementById('slope-yc-min'),
+    yMax: document.getElementById('slope-yc-max'),
+    base: document.getElementById('slope-base'),
+  };
+  const bishopOut = document.getElementById('slope-bishop');
+  const ordinaryOut = document.getElementById('slope-ordinary');
+  const slopeCanvas = document.getElementById('slope-canvas');
+  const slopeCtx = slopeCanvas.getContext('2d');
+  const profileTable = createRowTable(
+    document.getElementById('slope-profile'),
+    document.getElementById('slope-add-point'),
+    [
+      { key: 'x', label: 'x (m)', placeholder: 'm' },
+      { key: 'y', label: 'Elevation (m)', placeholder: 'm' },
+    ],
+    updateSlope,
+    [{}, {}, {}, {}]
+  );
+  const layerTable = createRowTable(
+    document.getElementById('slope-layers'),
+    document.getElementById('slope-add-layer'),
+    [
+      { key: 'bottom', label: 'Bottom elev. (m)', placeholder: 'm' },
+      { key: 'gamma', label: 'γ (kN/m³)', placeholder: 'kN/m³' },
+      { key: 'c', label: 'c′ (kPa)', placeholder: 'shear form' },
+      { key: 'phi', label: 'φ′ (°)', placeholder: 'shear form' },
+    ],
+    updateSlope,
+    [{}]
+  );
+  const waterTable = createRowTable(
+    document.getElementById('slope-water'),
+    document.getElementById('slope-add-water'),
+    [
+      { key: 'x', label: 'x (m)', placeholder: 'm' },
+      { key: 'y', label: 'Elevation (m)', placeholder: 'm' },
+    ],
+    updateSlope,
+    []
+  );
+  function updateSlope() {
+    const units = displayUnits();
+    const p = {
+      profile: profileTable.getRows(),
+      layers: layerTable.getRows(),
+      water: waterTable.getRows(),
+      c: inputNumber(cInput),
+      phi: inputNumber(phiInput),
+    };
+    Object.keys(gridInputs).forEach(key => {
+      p[key] = inputNumber(gridInputs[key]);
+    });
+    const out = CALCULATORS.slope.run(p);
+    ordinaryOut.textContent = 'Ordinary: —';
+    clearCanvas(slopeCtx, slopeCanvas);
+    if (out.error) {
+      const blank = awaitingInput([], p.profile, ['x', 'y'], 2) || awaitingInput([], p.layers, ['gamma']);
+      bishopOut.textContent = 'Bishop simplified: ' + (blank ? '—' : out.error);
+      // Without a slip circle the slope and the search grid are still drawn
+      if (out.intermediate) drawSlopeStability(slopeCtx, slopeCanvas, out.intermediate, null);
+      return;
+    }
+    const { bishop, ordinary } = out.results;
+    const describe = r => r.FS.toFixed(3) + ' at centre (' + r.xc.toFixed(1) + ' m, ' + r.yc.toFixed(1) + ' m), R = ' + r.R.toFixed(1) + ' m';
+    bishopOut.textContent = units.text('Bishop simplified: FoS_min = ' + describe(bishop));
+    ordinaryOut.textContent = units.text('Ordinary: FoS_min = ' + describe(ordinary) + '; ' +
+      bishop.ordinaryFS.toFixed(3) + ' on the Bishop circle');
+    drawSlopeStability(slopeCtx, slopeCanvas, out.intermediate, bishop);
+  }
+  Object.values(gridInputs).forEach(el => {
+    el.addEventListener('input', updateSlope);
+  });
+  [cInput, phiInput].forEach(el => {
+    el.addEventListener('input', updateInfiniteSlope);
+    el.addEventListener('input', updateSlope);
+  });
+  updateInfiniteSlope();
+  updateSlope();
+}
+
+// Wall section with the retained soil, the earth and water pressure diagram on the virtual back,
+// the horizontal thrust, the resultant on the base and the base contact pressure
+function drawRetainingWall(ctx, canvas, p, wall, units) {
+  clearCanvas(ctx, canvas);
+  const { H, top, stem, B, tb, toe } = p;
+  const maxPressure = Math.max(...wall.pressures.map(pt => pt.earth + pt.water), 1e-6);
+  const diagramWidth = Math.max(B, wall.Hv * 0.5);
+  const worldW = B + diagramWidth * 1.2 + 0.2 * B;
+  const worldH = wall.Hv * 1.35;
+  const scale = Math.min((canvas.width - 20) / worldW, (canvas.height - 20) / worldH);
+  const sx = x => 10 + (x + 0.2 * B) * scale;
+  const baseLine = canvas.height - 10 - wall.Hv * 0.3 * scale;
+  const sy = y => baseLine - y * scale;
+  const stemBackTop = toe + top;
+  const tanB = Math.tan((p.beta * Math.PI) / 180);
+  // Backfill
+  ctx.fillStyle = '#e6d5b8';
+  ctx.beginPath();
+  ctx.moveTo(sx(stemBackTop), sy(H));
+  ctx.lineTo(sx(B + diagramWidth * 1.2), sy(H + (B + diagramWidth * 1.2 - stemBackTop) * tanB));
+  ctx.lineTo(sx(B + diagramWidth * 1.2), sy(0));
+  ctx.lineTo(sx(toe + stem), sy(0));
+  ctx.closePath();
+  ctx.fill();
+  // Wall concrete
+  ctx.fillStyle = '#b7b7b7';
+  ctx.strokeStyle = '#0a253a';
+  ctx.beginPath();
+  ctx.moveTo(sx(0), sy(0));
+  ctx.lineTo(sx(B), sy(0));
+  ctx.lineTo(sx(B), sy(tb));
+  ctx.lineTo(sx(toe + stem), sy(tb));
+  ctx.lineTo(sx(stemBackTop), sy(H));
+  ctx.lineTo(sx(toe), sy(H));
+  ctx.lineTo(sx(toe), sy(tb));
+  ctx.lineTo(sx(0), sy(tb));
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+  // Water table
+  if (isFinite(p.dw) && p.dw < wall.Hv) {
+    ctx.strokeStyle = '#6fa8dc';
+    ctx.setLineDash([6, 3]);
+    ctx.beginPath();
+    ctx.moveTo(sx(toe + stem), sy(H - p.dw));
+    ctx.lineTo(sx(B + diagramWidth * 1.2), sy(H - p.dw));
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  // Virtual back
+  ctx.strokeStyle = '#0a253a';
+  ctx.setLineDash([3, 3]);
+  ctx.beginPath();
+  ctx.moveTo(sx(B), sy(0));
+  ctx.lineTo(sx(B), sy(wall.Hv));
+  ctx.stroke();
+  ctx.setLineDash([]);
+  // Pressure diagram: earth then water stacked outward from the virtual back
+  const px = pressure => sx(B) + (pressure / maxPressure) * diagramWidth * scale;
+  [['earth', 'rgba(246, 178, 107, 0.7)'], ['water', 'rgba(111, 168, 220, 0.7)']].forEach(([key, colour]) => {
+    ctx.fillStyle = colour;
+    ctx.beginPath();
+    wall.pressures.forEach((pt, i) => {
+      const inner = key === 'earth' ? 0 : pt.earth;
+      const x = px(inner + pt[key]);
+      if (i === 0) ctx.moveTo(x, sy(wall.Hv - pt.z));
+      else ctx.lineTo(x, sy(wall.Hv - pt.z));
+    });
+    for (let i = wall.pressures.length - 1; i >= 0; i--) {
+      const pt = wall.pressures[i];
+      ctx.lineTo(px(key === 'earth' ? 0 : pt.earth), sy(wall.Hv - pt.z));
+    }
+    ctx.closePath();
+    ctx.fill();
+  });
+  // Horizontal thrust towards the wall at its line of action
+  const arrowY = sy(wall.yArm);
+  const arrowStart = px(maxPressure * 0.9);
+  ctx.strokeStyle = '#cc0000';
+  ctx.fillStyle = '#cc0000';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(arrowStart, arrowY);
+  ctx.lineTo(sx(B) + 4, arrowY);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(sx(B), arrowY);
+  ctx.lineTo(sx(B) + 8, arrowY - 4);
+  ctx.lineTo(sx(B) + 8, arrowY + 4);
+  ctx.closePath();
+  ctx.fill();
+  // Resultant on the base and contact pressure beneath it
+  if (wall.xR > 0 && wall.xR < B) {
+    ctx.beginPath();
+    ctx.moveTo(sx(wall.xR), sy(tb) - 25);
+    ctx.lineTo(sx(wall.xR), sy(0) - 2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(sx(wall.xR), sy(0));
+    ctx.lineTo(sx(wall.xR) - 4, sy(0) - 8);
+    ctx.lineTo(sx(wall.xR) + 4, sy(0) - 8);
+    ctx.closePath();
+    ctx.fill();
+  }
+  ctx.lineWidth = 1;
+  if (isFinite(wall.qmax)) {
+    const qScale = (wall.Hv * 0.2 * scale) / wall.qmax;
+    const toeQ = wall.e >= 0 ? wall.qmax : wall.qmin;
+    const heelQ = wall.e >= 0 ? wall.qmin : wall.qmax;
+    // Past the middle third the contact length is 3 × the distance from the resultant to the nearer edge
+    const contact = Math.abs(wall.e) <= B / 6 ? B : 3 * Math.min(wall.xR, B - wall.xR);
+    const x0 = wall.e >= 0 ? 0 : B - contact;
+    const x1 = wall.e >= 0 ? contact : B;
+    ctx.fillStyle = 'rgba(147, 196, 125, 0.7)';
+    ctx.beginPath();
+    ctx.moveTo(sx(x0), sy(0));
+    ctx.lineTo(sx(x0), sy(0) + toeQ * qScale);
+    ctx.lineTo(sx(x1), sy(0) + heelQ * qScale);
+    ctx.lineTo(sx(x1), sy(0));
+    ctx.closePath();
+    ctx.fill();
+  }
+  // Labels
+  ctx.fillStyle = '#0a253a';
+  ctx.font = '10px Arial';
+  ctx.fillText(units.text('P_h ' + wall.Ph.toFixed(0) + ' kN/m'), Math.min(arrowStart + 4, canvas.width - 70), arrowY - 4);
+  ctx.fillText(units.text(maxPressure.toFixed(0) + ' kPa'), Math.min(px(maxPressure) - 20, canvas.width - 45), sy(0) + 12);
+  if (isFinite(wall.qmax)) ctx.fillText(units.text('q_max ' + wall.qmax.toFixed(0) + ' kPa'), sx(0), canvas.height - 4);
+}
+
+// Settlement growing with time (downwards) out to about U = 99 %, with t50 and t90 marked.
+// curve: [{ t (years), S (mm) }] from t = 0; settlement is the final primary settlement in mm.
+function drawSettlementTime(ctx, canvas, curve, settlement, t50, t90, units) {
+  clearCanvas(ctx, canvas);
+  const tMax = curve[curve.length - 1].t;
+  const sMax = settlement * 1.1 || 1;
+  // Axes, with settlement measured down from the top edge
+  const margin = 30;
+  const x0 = margin;
+  const y0 = margin;
+  const x1 = canvas.width - margin;
+  const yBottom = canvas.height - margin;
+  const px = t => x0 + (t / tMax) * (x1 - x0);
+  const py = S => y0 + (S / sMax) * (yBottom - y0);
+  ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y0);
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x0, yBottom);
+  ctx.stroke();
+  // Plot curve
+  ctx.strokeStyle = '#6fa8dc';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  curve.forEach(({ t, S }, i) => {
+    if (i === 0) ctx.moveTo(px(t), py(S));
+    else ctx.lineTo(px(t), py(S));
+  });
+  ctx.stroke();
+  ctx.lineWidth = 1;
+  // Labels
+  ctx.font = '10px Arial';
+  [[t50, 0.5, 't50'], [t90, 0.9, 't90']].forEach(([t, U, label]) => {
+    const S = settlement * U;
+    ctx.fillStyle = '#f6b26b';
+    ctx.beginPath();
+    ctx.arc(px(t), py(S), 4, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillStyle = '#0a253a';
+    ctx.fillText(label + ' = ' + formatYears(t), Math.min(px(t) + 6, x1 - 70), py(S) - 4);
+  });
+  ctx.fillText('Time (years)', x1 - 60, y0 - 5);
+  ctx.fillText(tMax.toPrecision(3), x1 - 10, y0 - 16);
+  ctx.fillText(units.label('S (mm)'), 2, yBottom + 15);
+  ctx.fillText(units.value(sMax, 'mm').toFixed(0), 2, yBottom + 26);
 }
 
-function drawShearDiagram(ctx, canvas, c, phiRad) {
+// Section through the slope: layer boundaries, water table, centre grid and the critical circle
+function drawSlopeStability(ctx, canvas, { profile, layers, water, limits }, bishop) {
   clearCanvas(ctx, canvas);
+  const xMin = Math.min(profile[0].x, limits.xMin);
+  const xMax = Math.max(profile[profile.length - 1].x, limits.xMax);
+  const yMin = Math.min(limits.base, ...profile.map(p => p.y));
+  const yMax = Math.max(limits.yMax, ...profile.map(p => p.y));
+  // Equal aspect
+  const margin = 20;
+  const scale = Math.min((canvas.width - 2 * margin) / (xMax - xMin || 1), (canvas.height - 2 * margin) / (yMax - yMin || 1));
+  const sx = x => margin + (x - xMin) * scale;
+  const sy = y => canvas.height - margin - (y - yMin) * scale;
+  const groundLeft = profile[0].x;
+  const groundRight = profile[profile.length - 1].x;
+  // Soil body down to the lowest slip elevation
+  ctx.fillStyle = '#e6d5b8';
+  ctx.beginPath();
+  ctx.moveTo(sx(groundLeft), sy(yMin));
+  profile.forEach(p => ctx.lineTo(sx(p.x), sy(p.y)));
+  ctx.lineTo(sx(groundRight), sy(yMin));
+  ctx.closePath();
+  ctx.fill();
+  // Layer boundaries clipped to the ground surface
+  ctx.strokeStyle = '#a67c52';
+  ctx.setLineDash([2, 2]);
+  layers.forEach(layer => {
+    if (isNaN(layer.bottom)) return;
+    ctx.beginPath();
+    let drawing = false;
+    for (let i = 0; i <= 100; i++) {
+      const x = groundLeft + ((groundRight - groundLeft) * i) / 100;
+      if (polylineY(profile, x) > layer.bottom) {
+        if (!drawing) ctx.moveTo(sx(x), sy(layer.bottom));
+        else ctx.lineTo(sx(x), sy(layer.bottom));
+        drawing = true;
+      } else {
+        drawing = false;
+      }
+    }
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+  ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  profile.forEach((p, i) => {
+    if (i === 0) ctx.moveTo(sx(p.x), sy(p.y));
+    else ctx.lineTo(sx(p.x), sy(p.y));
+  });
+  ctx.stroke();
+  ctx.lineWidth = 1;
+  // Water table
+  if (water.length) {
+    ctx.strokeStyle = '#6fa8dc';
+    ctx.setLineDash([6, 3]);
+    ctx.beginPath();
+    ctx.moveTo(sx(groundLeft), sy(polylineY(water, groundLeft)));
+    for (let i = 1; i <= 100; i++) {
+      const x = groundLeft + ((groundRight - groundLeft) * i) / 100;
+      ctx.lineTo(sx(x), sy(Math.min(polylineY(water, x), polylineY(profile, x))));
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  // Centre grid
+  ctx.strokeStyle = '#b7b7b7';
+  ctx.strokeRect(sx(limits.xMin), sy(limits.yMax), (limits.xMax - limits.xMin) * scale, (limits.yMax - limits.yMin) * scale);
+  // Critical circle (Bishop) as the slip arc below ground, plus its radius to the centre
+  if (bishop) {
+    const { xc, yc, R, FS } = bishop;
+    ctx.strokeStyle = '#cc0000';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    let drawing = false;
+    for (let i = 0; i <= 200; i++) {
+      const x = xc - R + (2 * R * i) / 200;
+      const y = yc - Math.sqrt(Math.max(R * R - (x - xc) * (x - xc), 0));
+      if (x >= groundLeft && x <= groundRight && y <= polylineY(profile, x) + 1e-6) {
+        if (!drawing) ctx.moveTo(sx(x), sy(y));
+        else ctx.lineTo(sx(x), sy(y));
+        drawing = true;
+      } else {
+        drawing = false;
+      }
+    }
+    ctx.stroke();
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(sx(xc), sy(yc));
+    ctx.lineTo(sx(xc), sy(yc - R));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#cc0000';
+    ctx.beginPath();
+    ctx.arc(sx(xc), sy(yc), 3, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.font = '10px Arial';
+    ctx.fillText('FoS ' + FS.toFixed(2), Math.min(sx(xc) + 5, canvas.width - 50), sy(yc) - 4);
+  }
+}
+
+// Mohr–Coulomb envelope τ = c + σ tan φ (skipped when c is NaN) with optional Mohr circles and
+// (σ, τ) points. Axes are auto-scaled; with circles both axes share one scale so they stay round.
+function drawShearDiagram(ctx, canvas, c, phiRad, { circles = [], points = [] }, units) {
+  clearCanvas(ctx, canvas);
+  const hasEnvelope = !isNaN(c);
   // Draw axes
   const margin = 30;
   const axisX0 = margin;
@@ -226,26 +1040,54 @@ function drawShearDiagram(ctx, canvas, c, phiRad) {
   ctx.moveTo(axisX0, axisY0);
   ctx.lineTo(axisX0, axisY1);
   ctx.stroke();
-  // Plot line τ = c + σ tan φ
-  const maxSigma = 100; // kPa scale
-  const maxTau = c + maxSigma * Math.tan(phiRad);
+  // Axis ranges from the data, with 100 kPa as the minimum σ span
+  let maxSigma = Math.max(100, ...circles.map(ci => ci.center + ci.radius), ...points.map(p => p.sigma)) * 1.1;
+  let maxTau = Math.max(
+    hasEnvelope ? c + maxSigma * Math.tan(phiRad) : 0,
+    ...circles.map(ci => ci.radius),
+    ...points.map(p => Math.abs(p.tau)),
+    1
+  );
+  if (circles.length) {
+    const scale = Math.min((axisX1 - axisX0) / maxSigma, (axisY0 - axisY1) / maxTau);
+    maxSigma = (axisX1 - axisX0) / scale;
+    maxTau = (axisY0 - axisY1) / scale;
+  }
   // Map function to pixel coords
   function xCoord(sigma) {
     return axisX0 + (sigma / maxSigma) * (axisX1 - axisX0);
   }
   function yCoord(tau) {
-    return axisY0 - (tau / Math.max(maxTau, 1)) * (axisY0 - axisY1);
+    return axisY0 - (tau / maxTau) * (axisY0 - axisY1);
   }
-  ctx.strokeStyle = '#6fa8dc';
-  ctx.beginPath();
-  ctx.moveTo(xCoord(0), yCoord(c));
-  ctx.lineTo(xCoord(maxSigma), yCoord(c + maxSigma * Math.tan(phiRad)));
-  ctx.stroke();
+  // Mohr circles (upper halves)
+  ctx.strokeStyle = '#93c47d';
+  circles.forEach(ci => {
+    const r = (ci.radius / maxSigma) * (axisX1 - axisX0);
+    ctx.beginPath();
+    ctx.arc(xCoord(ci.center), axisY0, Math.abs(r), Math.PI, 2 * Math.PI);
+    ctx.stroke();
+  });
+  // Plot line τ = c + σ tan φ
+  if (hasEnvelope) {
+    ctx.strokeStyle = '#6fa8dc';
+    ctx.beginPath();
+    ctx.moveTo(xCoord(0), yCoord(c));
+    ctx.lineTo(xCoord(maxSigma), yCoord(c + maxSigma * Math.tan(phiRad)));
+    ctx.stroke();
+  }
+  ctx.fillStyle = '#f6b26b';
+  points.forEach(p => {
+    ctx.beginPath();
+    ctx.arc(xCoord(p.sigma), yCoord(Math.abs(p.tau)), 3, 0, 2 * Math.PI);
+    ctx.fill();
+  });
   // Labels
+  ctx.strokeStyle = '#0a253a';
   ctx.fillStyle = '#0a253a';
   ctx.font = '10px Arial';
-  ctx.fillText('σ (kPa)', axisX1 - 40, axisY0 + 15);
-  ctx.fillText('τ (kPa)', axisX0 - 25, axisY1 + 10);
+  ctx.fillText(units.label('σ (kPa)'), axisX1 - 40, axisY0 + 15);
+  ctx.fillText(units.label('τ (kPa)'), axisX0 - 25, axisY1 - 10);
   // Tick marks and numbers
   const ticks = 5;
   for (let i = 0; i <= ticks; i++) {
@@ -258,17 +1100,17 @@ function drawShearDiagram(ctx, canvas, c, phiRad) {
     ctx.moveTo(x, axisY0);
     ctx.lineTo(x, axisY0 - 5);
     ctx.stroke();
-    ctx.fillText(sigmaVal.toFixed(0), x - 10, axisY0 + 12);
+    ctx.fillText(units.value(sigmaVal, 'kPa').toFixed(0), x - 10, axisY0 + 12);
     // y ticks
     ctx.beginPath();
     ctx.moveTo(axisX0, y);
     ctx.lineTo(axisX0 + 5, y);
     ctx.stroke();
-    ctx.fillText(tauVal.toFixed(0), axisX0 - 25, y + 3);
+    ctx.fillText(units.value(tauVal, 'kPa').toFixed(0), axisX0 - 25, y + 3);
   }
 }
 
-function drawBearingBar(ctx, canvas, termC, termQ, termGamma) {
+function drawBearingBar(ctx, canvas, termC, termQ, termGamma, units) {
   clearCanvas(ctx, canvas);
   const total = termC + termQ + termGamma;
   if (total <= 0) return;
@@ -291,164 +1133,723 @@ function drawBearingBar(ctx, canvas, termC, termQ, termGamma) {
   ctx.strokeRect(20, 10, barWidth, canvas.height - 20);
   ctx.fillStyle = '#0a253a';
   ctx.font = '10px Arial';
-  ctx.fillText('c′N_c', 25 + barWidth, canvas.height - hC / 2);
-  ctx.fillText('q′N_q', 25 + barWidth, canvas.height - hC - hQ / 2);
-  ctx.fillText('0.5γ′BN_γ', 25 + barWidth, canvas.height - hC - hQ - hG / 2);
+  const term = x => units.value(x, 'kPa').toFixed(0) + ' ' + units.unit('kPa');
+  ctx.fillText('c′N_c·s·d·i = ' + term(termC), 25 + barWidth, canvas.height - hC / 2);
+  ctx.fillText('q′N_q·s·d·i = ' + term(termQ), 25 + barWidth, canvas.height - hC - hQ / 2);
+  ctx.fillText('0.5γ′BN_γ·s·d·i = ' + term(termGamma), 25 + barWidth, canvas.height - hC - hQ - hG / 2);
 }
 
 // ---------------------- Structural ----------------------
 function initStructuralCalculator() {
-  // Beam bending
+  // Beam analysis
+  const beamForm = document.getElementById('form-bending');
+  const supportSelect = document.getElementById('beam-support');
   const bw = document.getElementById('beam-w');
   const bl = document.getElementById('beam-l');
+  const ba = document.getElementById('beam-a');
+  const bb = document.getElementById('beam-b');
   const bE = document.getElementById('beam-e');
   const bI = document.getElementById('beam-i');
+  const bS = document.getElementById('beam-s');
+  const bY = document.getElementById('beam-y');
+  const reactionsOut = document.getElementById('beam-reactions');
+  const momentOut = document.getElementById('beam-moment');
   const stressOut = document.getElementById('beam-stress');
   const deflectOut = document.getElementById('beam-deflection');
   const beamCanvas = document.getElementById('beam-canvas');
   const beamCtx = beamCanvas.getContext('2d');
+  const loadTable = createRowTable(
+    document.getElementById('beam-loads'),
+    document.getElementById('beam-add-load'),
+    [
+      {
+        key: 'type',
+        label: 'Load',
+        type: 'select',
+        options: [['point', 'Point P (kN)'], ['udl', 'Partial w (kN/m)'], ['moment', 'Moment M (kN·m, cw)']],
+      },
+      { key: 'value', label: 'Value', placeholder: '↓ +' },
+      { key: 'x1', label: 'x / start (m)', placeholder: 'm' },
+      { key: 'x2', label: 'End (m)', placeholder: 'UDL only' },
+    ],
+    updateBeam,
+    []
+  );
   function updateBeam() {
-    const w = parseFloat(bw.value);
-    const L = parseFloat(bl.value);
-    const E = parseFloat(bE.value);
-    const I = parseFloat(bI.value);
-    if ([w, L, E, I].some(x => isNaN(x) || x <= 0)) {
+    const units = displayUnits();
+    const support = supportSelect.value;
+    showModeGroups(beamForm, support);
+    const p = {
+      support,
+      L: inputNumber(bl),
+      a: inputNumber(ba),
+      b: inputNumber(bb),
+      w: inputNumber(bw),
+      loads: loadTable.getRows(),
+      E: inputNumber(bE),
+      I: inputNumber(bI),
+      S: inputNumber(bS),
+      y: inputNumber(bY),
+    };
+    const out = CALCULATORS.beam.run(p);
+    if (out.error) {
+      const blank = awaitingInput([p.L, p.E, p.I].concat(support === 'overhang' ? [p.a, p.b] : []));
+      reactionsOut.textContent = 'Reactions: ' + (blank ? '—' : out.error);
+      momentOut.textContent = '—';
       stressOut.textContent = '—';
       deflectOut.textContent = '—';
       clearCanvas(beamCtx, beamCanvas);
       return;
     }
-    // Maximum bending moment (kN*m)
-    const M = w * L * L / 8;
-    // Stress ratio: M / I (kN*m / m^4 -> kPa*m)
-    const stressRatio = (M * 1000) / I; // kN*m -> N*m = *1000, result N/m^3; unrealistic units, but demonstrate ratio
-    // Maximum deflection (m)
-    const wN = w * 1000; // kN/m to N/m
-    const EPa = E * 1e9; // GPa to Pa
-    const deflect = (5 * wN * Math.pow(L, 4)) / (384 * EPa * I);
-    stressOut.textContent = 'M/I: ' + stressRatio.toFixed(2) + ' 1/m³';
-    deflectOut.textContent = 'δ_max: ' + deflect.toFixed(4) + ' m';
-    drawBeamDeflection(beamCtx, beamCanvas, wN, L, EPa, I);
+    const r = out.results;
+    const m = out.intermediate;
+    reactionsOut.textContent = units.text('Reactions: ' + m.reactions.map(rx => {
+      let text = 'x=' + rx.x.toFixed(2) + ' m: ' + rx.force.toFixed(2) + ' kN';
+      if (rx.moment !== undefined) text += ', ' + rx.moment.toFixed(2) + ' kN·m';
+      return text;
+    }).join('; '));
+    momentOut.textContent = units.text('V_max: ' + r.Vmax.toFixed(2) + ' kN, M_max: ' + r.Mmax.toFixed(2) + ' kN·m at x=' +
+      r.xMmax.toFixed(2) + ' m');
+    stressOut.textContent = isNaN(r.stress) ? 'σ_max: — (enter S or y)' : units.text('σ_max: ' + r.stress.toFixed(2) + ' MPa');
+    deflectOut.textContent = units.text('δ_max: ' + r.deflection.toFixed(4) + ' m at x=' + r.xDeflection.toFixed(2) + ' m');
+    drawBeamDeflection(beamCtx, beamCanvas, m, units);
   }
-  [bw, bl, bE, bI].forEach(el => {
+  [supportSelect, bw, bl, ba, bb, bE, bI, bS, bY].forEach(el => {
     el.addEventListener('input', updateBeam);
   });
-  // Buckling
+  updateBeam();
+  // Column buckling and design capacity
   const bucklingE = document.getElementById('buckling-e');
   const bucklingI = document.getElementById('buckling-i');
   const bucklingL = document.getElementById('buckling-l');
   const bucklingK = document.getElementById('buckling-k');
+  const bucklingA = document.getElementById('buckling-a');
+  const bucklingR = document.getElementById('buckling-r');
+  const bucklingFy = document.getElementById('buckling-fy');
+  const bucklingCurve = document.getElementById('buckling-curve');
+  const bucklingPhi = document.getElementById('buckling-phi');
   const pcrOut = document.getElementById('buckling-pcr');
+  const slendernessOut = document.getElementById('buckling-slenderness');
+  const capacityOut = document.getElementById('buckling-capacity');
   const bucklingCanvas = document.getElementById('buckling-canvas');
   const bucklingCtx = bucklingCanvas.getContext('2d');
   function updateBuckling() {
-    const E = parseFloat(bucklingE.value);
-    const I = parseFloat(bucklingI.value);
-    const L = parseFloat(bucklingL.value);
-    const K = parseFloat(bucklingK.value);
-    if ([E, I, L, K].some(x => isNaN(x) || x <= 0)) {
+    const units = displayUnits();
+    const p = { curve: bucklingCurve.value };
+    [['E', bucklingE], ['I', bucklingI], ['L', bucklingL], ['K', bucklingK], ['A', bucklingA], ['r', bucklingR],
+      ['Fy', bucklingFy], ['phi', bucklingPhi]].forEach(([key, el]) => {
+      p[key] = inputNumber(el);
+    });
+    const out = CALCULATORS.buckling.run(p);
+    slendernessOut.textContent = 'KL/r: —';
+    capacityOut.textContent = 'Capacity: —';
+    if (out.error) {
       pcrOut.textContent = '—';
       clearCanvas(bucklingCtx, bucklingCanvas);
       return;
     }
-    const EPa = E * 1e9;
-    const Pcr = (Math.PI * Math.PI * EPa * I) / Math.pow(K * L, 2); // Newtons
-    const PcrkN = Pcr / 1000; // to kN
-    pcrOut.textContent = PcrkN.toFixed(2) + ' kN';
-    drawBucklingColumn(bucklingCtx, bucklingCanvas, PcrkN);
+    const r = out.results;
+    const m = out.intermediate;
+    pcrOut.textContent = units.text('P_cr (Euler): ' + r.Pcr.toFixed(2) + ' kN');
+    if (r.slenderness === undefined) {
+      clearCanvas(bucklingCtx, bucklingCanvas);
+      return;
+    }
+    const lambda = r.slenderness;
+    if (r.Fcr === undefined) {
+      slendernessOut.textContent = 'KL/r: ' + lambda.toFixed(1);
+      drawColumnCurve(bucklingCtx, bucklingCanvas, null, p.E * 1000, NaN, lambda, units);
+      return;
+    }
+    slendernessOut.textContent = 'KL/r: ' + lambda.toFixed(1) + ' (transition ' + m.transition.toFixed(1) + ', ' + m.regime + ')';
+    if (r.Pn !== undefined) {
+      capacityOut.textContent = units.text('F_cr = ' + r.Fcr.toFixed(1) + ' MPa, P_n = ' + r.Pn.toFixed(1) + ' kN' +
+        (r.design !== undefined ? ', design = ' + r.design.toFixed(1) + ' kN' : ''));
+    } else {
+      capacityOut.textContent = units.text('F_cr = ' + r.Fcr.toFixed(1) + ' MPa (enter A for loads)');
+    }
+    drawColumnCurve(bucklingCtx, bucklingCanvas, p.curve, p.E * 1000, p.Fy, lambda, units);
+  }
+  // Each curve family brings its usual resistance factor
+  bucklingCurve.addEventListener('input', () => {
+    bucklingPhi.value = bucklingCurve.value === 'aisc' ? 0.9 : 1;
+  });
+  [bucklingE, bucklingI, bucklingL, bucklingK, bucklingA, bucklingR, bucklingFy, bucklingCurve, bucklingPhi]
+    .forEach(el => {
+      el.addEventListener('input', updateBuckling);
+    });
+  // Section properties
+  const sectionForm = document.getElementById('form-section');
+  const catalogueSelect = document.getElementById('section-catalogue');
+  const shapeSelect = document.getElementById('section-shape');
+  const dimInputs = {
+    b: document.getElementById('section-b'),
+    h: document.getElementById('section-h'),
+    d: document.getElementById('section-d'),
+    t: document.getElementById('section-t'),
+    tf: document.getElementById('section-tf'),
+    tw: document.getElementById('section-tw'),
+  };
+  const areaOut = document.getElementById('section-area');
+  const centroidOut = document.getElementById('section-centroid');
+  const inertiaOut = document.getElementById('section-inertia');
+  const modulusOut = document.getElementById('section-modulus');
+  const radiusOut = document.getElementById('section-radius');
+  const sectionCanvas = document.getElementById('section-canvas');
+  const sectionCtx = sectionCanvas.getContext('2d');
+  const customOption = document.createElement('option');
+  customOption.value = '';
+  customOption.textContent = 'Custom (enter dimensions)';
+  catalogueSelect.appendChild(customOption);
+  Array.from(new Set(SECTION_CATALOGUE.map(sec => sec.group))).forEach(group => {
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group;
+    SECTION_CATALOGUE.forEach((sec, i) => {
+      if (sec.group !== group) return;
+      const opt = document.createElement('option');
+      opt.value = String(i);
+      opt.textContent = sec.name;
+      optgroup.appendChild(opt);
+    });
+    catalogueSelect.appendChild(optgroup);
+  });
+  let sectionProps = null;
+  function updateSection() {
+    const units = displayUnits();
+    const shape = shapeSelect.value;
+    showModeGroups(sectionForm, shape);
+    const entry = SECTION_CATALOGUE[catalogueSelect.value];
+    const p = { catalogue: entry ? entry.name : '', shape };
+    Object.keys(dimInputs).forEach(key => {
+      p[key] = inputNumber(dimInputs[key]);
+    });
+    const out = CALCULATORS.section.run(p);
+    if (out.error) {
+      sectionProps = null;
+      areaOut.textContent = 'A: —';
+      centroidOut.textContent = 'Centroid: —';
+      inertiaOut.textContent = 'I: —';
+      modulusOut.textContent = 'S: —';
+      radiusOut.textContent = 'r: —';
+      clearCanvas(sectionCtx, sectionCanvas);
+      return;
+    }
+    const r = out.results;
+    sectionProps = r;
+    areaOut.textContent = units.text('A: ' + r.A.toFixed(0) + ' mm²' + (out.intermediate.tabulated ? ' (tabulated)' : ''));
+    centroidOut.textContent = units.text('Centroid: x̄ = ' + r.xc.toFixed(1) + ' mm, ȳ = ' + r.yc.toFixed(1) + ' mm');
+    // SI moments of area read in ×10⁶ mm⁴ and moduli in ×10³ mm³; US units need no scaling
+    const si = units.unit('mm⁴') === 'mm⁴';
+    const I = value => (si ? value / 1e6 : units.value(value, 'mm⁴')).toFixed(3);
+    const S = value => (si ? value / 1e3 : units.value(value, 'mm³')).toFixed(1);
+    inertiaOut.textContent = 'Ix = ' + I(r.Ix) + ', Iy = ' + I(r.Iy) +
+      (Math.abs(r.Imin - Math.min(r.Ix, r.Iy)) > 1e-6 * r.Ix ? ', I_min = ' + I(r.Imin) : '') +
+      (si ? ' ×10⁶ mm⁴' : ' ' + units.unit('mm⁴'));
+    modulusOut.textContent = 'Sx = ' + S(r.Sx) + ', Sy = ' + S(r.Sy) + (si ? ' ×10³ mm³' : ' ' + units.unit('mm³'));
+    radiusOut.textContent = units.text('rx = ' + r.rx.toFixed(1) + ' mm, ry = ' + r.ry.toFixed(1) + ' mm, r_min = ' +
+      r.rmin.toFixed(1) + ' mm');
+    drawSection(sectionCtx, sectionCanvas, { ...r, ...out.intermediate });
+  }
+  catalogueSelect.addEventListener('input', () => {
+    const entry = SECTION_CATALOGUE[catalogueSelect.value];
+    if (entry) {
+      shapeSelect.value = entry.shape;
+      Object.keys(dimInputs).forEach(key => {
+        setInputValue(dimInputs[key], entry[key] !== undefined ? entry[key] : '');
+      });
+    }
+    updateSection();
+  });
+  shapeSelect.addEventListener('input', updateSection);
+  Object.values(dimInputs).forEach(el => {
+    el.addEventListener('input', () => {
+      // Editing a dimension turns a catalogue section into a custom one
+      catalogueSelect.value = '';
+      updateSection();
+    });
+  });
+  // Push the section into the Beam (strong axis) and Euler Buckling (weakest axis) forms
+  document.getElementById('section-apply').addEventListener('click', () => {
+    if (!sectionProps) return;
+    const fill = (id, value) => {
+      const el = document.getElementById(id);
+      setInputValue(el, Number(value.toPrecision(6)));
+      el.dispatchEvent(new Event('input'));
+    };
+    bY.value = '';
+    fill('beam-i', sectionProps.Ix * 1e-12);
+    fill('beam-s', sectionProps.Sx * 1e-9);
+    fill('buckling-i', sectionProps.Imin * 1e-12);
+    bucklingR.value = '';
+    fill('buckling-a', sectionProps.A * 1e-6);
+  });
+  updateSection();
+
+  // Reinforced concrete beam and slab design
+  const rcForm = document.getElementById('form-rc');
+  const rcInputs = {
+    member: document.getElementById('rc-member'),
+    section: document.getElementById('rc-section'),
+    fc: document.getElementById('rc-fc'),
+    fy: document.getElementById('rc-fy'),
+    bw: document.getElementById('rc-b'),
+    h: document.getElementById('rc-h'),
+    d: document.getElementById('rc-d'),
+    dp: document.getElementById('rc-dp'),
+    bf: document.getElementById('rc-bf'),
+    hf: document.getElementById('rc-hf'),
+    Mu: document.getElementById('rc-mu'),
+    Vu: document.getElementById('rc-vu'),
+    Ma: document.getElementById('rc-ma'),
+    span: document.getElementById('rc-span'),
+    support: document.getElementById('rc-support'),
+    bar: document.getElementById('rc-bar'),
+    stirrup: document.getElementById('rc-stirrup'),
+    legs: document.getElementById('rc-legs'),
+  };
+  const rcSteelOut = document.getElementById('rc-steel');
+  const rcBarsOut = document.getElementById('rc-bars');
+  const rcCapacityOut = document.getElementById('rc-capacity');
+  const rcShearOut = document.getElementById('rc-shear');
+  const rcCrackOut = document.getElementById('rc-crack');
+  const rcDeflectionOut = document.getElementById('rc-deflection');
+  const rcCanvas = document.getElementById('rc-canvas');
+  const rcCtx = rcCanvas.getContext('2d');
+  function updateRC() {
+    const units = displayUnits();
+    const member = rcInputs.member.value;
+    const tee = member === 'beam' && rcInputs.section.value === 'tee';
+    showModeGroups(rcForm, member);
+    rcInputs.bf.closest('label').classList.toggle('hidden', !tee);
+    rcInputs.hf.closest('label').classList.toggle('hidden', !tee);
+    const p = { member, section: rcInputs.section.value, support: rcInputs.support.value };
+    ['fc', 'fy', 'bw', 'h', 'd', 'dp', 'bf', 'hf', 'Mu', 'Vu', 'Ma', 'span', 'bar', 'stirrup', 'legs'].forEach(key => {
+      p[key] = inputNumber(rcInputs[key]);
+    });
+    const out = CALCULATORS.rc.run(p);
+    if (out.error) {
+      const required = ['fc', 'fy', 'h', 'd', 'Mu'].concat(member === 'beam' ? ['bw', 'dp', 'legs'] : [],
+        tee ? ['bf', 'hf'] : []);
+      rcSteelOut.textContent = 'Steel: ' + (awaitingInput(required.map(key => p[key])) ? '—' : out.error);
+      rcBarsOut.textContent = 'Bars: —';
+      rcCapacityOut.textContent = 'Capacity: —';
+      rcShearOut.textContent = 'Shear: —';
+      rcCrackOut.textContent = 'Cracking: —';
+      rcDeflectionOut.textContent = 'Deflection: —';
+      clearCanvas(rcCtx, rcCanvas);
+      return;
+    }
+    const r = out.results;
+    const m = out.intermediate;
+    rcSteelOut.textContent = units.text('Steel: A_s,req = ' + r.AsReq.toFixed(0) + ' mm²' + (member === 'slab' ? '/m' : '') +
+      (r.AsReq === r.AsMin ? ' (minimum governs)' : '') +
+      (r.AscReq > 0 ? ', A′_s,req = ' + r.AscReq.toFixed(0) + ' mm² (doubly reinforced)' : ' (singly reinforced)'));
+    if (member === 'slab') {
+      rcBarsOut.textContent = units.text('Bars: Ø' + p.bar + ' @ ' + r.spacing + ' mm (A_s = ' + r.As.toFixed(0) +
+        ' mm²/m, s_max = ' + m.spacingMax.toFixed(0) + ' mm)');
+    } else {
+      rcBarsOut.textContent = units.text('Bars: ' + r.nBars + ' × Ø' + p.bar + ' bottom (A_s = ' + r.As.toFixed(0) + ' mm²)' +
+        (r.nTop ? ', ' + r.nTop + ' × Ø' + p.bar + ' top (A′_s = ' + r.Asc.toFixed(0) + ' mm²)' : '') +
+        (m.fitsOneLayer ? ', clear spacing ' + m.clearSpacing.toFixed(0) + ' mm' : ' – will not fit in one layer (clear spacing ' +
+          m.clearSpacing.toFixed(0) + ' mm); use two layers and reduce d'));
+    }
+    rcCapacityOut.textContent = units.text('Capacity: φM_n = ' + r.phiMn.toFixed(1) + ' kN·m ' +
+      (r.phiMn >= p.Mu ? '≥' : '<') + ' M_u; c = ' + m.c.toFixed(0) + ' mm, ε_t = ' + m.epsT.toFixed(4) + ', φ = ' +
+      m.phi.toFixed(2) + ' (' + m.control + ')' + (m.epsT < 0.004 ? ' – ε_t below 0.004, not permitted' : ''));
+    if (r.phiVc === undefined) rcShearOut.textContent = 'Shear: —';
+    else if (m.shearError) rcShearOut.textContent = units.text('Shear: φV_c = ' + r.phiVc.toFixed(1) + ' kN; ' + m.shearError);
+    else if (member === 'slab') rcShearOut.textContent = units.text('Shear: φV_c = ' + r.phiVc.toFixed(1) +
+      ' kN/m ≥ V_u, no shear reinforcement');
+    else {
+      rcShearOut.textContent = units.text('Shear: φV_c = ' + r.phiVc.toFixed(1) + ' kN, V_s = ' + r.Vs.toFixed(1) + ' kN; ' +
+        (m.stirrupsRequired ? p.legs + '-leg Ø' + p.stirrup + ' stirrups @ ' + r.stirrupSpacing + ' mm (s_max = ' +
+          m.stirrupSMax.toFixed(0) + ' mm)' : 'stirrups not required (V_u ≤ φV_c/2)'));
+    }
+    const sv = m.service;
+    if (!sv) {
+      rcCrackOut.textContent = 'Cracking: —';
+      rcDeflectionOut.textContent = units.text('Deflection: —' + (r.hMin ? ' (h_min = ' + r.hMin.toFixed(0) + ' mm)' : ''));
+    } else {
+      rcCrackOut.textContent = units.text('Cracking: f_s = ' + r.fs.toFixed(0) + ' MPa, bar spacing ' + m.pitch.toFixed(0) +
+        ' mm ' + (m.pitch <= r.crackSpacing ? '≤' : '>') + ' s_max = ' + r.crackSpacing.toFixed(0) + ' mm' +
+        (m.pitch <= r.crackSpacing ? ' (OK)' : ' (use smaller bars at closer spacing)'));
+      rcDeflectionOut.textContent = units.text(r.hMin
+        ? 'Deflection: h_min = ' + r.hMin.toFixed(0) + ' mm (' + (p.h >= r.hMin ? 'OK' : 'calculate') + '); Δ_i = ' +
+          r.immediate.toFixed(1) + ' mm, long-term total ' + r.longTerm.toFixed(1) + ' mm (L/' + r.spanRatio.toFixed(0) + ', ' +
+          (r.spanRatio >= 240 ? 'OK' : 'exceeds') + ' L/240), I_e/I_g = ' + (sv.Ie / sv.Ig).toFixed(2)
+        : 'Deflection: M_cr = ' + sv.Mcr.toFixed(1) + ' kN·m, I_e/I_g = ' + (sv.Ie / sv.Ig).toFixed(2) + ' (enter span)');
+    }
+    drawRCSection(rcCtx, rcCanvas, { member, h: p.h, d: p.d, dp: p.dp, bar: p.bar, ...m.geometry }, r, m, units);
   }
-  [bucklingE, bucklingI, bucklingL, bucklingK].forEach(el => {
-    el.addEventListener('input', updateBuckling);
+  Object.values(rcInputs).forEach(el => {
+    el.addEventListener('input', updateRC);
   });
+  updateRC();
 }
 
-function drawBeamDeflection(ctx, canvas, w, L, E, I) {
+function drawSection(ctx, canvas, props) {
   clearCanvas(ctx, canvas);
-  // Draw baseline
-  ctx.strokeStyle = '#0a253a';
+  const margin = 20;
+  const scale = Math.min((canvas.width - 2 * margin) / props.width, (canvas.height - 2 * margin) / props.height);
+  const ox = (canvas.width - props.width * scale) / 2;
+  const oy = (canvas.height + props.height * scale) / 2;
+  const px = x => ox + x * scale;
+  const py = y => oy - y * scale;
+  // Solid parts first, then voids cut out in the background colour
+  [1, -1].forEach(sign => {
+    ctx.fillStyle = sign > 0 ? '#6fa8dc' : '#f9fbfd';
+    props.parts.filter(p => p.sign === sign).forEach(p => {
+      ctx.beginPath();
+      if (p.type === 'rect') ctx.rect(px(p.x), py(p.y + p.h), p.w * scale, p.h * scale);
+      else ctx.arc(px(p.cx), py(p.cy), p.r * scale, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+  });
+  // Centroidal axes
+  ctx.strokeStyle = '#f6b26b';
+  ctx.setLineDash([4, 3]);
   ctx.beginPath();
-  ctx.moveTo(10, canvas.height / 2);
-  ctx.lineTo(canvas.width - 10, canvas.height / 2);
+  ctx.moveTo(px(props.xc), margin / 2);
+  ctx.lineTo(px(props.xc), canvas.height - margin / 2);
+  ctx.moveTo(margin / 2, py(props.yc));
+  ctx.lineTo(canvas.width - margin / 2, py(props.yc));
   ctx.stroke();
-  // Compute deflection curve at discrete points
-  const n = 50;
-  const scaleX = (canvas.width - 20) / L;
-  // Find max deflection to scale y
-  let yMax = 0;
-  const ys = [];
-  for (let i = 0; i <= n; i++) {
-    const x = (L / n) * i;
-    // deflection of simply supported beam with UDL: y(x) = w x (L^3 - 2L x^2 + x^3) / (24 E I)
-    const y = (w * x * (Math.pow(L, 3) - 2 * L * Math.pow(x, 2) + Math.pow(x, 3))) / (24 * E * I);
-    ys.push(y);
-    if (Math.abs(y) > yMax) yMax = Math.abs(y);
-  }
-  const scaleY = yMax > 0 ? (canvas.height / 4) / yMax : 1;
-  // Draw deflection curve
-  ctx.strokeStyle = '#6fa8dc';
+  ctx.setLineDash([]);
+  ctx.fillStyle = '#0a253a';
+  ctx.font = '10px Arial';
+  ctx.fillText('x', canvas.width - margin / 2 - 6, py(props.yc) - 4);
+  ctx.fillText('y', px(props.xc) + 4, margin / 2 + 8);
   ctx.beginPath();
-  for (let i = 0; i <= n; i++) {
-    const x = (L / n) * i;
-    const px = 10 + x * scaleX;
-    const py = canvas.height / 2 - ys[i] * scaleY;
-    if (i === 0) ctx.moveTo(px, py);
-    else ctx.lineTo(px, py);
-  }
-  ctx.stroke();
+  ctx.arc(px(props.xc), py(props.yc), 3, 0, 2 * Math.PI);
+  ctx.fill();
 }
 
-function drawBucklingColumn(ctx, canvas, PcrkN) {
+// Shear force, bending moment and deflection diagrams stacked over the beam length, each marked
+// at its largest magnitude
+function drawBeamDeflection(ctx, canvas, { stations, deflection, supports }, units) {
   clearCanvas(ctx, canvas);
-  // Draw column
-  const colX = canvas.width / 2 - 20;
-  const colYTop = 20;
-  const colYBot = canvas.height - 40;
+  const L = deflection[deflection.length - 1].x;
+  const left = 30;
+  const right = canvas.width - 30;
+  const px = x => left + (x / L) * (right - left);
+  const bandHeight = canvas.height / 3;
+  function plot(points, key, band, color, label, unit) {
+    const extreme = points.reduce((best, p) => (Math.abs(p[key]) > Math.abs(best.value)
+      ? { value: p[key], x: p.x } : best), { value: 0, x: 0 });
+    const top = band * bandHeight + 14;
+    const bottom = (band + 1) * bandHeight - 6;
+    const maxAbs = Math.max(...points.map(p => Math.abs(p[key])), 1e-12);
+    const mid = (top + bottom) / 2;
+    const py = v => mid - (v / maxAbs) * ((bottom - top) / 2);
+    // Baseline (the beam axis)
+    ctx.strokeStyle = '#0a253a';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(px(0), mid);
+    ctx.lineTo(px(L), mid);
+    ctx.stroke();
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.globalAlpha = 0.35;
+    ctx.beginPath();
+    ctx.moveTo(px(points[0].x), mid);
+    points.forEach(p => ctx.lineTo(px(p.x), py(p[key])));
+    ctx.lineTo(px(points[points.length - 1].x), mid);
+    ctx.closePath();
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.beginPath();
+    points.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(px(p.x), py(p[key]));
+      else ctx.lineTo(px(p.x), py(p[key]));
+    });
+    ctx.stroke();
+    // Label with the extreme value at its location
+    ctx.fillStyle = '#0a253a';
+    ctx.font = '10px Arial';
+    ctx.fillText(label, 2, top - 2);
+    ctx.beginPath();
+    ctx.arc(px(extreme.x), py(extreme.value), 3, 0, 2 * Math.PI);
+    ctx.fill();
+    const text = extreme.value.toFixed(unit === 'mm' ? 2 : 1) + ' ' + unit;
+    const tx = Math.min(px(extreme.x) + 5, canvas.width - 60);
+    ctx.fillText(units.text(text), tx, py(extreme.value) + (extreme.value >= 0 ? -4 : 12));
+    return mid;
+  }
+  plot(stations, 'V', 0, '#f6b26b', 'Shear V', 'kN');
+  plot(stations, 'M', 1, '#93c47d', 'Moment M (sagging +)', 'kN·m');
+  const deflMm = deflection.map(p => ({ x: p.x, y: p.y * 1000 }));
+  const axisY = plot(deflMm, 'y', 2, '#6fa8dc', 'Deflection', 'mm');
+  // Supports on the deflection axis: triangles for pins/rollers, a wall for fixed ends
+  ctx.fillStyle = '#0a253a';
+  supports.forEach(sp => {
+    const x = px(sp.x);
+    if (sp.fixed) {
+      ctx.fillRect(x - 2, axisY - 12, 4, 24);
+    } else {
+      ctx.beginPath();
+      ctx.moveTo(x, axisY);
+      ctx.lineTo(x - 5, axisY + 8);
+      ctx.lineTo(x + 5, axisY + 8);
+      ctx.closePath();
+      ctx.fill();
+    }
+  });
+}
+
+// Critical stress against slenderness: Euler hyperbola (dashed), the chosen design curve and the
+// current column. With no curve (Fy unknown) only the Euler stress is drawn.
+function drawColumnCurve(ctx, canvas, curve, E, Fy, lambda, units) {
+  clearCanvas(ctx, canvas);
+  const margin = 30;
+  const x0 = margin;
+  const y0 = canvas.height - margin;
+  const x1 = canvas.width - 10;
+  const y1 = 15;
+  const lambdaMax = Math.max(200, lambda * 1.2);
+  const FeAtPoint = (Math.PI * Math.PI * E) / (lambda * lambda);
+  const sMax = curve ? Fy * 1.2 : Math.min(FeAtPoint * 2, (Math.PI * Math.PI * E) / 400);
+  const px = l => x0 + (l / lambdaMax) * (x1 - x0);
+  const py = f => y0 - (Math.min(f, sMax) / sMax) * (y0 - y1);
+  ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y0);
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x0, y1);
+  ctx.stroke();
+  function trace(stressAt, color, dashed) {
+    ctx.strokeStyle = color;
+    ctx.setLineDash(dashed ? [4, 3] : []);
+    ctx.beginPath();
+    for (let i = 0; i <= 100; i++) {
+      const l = Math.max((lambdaMax * i) / 100, 1);
+      if (i === 0) ctx.moveTo(px(l), py(stressAt(l)));
+      else ctx.lineTo(px(l), py(stressAt(l)));
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  trace(l => (Math.PI * Math.PI * E) / (l * l), '#93c47d', true);
+  let stressAtPoint = FeAtPoint;
+  if (curve) {
+    ctx.lineWidth = 2;
+    trace(l => columnCriticalStress(curve, l, E, Fy).Fcr, '#6fa8dc', false);
+    ctx.lineWidth = 1;
+    const point = columnCriticalStress(curve, lambda, E, Fy);
+    stressAtPoint = point.Fcr;
+    // Transition slenderness
+    ctx.strokeStyle = '#d9d9d9';
+    ctx.beginPath();
+    ctx.moveTo(px(point.transition), y0);
+    ctx.lineTo(px(point.transition), y1);
+    ctx.stroke();
+  }
+  ctx.fillStyle = '#f6b26b';
+  ctx.beginPath();
+  ctx.arc(px(lambda), py(stressAtPoint), 4, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.fillStyle = '#0a253a';
+  ctx.font = '10px Arial';
+  ctx.fillText(units.text(stressAtPoint.toFixed(0) + ' MPa'), Math.min(px(lambda) + 6, x1 - 45), py(stressAtPoint) - 6);
+  ctx.fillText('KL/r', x1 - 25, y0 + 15);
+  ctx.fillText(lambdaMax.toFixed(0), x1 - 20, y0 + 26);
+  ctx.fillText('0', x0 - 3, y0 + 12);
+  ctx.fillText(units.label('F (MPa)'), x0 - 25, y1 - 4);
+  ctx.fillText(units.value(sMax, 'MPa').toFixed(0), 2, y1 + 10);
+}
+
+// Section with bars and neutral axis, the linear strain diagram and the Whitney stress block with
+// the resultant concrete and steel forces; r and a are the rc calculator's results and intermediate values
+function drawRCSection(ctx, canvas, p, r, a, units) {
+  clearCanvas(ctx, canvas);
+  const { h, d, dp, bw, bf, hf, bar } = p;
+  const top = 30;
+  const bottom = canvas.height - 30;
+  const panelW = 110;
+  const scale = Math.min((panelW - 10) / bf, (bottom - top) / h);
+  const cx = 10 + panelW / 2;
+  const py = y => top + y * scale;
+  // Concrete outline
   ctx.fillStyle = '#d9d9d9';
-  ctx.fillRect(colX, colYTop, 40, colYBot - colYTop);
   ctx.strokeStyle = '#0a253a';
-  ctx.strokeRect(colX, colYTop, 40, colYBot - colYTop);
-  // Draw arrow representing load magnitude (scaled)
-  const arrowHeight = Math.min((PcrkN / 1000) * 20, 100); // scale; saturate
-  const arrowY = colYTop - arrowHeight - 10;
-  const arrowX = colX + 20;
-  ctx.strokeStyle = '#6fa8dc';
-  ctx.lineWidth = 3;
   ctx.beginPath();
-  ctx.moveTo(arrowX, colYTop);
-  ctx.lineTo(arrowX, arrowY);
+  ctx.moveTo(cx - (bf / 2) * scale, py(0));
+  ctx.lineTo(cx + (bf / 2) * scale, py(0));
+  ctx.lineTo(cx + (bf / 2) * scale, py(hf));
+  ctx.lineTo(cx + (bw / 2) * scale, py(hf));
+  ctx.lineTo(cx + (bw / 2) * scale, py(h));
+  ctx.lineTo(cx - (bw / 2) * scale, py(h));
+  ctx.lineTo(cx - (bw / 2) * scale, py(hf));
+  ctx.lineTo(cx - (bf / 2) * scale, py(hf));
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+  // Compression block and neutral axis
+  ctx.fillStyle = 'rgba(246, 178, 107, 0.6)';
+  const aDraw = Math.min(a.a, h);
+  ctx.fillRect(cx - (bf / 2) * scale, py(0), bf * scale, Math.min(aDraw, hf) * scale);
+  if (aDraw > hf) ctx.fillRect(cx - (bw / 2) * scale, py(hf), bw * scale, (aDraw - hf) * scale);
+  // Bars: a slab strip shows its spacing, a beam its bar count; radius is kept visible at small scale
+  const radius = Math.max((bar / 2) * scale, 2);
+  const edge = (h - d) * scale;
+  const drawBars = (count, y) => {
+    const x0 = cx - (bw / 2) * scale + edge;
+    const x1 = cx + (bw / 2) * scale - edge;
+    for (let i = 0; i < count; i++) {
+      ctx.beginPath();
+      ctx.arc(count > 1 ? x0 + ((x1 - x0) * i) / (count - 1) : cx, y, radius, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+  };
+  ctx.fillStyle = '#0a253a';
+  drawBars(p.member === 'slab' ? Math.max(2, Math.round(1000 / r.spacing) + 1) : r.nBars, py(d));
+  if (r.nTop) drawBars(r.nTop, py(dp));
+  ctx.strokeStyle = '#cc0000';
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(5, py(a.c));
+  ctx.lineTo(canvas.width - 5, py(a.c));
+  ctx.stroke();
+  ctx.setLineDash([]);
+  // Strain diagram: 0.003 at the top, ε_t at the steel
+  const strainX = 170;
+  const strainScale = 40 / Math.max(0.003, a.epsT);
+  ctx.strokeStyle = '#0a253a';
+  ctx.beginPath();
+  ctx.moveTo(strainX, py(0));
+  ctx.lineTo(strainX, py(h));
   ctx.stroke();
-  // arrow head
+  ctx.fillStyle = 'rgba(111, 168, 220, 0.6)';
+  ctx.beginPath();
+  ctx.moveTo(strainX, py(0));
+  ctx.lineTo(strainX - 0.003 * strainScale, py(0));
+  ctx.lineTo(strainX + a.epsT * strainScale, py(d));
+  ctx.lineTo(strainX, py(d));
+  ctx.closePath();
+  ctx.fill();
+  // Stress block 0.85f′c over a, with C and T arrows
+  const stressX = 240;
   ctx.beginPath();
-  ctx.moveTo(arrowX - 5, arrowY + 10);
-  ctx.lineTo(arrowX, arrowY);
-  ctx.lineTo(arrowX + 5, arrowY + 10);
+  ctx.moveTo(stressX, py(0));
+  ctx.lineTo(stressX, py(h));
   ctx.stroke();
-  // Label
+  ctx.fillStyle = 'rgba(246, 178, 107, 0.8)';
+  ctx.fillRect(stressX - 30, py(0), 30, aDraw * scale);
+  const arrow = (x, y, dir) => {
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + dir * 35, y);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(x + dir * 35, y);
+    ctx.lineTo(x + dir * 29, y - 3);
+    ctx.lineTo(x + dir * 29, y + 3);
+    ctx.closePath();
+    ctx.fill();
+  };
+  ctx.strokeStyle = '#cc0000';
+  ctx.fillStyle = '#cc0000';
+  arrow(stressX + 5, py(tSectionBlock(a.a, bw, bf, hf).y), -1);
+  arrow(stressX - 30, py(d), 1);
+  // Labels
   ctx.fillStyle = '#0a253a';
-  ctx.font = '12px Arial';
-  ctx.fillText(PcrkN.toFixed(1) + ' kN', arrowX + 10, arrowY + 20);
+  ctx.font = '10px Arial';
+  ctx.fillText('Section', cx - 18, 12);
+  ctx.fillText('Strain', strainX - 15, 12);
+  ctx.fillText('Stress', stressX - 15, 12);
+  ctx.fillText('0.003', strainX - 0.003 * strainScale - 2, py(0) - 4);
+  ctx.fillText('ε_t ' + a.epsT.toFixed(4), strainX - 20, py(d) + 14);
+  ctx.fillText('c ' + a.c.toFixed(0), 5, py(a.c) - 3);
+  ctx.fillText('0.85f′c', stressX - 28, py(0) - 4);
+  ctx.fillText(units.text('C ' + a.C.toFixed(0) + ' kN'), stressX + 2, py(tSectionBlock(a.a, bw, bf, hf).y) - 5);
+  ctx.fillText(units.text('T ' + a.T.toFixed(0) + ' kN'), stressX - 30, py(d) + 14);
+  ctx.fillText(units.text('φM_n ' + r.phiMn.toFixed(0) + ' kN·m'), 5, canvas.height - 6);
 }
 
 // ---------------------- Transportation ----------------------
 function initTransportCalculator() {
-  // Fundamental diagram
-  const vfInput = document.getElementById('flow-vf');
-  const kjInput = document.getElementById('flow-kj');
+  // Traffic stream models
+  const flowForm = document.getElementById('form-flow');
+  const modelSelect = document.getElementById('flow-model');
+  const paramInputs = {
+    vf: document.getElementById('flow-vf'),
+    v0: document.getElementById('flow-v0'),
+    kj: document.getElementById('flow-kj'),
+    k0: document.getElementById('flow-k0'),
+    w: document.getElementById('flow-w'),
+  };
+  const dataTypeSelect = document.getElementById('flow-data-type');
+  const dataInput = document.getElementById('flow-data');
+  const dataColumns = { vk: ['km/h', 'veh/km'], vq: ['km/h', 'veh/h'], kq: ['veh/km', 'veh/h'] };
+  const dataExamples = { vk: '85, 20', vq: '85, 1700', kq: '20, 1700' };
+  bindListInput(dataInput, () => dataColumns[dataTypeSelect.value], () => dataExamples[dataTypeSelect.value]);
+  const capacityOut = document.getElementById('flow-capacity');
+  const criticalOut = document.getElementById('flow-critical');
+  const fitOut = document.getElementById('flow-fit-result');
   const flowCanvas = document.getElementById('flow-canvas');
   const flowCtx = flowCanvas.getContext('2d');
+  const vkCanvas = document.getElementById('flow-vk-canvas');
+  const vkCtx = vkCanvas.getContext('2d');
+  const vqCanvas = document.getElementById('flow-vq-canvas');
+  const vqCtx = vqCanvas.getContext('2d');
+  function flowInput(fit) {
+    const p = { model: modelSelect.value, dataType: dataTypeSelect.value, data: inputValue(dataInput), fit };
+    Object.keys(paramInputs).forEach(key => {
+      p[key] = inputNumber(paramInputs[key]);
+    });
+    return p;
+  }
   function updateFlow() {
-    const vf = parseFloat(vfInput.value);
-    const kj = parseFloat(kjInput.value);
-    if (isNaN(vf) || isNaN(kj) || vf <= 0 || kj <= 0) {
-      clearCanvas(flowCtx, flowCanvas);
+    const units = displayUnits();
+    showModeGroups(flowForm, modelSelect.value);
+    setListPlaceholder(dataInput);
+    const out = CALCULATORS['traffic-flow'].run(flowInput('no'));
+    const observed = out.intermediate.observed;
+    if (out.error) {
+      capacityOut.textContent = 'q_max: —';
+      criticalOut.textContent = 'k_c: —';
+      [[flowCtx, flowCanvas], [vkCtx, vkCanvas], [vqCtx, vqCanvas]].forEach(([ctx, canvas]) => clearCanvas(ctx, canvas));
+      if (observed.length) {
+        drawFundamentalDiagram(flowCtx, flowCanvas, vkCtx, vkCanvas, vqCtx, vqCanvas, [], null, observed, units);
+      }
       return;
     }
-    drawFundamentalDiagram(flowCtx, flowCanvas, vf, kj);
+    const r = out.results;
+    capacityOut.textContent = 'q_max: ' + r.qmax.toFixed(0) + ' veh/h';
+    criticalOut.textContent = units.text('k_c: ' + r.kc.toFixed(1) + ' veh/km, v_c: ' + r.vc.toFixed(1) + ' km/h');
+    drawFundamentalDiagram(flowCtx, flowCanvas, vkCtx, vkCanvas, vqCtx, vqCanvas, out.intermediate.curve,
+      { k: r.kc, v: r.vc, q: r.qmax }, observed, units);
   }
-  [vfInput, kjInput].forEach(el => {
+  document.getElementById('flow-fit').addEventListener('click', () => {
+    const out = CALCULATORS['traffic-flow'].run(flowInput('yes'));
+    const fit = out.intermediate.fit;
+    if (!fit) {
+      fitOut.textContent = 'Fit: need at least 3 usable observations';
+      return;
+    }
+    Object.keys(fit.params).forEach(key => {
+      setInputValue(paramInputs[key], Number(fit.params[key].toPrecision(5)));
+    });
+    fitOut.textContent = 'Fit: R² = ' + fit.r2.toFixed(3) + ' on ' + fit.fittedOn + ' (' + fit.n + ' points)';
+    updateFlow();
+  });
+  document.getElementById('flow-file').addEventListener('change', event => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      dataInput.value = reader.result;
+      updateFlow();
+    };
+    reader.readAsText(file);
+  });
+  [modelSelect, dataTypeSelect, dataInput].concat(Object.values(paramInputs)).forEach(el => {
     el.addEventListener('input', updateFlow);
   });
-  // Stopping sight distance
+  updateFlow();
+  // Stopping sight distance and curve design
   const ssdV = document.getElementById('ssd-v');
   const ssdTr = document.getElementById('ssd-tr');
   const ssdF = document.getElementById('ssd-f');
@@ -456,33 +1857,179 @@ function initTransportCalculator() {
   const ssdOutput = document.getElementById('ssd-distance');
   const ssdCanvas = document.getElementById('ssd-canvas');
   const ssdCtx = ssdCanvas.getContext('2d');
+  const vcInputs = {
+    g1: document.getElementById('vc-g1'),
+    g2: document.getElementById('vc-g2'),
+    h1: document.getElementById('vc-h1'),
+    h2: document.getElementById('vc-h2'),
+    headlight: document.getElementById('vc-hl'),
+    beam: document.getElementById('vc-beam'),
+    L: document.getElementById('vc-l'),
+    pviStation: document.getElementById('vc-pvi-sta'),
+    pviElevation: document.getElementById('vc-pvi-elev'),
+    interval: document.getElementById('curve-interval'),
+  };
+  const hcInputs = {
+    e: document.getElementById('hc-e'),
+    fs: document.getElementById('hc-fs'),
+    R: document.getElementById('hc-r'),
+    delta: document.getElementById('hc-delta'),
+    piStation: document.getElementById('hc-pi-sta'),
+  };
+  const vcLengthOut = document.getElementById('vc-length');
+  const vcDetailsOut = document.getElementById('vc-details');
+  const vcTable = document.getElementById('vc-table');
+  const vcCanvas = document.getElementById('vc-canvas');
+  const vcCtx = vcCanvas.getContext('2d');
+  const hcRadiusOut = document.getElementById('hc-radius');
+  const hcDetailsOut = document.getElementById('hc-details');
+  const hcTable = document.getElementById('hc-table');
+  const hcCanvas = document.getElementById('hc-canvas');
+  const hcCtx = hcCanvas.getContext('2d');
+  function readValues(inputs) {
+    const values = {};
+    Object.keys(inputs).forEach(key => {
+      values[key] = inputNumber(inputs[key]);
+    });
+    return values;
+  }
   function updateSSD() {
-    const v = parseFloat(ssdV.value);
-    const tr = parseFloat(ssdTr.value);
-    const f = parseFloat(ssdF.value);
-    const G = parseFloat(ssdG.value);
-    if ([v, tr, f, G].some(x => isNaN(x) || v <= 0 || tr <= 0)) {
-      ssdOutput.textContent = '—';
+    const units = displayUnits();
+    const p = Object.assign({ v: inputNumber(ssdV), tr: inputNumber(ssdTr), f: inputNumber(ssdF),
+      G: inputNumber(ssdG) }, readValues(vcInputs), readValues(hcInputs));
+    const out = CALCULATORS['sight-distance'].run(p);
+    const r = out.error ? { ssd: NaN, vertical: null, horizontal: null } : out.results;
+    if (!isNaN(r.ssd)) {
+      ssdOutput.textContent = units.text(r.ssd.toFixed(1) + ' m');
+      drawStoppingDistance(ssdCtx, ssdCanvas, r.ssd, units);
+    } else {
+      // Filled-in values that still give no distance are invalid rather than incomplete
+      ssdOutput.textContent = !out.error && [ssdTr, ssdF, ssdG].every(el => el.value !== '') ? 'Invalid parameters' : '—';
       clearCanvas(ssdCtx, ssdCanvas);
+    }
+    showVerticalCurve(r.vertical, out.intermediate, p, units);
+    showHorizontalCurve(r.horizontal, out.intermediate, r.ssd, p, units);
+  }
+  function showVerticalCurve(vc, m, p, units) {
+    vcDetailsOut.textContent = '';
+    fillResultTable(vcTable, [], []);
+    if (!vc) {
+      vcLengthOut.textContent = 'L_min: —';
+      clearCanvas(vcCtx, vcCanvas);
       return;
     }
-    const v_ms = 0.278 * v;
-    const denom = 19.6 * (f + G);
-    if (denom <= 0) {
-      ssdOutput.textContent = 'Invalid parameters';
-      clearCanvas(ssdCtx, ssdCanvas);
+    vcLengthOut.textContent = units.text('L_min: ' + vc.Lmin.toFixed(1) + ' m (' + vc.type + ', ' + vc.criterion +
+      ', A = ' + vc.A.toFixed(2) + '%, K = ' + vc.K.toFixed(1) + ')');
+    let details = 'BVC ' + units.station(vc.bvc) + ', EVC ' + units.station(vc.evc);
+    const turning = m.verticalTurningPoint;
+    if (turning) {
+      details += '; ' + (vc.type === 'crest' ? 'high' : 'low') + ' point at ' + units.station(turning.station) +
+        ', elev ' + turning.elevation.toFixed(3) + ' m';
+    }
+    if (p.L > 0 && p.L < vc.Lmin) details += '; design L is below the minimum';
+    vcDetailsOut.textContent = units.text(details);
+    fillResultTable(vcTable, ['Station', 'Elevation (m)'], m.verticalProfile.map(pt => [
+      units.station(pt.station),
+      pt.elevation.toFixed(3),
+    ]), units);
+    drawVerticalCurve(vcCtx, vcCanvas, { ...vc, g1: p.g1, g2: p.g2, points: m.verticalProfile }, vc.type, units);
+  }
+  function showHorizontalCurve(hc, m, S, p, units) {
+    hcDetailsOut.textContent = '';
+    fillResultTable(hcTable, [], []);
+    if (!hc) {
+      hcRadiusOut.textContent = 'R_min: —';
+      clearCanvas(hcCtx, hcCanvas);
       return;
     }
-    const ds = 0.278 * tr * v + (v_ms * v_ms) / denom;
-    ssdOutput.textContent = ds.toFixed(1) + ' m';
-    drawStoppingDistance(ssdCtx, ssdCanvas, ds);
+    hcRadiusOut.textContent = units.text('R_min: ' + hc.Rmin.toFixed(1) + ' m');
+    const details = [];
+    if (!isNaN(hc.M)) details.push('M = ' + hc.M.toFixed(2) + ' m for SSD ' + S.toFixed(1) + ' m');
+    if (p.R > 0 && p.R < hc.Rmin) details.push('design R is below the minimum');
+    if (m.horizontalStakeout) {
+      details.push('T = ' + hc.T.toFixed(2) + ' m, Lc = ' + hc.Lc.toFixed(2) + ' m, E = ' +
+        hc.E.toFixed(2) + ' m; PC ' + units.station(hc.pc) + ', PT ' + units.station(hc.pt));
+      fillResultTable(hcTable, ['Station', 'Deflection (°)', 'Chord from PC (m)'], m.horizontalStakeout.map(pt => [
+        units.station(pt.station),
+        pt.deflection.toFixed(4),
+        pt.chord.toFixed(3),
+      ]), units);
+    }
+    hcDetailsOut.textContent = units.text(details.join('; '));
+    // Without a deflection angle, sketch an arc spanning the sight distance
+    const sketchDelta = m.horizontalStakeout ? p.delta : Math.min(isNaN(S) ? 60 : (S / hc.R) * (180 / Math.PI), 90);
+    drawHorizontalCurve(hcCtx, hcCanvas, hc.R, sketchDelta, hc.M, units);
   }
-  [ssdV, ssdTr, ssdF, ssdG].forEach(el => {
+  [ssdV, ssdTr, ssdF, ssdG].concat(Object.values(vcInputs), Object.values(hcInputs)).forEach(el => {
     el.addEventListener('input', updateSSD);
   });
+  // Signal timing
+  const cycleInput = document.getElementById('signal-cycle');
+  const cycleOut = document.getElementById('signal-cycle-out');
+  const signalSummaryOut = document.getElementById('signal-summary');
+  const signalResults = document.getElementById('signal-results');
+  const signalCanvas = document.getElementById('signal-canvas');
+  const signalCtx = signalCanvas.getContext('2d');
+  const phaseTable = createRowTable(
+    document.getElementById('signal-phases'),
+    document.getElementById('signal-add-phase'),
+    [
+      { key: 'name', label: 'Phase', type: 'text', placeholder: 'e.g. NS' },
+      { key: 'volume', label: 'Critical volume (veh/h)', placeholder: 'veh/h' },
+      { key: 'saturation', label: 'Saturation flow (veh/h)', placeholder: 'veh/h', value: 1800 },
+      { key: 'lost', label: 'Lost time (s)', placeholder: 's', value: 4 },
+    ],
+    updateSignal
+  );
+  function updateSignal() {
+    const phases = phaseTable.getRows();
+    const out = CALCULATORS.signal.run({ phases, cycle: inputNumber(cycleInput) });
+    if (out.error) {
+      cycleOut.textContent = 'C: —';
+      signalSummaryOut.textContent = awaitingInput([], phases, ['volume', 'saturation', 'lost'], 2) ? '' : sentence(out.error);
+      fillResultTable(signalResults, [], []);
+      clearCanvas(signalCtx, signalCanvas);
+      return;
+    }
+    const r = out.results;
+    const m = out.intermediate;
+    cycleOut.textContent = 'C: ' + r.C.toFixed(1) + ' s' + (m.optimum ? ' (Webster optimum)' : '') +
+      ', C_opt = ' + r.Copt.toFixed(1) + ' s';
+    signalSummaryOut.textContent = 'Y = Σ v/s = ' + r.Y.toFixed(3) + ', L = ' + r.L.toFixed(1) +
+      ' s, intersection delay ' + r.delay.toFixed(1) + ' s/veh (LOS ' + r.los + ')';
+    fillResultTable(
+      signalResults,
+      ['Phase', 'v/s', 'g (s)', 'X', 'Delay (s/veh)', 'LOS'],
+      m.phases.map(ph => [
+        ph.name,
+        ph.y.toFixed(3),
+        ph.g.toFixed(1),
+        ph.X.toFixed(2),
+        ph.delay.toFixed(1),
+        ph.los,
+      ])
+    );
+    drawSignalTiming(signalCtx, signalCanvas, { C: r.C, phases: m.phases });
+  }
+  cycleInput.addEventListener('input', updateSignal);
+}
+
+// Flow–density, speed–density and speed–flow plots of the model (when given) over the observations
+function drawFundamentalDiagram(flowCtx, flowCanvas, vkCtx, vkCanvas, vqCtx, vqCanvas, curve, critical, observed, units) {
+  const all = curve.concat(observed);
+  const vCap = critical ? Math.max(critical.v * 2.5, ...observed.map(o => o.v)) : Infinity;
+  const vMax = Math.min(Math.max(...all.map(o => o.v)), vCap);
+  const kMax = Math.max(...all.map(o => o.k));
+  const qMax = Math.max(...all.map(o => o.q));
+  drawStreamPlot(flowCtx, flowCanvas, curve, observed, critical, 'k', 'q', kMax, qMax, 'Density (k)', 'Flow (q)', units);
+  drawStreamPlot(vkCtx, vkCanvas, curve, observed, critical, 'k', 'v', kMax, vMax, 'Density (k)', 'Speed (v)', units);
+  drawStreamPlot(vqCtx, vqCanvas, curve, observed, critical, 'q', 'v', qMax, vMax, 'Flow (q)', 'Speed (v)', units);
 }
 
-function drawFundamentalDiagram(ctx, canvas, vf, kj) {
+// SI units of the traffic stream variables; flow is veh/h in either system
+const STREAM_UNITS = { k: 'veh/km', v: 'km/h' };
+
+function drawStreamPlot(ctx, canvas, curve, observed, critical, xKey, yKey, xMax, yMax, xLabel, yLabel, units) {
   clearCanvas(ctx, canvas);
   // Axes
   const margin = 30;
@@ -491,34 +2038,54 @@ function drawFundamentalDiagram(ctx, canvas, vf, kj) {
   const x1 = canvas.width - margin;
   const y1 = margin;
   ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 1;
   ctx.beginPath();
   ctx.moveTo(x0, y0);
   ctx.lineTo(x1, y0);
   ctx.moveTo(x0, y0);
   ctx.lineTo(x0, y1);
   ctx.stroke();
-  // Plot q = vf k (1 - k/kj)
-  const n = 50;
-  const maxQ = (vf * kj) / 4;
-  ctx.strokeStyle = '#6fa8dc';
-  ctx.beginPath();
-  for (let i = 0; i <= n; i++) {
-    const k = (kj / n) * i;
-    const q = vf * k * (1 - k / kj);
-    const px = x0 + (k / kj) * (x1 - x0);
-    const py = y0 - (q / maxQ) * (y0 - y1);
-    if (i === 0) ctx.moveTo(px, py);
-    else ctx.lineTo(px, py);
+  const px = x => x0 + (x / xMax) * (x1 - x0);
+  const py = y => y0 - (Math.min(y, yMax) / yMax) * (y0 - y1);
+  const tick = (value, key) => (STREAM_UNITS[key] ? units.value(value, STREAM_UNITS[key]) : value).toFixed(0);
+  // Observations
+  ctx.fillStyle = '#b7b7b7';
+  observed.forEach(o => {
+    ctx.beginPath();
+    ctx.arc(px(o[xKey]), py(o[yKey]), 2, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+  // Model curve
+  if (curve.length) {
+    ctx.strokeStyle = '#6fa8dc';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    curve.forEach((pt, i) => {
+      if (i === 0) ctx.moveTo(px(pt[xKey]), py(pt[yKey]));
+      else ctx.lineTo(px(pt[xKey]), py(pt[yKey]));
+    });
+    ctx.stroke();
+    ctx.lineWidth = 1;
   }
-  ctx.stroke();
   // Labels
   ctx.fillStyle = '#0a253a';
   ctx.font = '10px Arial';
-  ctx.fillText('Density (k)', x1 - 50, y0 + 15);
-  ctx.fillText('Flow (q)', x0 - 25, y1);
+  if (critical) {
+    ctx.fillStyle = '#f6b26b';
+    ctx.beginPath();
+    ctx.arc(px(critical[xKey]), py(critical[yKey]), 4, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillStyle = '#0a253a';
+    ctx.fillText('(' + tick(critical[xKey], xKey) + ', ' + tick(critical[yKey], yKey) + ')',
+      Math.min(px(critical[xKey]) + 6, x1 - 40), py(critical[yKey]) - 4);
+  }
+  ctx.fillText(xLabel, x1 - 50, y0 + 15);
+  ctx.fillText(tick(xMax, xKey), x1 - 10, y0 + 26);
+  ctx.fillText(yLabel, x0 - 25, y1 - 8);
+  ctx.fillText(tick(yMax, yKey), 2, y1 + 8);
 }
 
-function drawStoppingDistance(ctx, canvas, ds) {
+function drawStoppingDistance(ctx, canvas, ds, units) {
   clearCanvas(ctx, canvas);
   const margin = 20;
   const trackLength = canvas.width - 2 * margin;
@@ -545,54 +2112,459 @@ function drawStoppingDistance(ctx, canvas, ds) {
   // Label distance
   ctx.fillStyle = '#0a253a';
   ctx.font = '12px Arial';
-  ctx.fillText(ds.toFixed(1) + ' m', margin, canvas.height / 2 + 35);
+  ctx.fillText(units.text(ds.toFixed(1) + ' m'), margin, canvas.height / 2 + 35);
+}
+
+// Profile sketch: approach and departure tangents through the PVI and the parabolic curve
+function drawVerticalCurve(ctx, canvas, curve, type, units) {
+  clearCanvas(ctx, canvas);
+  const margin = 25;
+  const L = curve.evc - curve.bvc;
+  const sMin = curve.bvc - L * 0.25;
+  const sMax = curve.evc + L * 0.25;
+  const tangentAt = st => curve.pviElevation + ((st < curve.pviStation ? curve.g1 : curve.g2) / 100) *
+    (st - curve.pviStation);
+  const elevs = [tangentAt(sMin), tangentAt(sMax), curve.pviElevation].concat(curve.points.map(p => p.elevation));
+  const eMin = Math.min(...elevs);
+  const eMax = Math.max(...elevs);
+  const eRange = Math.max(eMax - eMin, 1e-6);
+  const px = st => margin + ((st - sMin) / (sMax - sMin)) * (canvas.width - 2 * margin);
+  const py = el => canvas.height - margin - ((el - eMin) / eRange) * (canvas.height - 2 * margin);
+  ctx.strokeStyle = '#b7b7b7';
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(px(sMin), py(tangentAt(sMin)));
+  ctx.lineTo(px(curve.pviStation), py(curve.pviElevation));
+  ctx.lineTo(px(sMax), py(tangentAt(sMax)));
+  ctx.stroke();
+  ctx.setLineDash([]);
+  // Road profile: tangents outside the curve, parabola between BVC and EVC
+  ctx.strokeStyle = '#6fa8dc';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(px(sMin), py(tangentAt(sMin)));
+  const n = 50;
+  for (let i = 0; i <= n; i++) {
+    const x = (L * i) / n;
+    const st = curve.bvc + x;
+    const el = tangentAt(curve.bvc) + (curve.g1 / 100) * x + ((curve.g2 - curve.g1) / 100 / (2 * L)) * x * x;
+    ctx.lineTo(px(st), py(el));
+  }
+  ctx.lineTo(px(sMax), py(tangentAt(sMax)));
+  ctx.stroke();
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#0a253a';
+  ctx.font = '10px Arial';
+  [['BVC', curve.bvc, curve.points[0].elevation], ['EVC', curve.evc, curve.points[curve.points.length - 1].elevation],
+    ['PVI', curve.pviStation, curve.pviElevation]].forEach(([label, st, el]) => {
+    ctx.beginPath();
+    ctx.arc(px(st), py(el), 3, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillText(label, px(st) - 10, py(el) + (type === 'crest' ? 14 : -6));
+  });
+  ctx.fillText(units.text((type === 'crest' ? 'Crest' : 'Sag') + ' curve, L = ' + L.toFixed(1) + ' m'), margin, 12);
+}
+
+// Plan sketch: the arc between its tangents and the middle-ordinate sight clearance (dashed)
+function drawHorizontalCurve(ctx, canvas, R, delta, M, units) {
+  clearCanvas(ctx, canvas);
+  const deltaRad = (delta * Math.PI) / 180;
+  // Fit the arc chord across the canvas; the circle centre sits below the arc
+  const chord = 2 * R * Math.sin(deltaRad / 2);
+  const scale = Math.min((canvas.width - 60) / chord, (canvas.height - 50) / Math.max(R * (1 - Math.cos(deltaRad / 2)) +
+    R * Math.tan(deltaRad / 2) * Math.sin(deltaRad / 2), 1e-6));
+  const cx = canvas.width / 2;
+  const apexY = 25;
+  const cy = apexY + R * scale;
+  const start = -Math.PI / 2 - deltaRad / 2;
+  const end = -Math.PI / 2 + deltaRad / 2;
+  const pc = [cx + R * scale * Math.cos(start), cy + R * scale * Math.sin(start)];
+  const pt = [cx + R * scale * Math.cos(end), cy + R * scale * Math.sin(end)];
+  const T = R * Math.tan(deltaRad / 2) * scale;
+  // Tangents extended from PC and PT to the PI
+  const pi = [cx, cy - (R * scale) / Math.cos(deltaRad / 2)];
+  ctx.strokeStyle = '#b7b7b7';
+  ctx.beginPath();
+  ctx.moveTo(pc[0] - T * Math.cos(deltaRad / 2) * 0.5, pc[1] + T * Math.sin(deltaRad / 2) * 0.5);
+  ctx.lineTo(pi[0], pi[1]);
+  ctx.lineTo(pt[0] + T * Math.cos(deltaRad / 2) * 0.5, pt[1] + T * Math.sin(deltaRad / 2) * 0.5);
+  ctx.stroke();
+  ctx.strokeStyle = '#6fa8dc';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(cx, cy, R * scale, start, end);
+  ctx.stroke();
+  ctx.lineWidth = 1;
+  if (!isNaN(M)) {
+    ctx.strokeStyle = '#f6b26b';
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - R * scale);
+    ctx.lineTo(cx, cy - R * scale + M * scale);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  ctx.fillStyle = '#0a253a';
+  ctx.font = '10px Arial';
+  ctx.fillText('PC', pc[0] - 18, pc[1] + 4);
+  ctx.fillText('PT', pt[0] + 5, pt[1] + 4);
+  ctx.fillText(units.text('R = ' + R.toFixed(0) + ' m, Δ = ' + delta.toFixed(1) + '°'), 5, canvas.height - 8);
+  if (!isNaN(M)) {
+    ctx.fillText(units.text('M = ' + M.toFixed(2) + ' m'), cx + 5, Math.min(cy - R * scale + M * scale, canvas.height - 20));
+  }
+}
+
+// Single-ring timing diagram: each phase's effective green followed by its lost time
+function drawSignalTiming(ctx, canvas, timing) {
+  clearCanvas(ctx, canvas);
+  const left = 20;
+  const right = canvas.width - 20;
+  const px = t => left + (t / timing.C) * (right - left);
+  const barTop = 50;
+  const barHeight = 40;
+  const greens = ['#93c47d', '#6fa8dc', '#8e7cc3', '#76a5af'];
+  let t = 0;
+  ctx.font = '10px Arial';
+  timing.phases.forEach((ph, i) => {
+    ctx.fillStyle = greens[i % greens.length];
+    ctx.fillRect(px(t), barTop, px(t + ph.g) - px(t), barHeight);
+    ctx.fillStyle = '#0a253a';
+    ctx.fillText(ph.name, px(t) + 3, barTop + 16);
+    ctx.fillText(ph.g.toFixed(0) + ' s', px(t) + 3, barTop + 30);
+    t += ph.g;
+    ctx.fillStyle = '#f6b26b';
+    ctx.fillRect(px(t), barTop, px(t + ph.lost) - px(t), barHeight);
+    t += ph.lost;
+  });
+  ctx.strokeStyle = '#0a253a';
+  ctx.strokeRect(left, barTop, right - left, barHeight);
+  // Time axis
+  ctx.beginPath();
+  ctx.moveTo(left, barTop + barHeight + 15);
+  ctx.lineTo(right, barTop + barHeight + 15);
+  ctx.stroke();
+  ctx.fillStyle = '#0a253a';
+  const step = timing.C > 120 ? 30 : 10;
+  for (let s = 0; s <= timing.C; s += step) {
+    ctx.beginPath();
+    ctx.moveTo(px(s), barTop + barHeight + 12);
+    ctx.lineTo(px(s), barTop + barHeight + 18);
+    ctx.stroke();
+    ctx.fillText(String(s), px(s) - 5, barTop + barHeight + 30);
+  }
+  ctx.fillText('Cycle ' + timing.C.toFixed(1) + ' s (green = effective green, orange = lost time)', left, 25);
 }
 
 // ---------------------- Environmental ----------------------
 function initEnvironmentCalculator() {
+  const doForm = document.getElementById('form-do');
+  const modeSelect = document.getElementById('do-mode');
   const k1Input = document.getElementById('do-k1');
   const k2Input = document.getElementById('do-k2');
+  const tempInput = document.getElementById('do-temp');
+  const theta1Input = document.getElementById('do-theta1');
+  const theta2Input = document.getElementById('do-theta2');
+  const salinityInput = document.getElementById('do-salinity');
+  const velocityInput = document.getElementById('do-velocity');
+  const standardInput = document.getElementById('do-standard');
   const laInput = document.getElementById('do-la');
   const daInput = document.getElementById('do-da');
+  const reachQInput = document.getElementById('reach-q');
+  const reachBodInput = document.getElementById('reach-bod');
+  const reachDoInput = document.getElementById('reach-do');
+  const reachLengthInput = document.getElementById('reach-length');
+  const satOut = document.getElementById('do-sat');
+  const criticalOut = document.getElementById('do-critical');
+  const minOut = document.getElementById('do-min');
   const doCanvas = document.getElementById('do-canvas');
   const doCtx = doCanvas.getContext('2d');
+  const sourceTable = createRowTable(
+    document.getElementById('reach-sources'),
+    document.getElementById('reach-add-source'),
+    [
+      { key: 'x', label: 'Distance (km)', placeholder: 'km' },
+      { key: 'Q', label: 'Flow (m³/s)', placeholder: 'm³/s' },
+      { key: 'bod', label: 'BOD_u (mg/L)', placeholder: 'mg/L' },
+      { key: 'DO', label: 'DO (mg/L)', placeholder: 'mg/L' },
+    ],
+    updateDO,
+    [{}]
+  );
   function updateDO() {
-    const k1 = parseFloat(k1Input.value);
-    const k2 = parseFloat(k2Input.value);
-    const La = parseFloat(laInput.value);
-    const Da = parseFloat(daInput.value);
-    if ([k1, k2, La, Da].some(x => isNaN(x) || x < 0) || k1 === k2) {
+    const units = displayUnits();
+    const mode = modeSelect.value;
+    showModeGroups(doForm, mode);
+    const p = { mode, sources: sourceTable.getRows() };
+    [['k1', k1Input], ['k2', k2Input], ['T', tempInput], ['theta1', theta1Input], ['theta2', theta2Input],
+      ['salinity', salinityInput], ['velocity', velocityInput], ['standard', standardInput], ['La', laInput], ['Da', daInput],
+      ['Q', reachQInput], ['bod', reachBodInput], ['DO', reachDoInput], ['length', reachLengthInput]].forEach(([key, el]) => {
+      p[key] = inputNumber(el);
+    });
+    const out = CALCULATORS.do.run(p);
+    // An error past the saturation check still carries DO_sat
+    const DOsat = out.results ? out.results.DOsat : out.intermediate ? out.intermediate.DOsat : NaN;
+    satOut.textContent = units.text(isNaN(DOsat) ? 'DO_sat: —' : 'DO_sat: ' + DOsat.toFixed(2) + ' mg/L at ' + p.T + ' °C');
+    if (out.error) {
+      criticalOut.textContent = 'Critical point: —';
+      minOut.textContent = 'Minimum DO: —';
       clearCanvas(doCtx, doCanvas);
       return;
     }
-    drawDOSag(doCtx, doCanvas, k1, k2, La, Da);
+    const r = out.results;
+    const m = out.intermediate;
+    // Rates are entered at 20 °C
+    const rates = 'k1 = ' + m.k1.toFixed(3) + ', k2 = ' + m.k2.toFixed(3) + ' /day';
+    const hasDistance = !isNaN(r.xc);
+    const where = mode === 'reach' ? [] : ['t_c = ' + r.tc.toFixed(2) + ' days'];
+    if (hasDistance) where.push('x_c = ' + r.xc.toFixed(2) + ' km');
+    criticalOut.textContent = units.text('Critical point: ' + where.join(', ') + ', D_c = ' + r.Dc.toFixed(2) + ' mg/L (' +
+      rates + ')');
+    minOut.textContent = 'Minimum DO: ' + r.minDO.toFixed(2) + ' mg/L' + complianceNote(r.minDO, p.standard);
+    const points = hasDistance ? m.profile : m.profile.map(pt => ({ x: pt.t, DO: pt.DO }));
+    drawDOSag(doCtx, doCanvas, points, hasDistance ? 'Distance (km)' : 'Time (days)', r.DOsat, p.standard, {
+      x: hasDistance ? r.xc : r.tc,
+      DO: r.minDO,
+    }, units);
   }
-  [k1Input, k2Input, laInput, daInput].forEach(el => {
+  [modeSelect, k1Input, k2Input, tempInput, theta1Input, theta2Input, salinityInput, velocityInput, standardInput,
+    laInput, daInput, reachQInput, reachBodInput, reachDoInput, reachLengthInput].forEach(el => {
     el.addEventListener('input', updateDO);
   });
+  updateDO();
+  // BOD kinetics from lab readings
+  const bodMethod = document.getElementById('bod-method');
+  const bodK1Out = document.getElementById('bod-k1');
+  const bodLuOut = document.getElementById('bod-lu');
+  const bodFitOut = document.getElementById('bod-fit');
+  const bodCanvas = document.getElementById('bod-canvas');
+  const bodCtx = bodCanvas.getContext('2d');
+  const readingTable = createRowTable(
+    document.getElementById('bod-readings'),
+    document.getElementById('bod-add-reading'),
+    [
+      { key: 't', label: 'Time (days)', placeholder: 'days' },
+      { key: 'y', label: 'BOD (mg/L)', placeholder: 'mg/L' },
+    ],
+    updateBOD,
+    [{}, {}, {}, {}, {}]
+  );
+  let bodFit = null;
+  function updateBOD() {
+    const out = CALCULATORS.bod.run({ method: bodMethod.value, readings: readingTable.getRows() });
+    const readings = out.intermediate.readings;
+    bodFit = out.error ? null : out.results;
+    if (!bodFit) {
+      bodK1Out.textContent = 'k1: —';
+      bodLuOut.textContent = 'Lu: —';
+      bodFitOut.textContent = readings.length ? 'Need at least 3 readings at different times' : '';
+      clearCanvas(bodCtx, bodCanvas);
+      if (readings.length) drawBODFit(bodCtx, bodCanvas, readings, null);
+      return;
+    }
+    bodK1Out.textContent = 'k1: ' + bodFit.k1.toFixed(3) + ' /day (base e)';
+    bodLuOut.textContent = 'Lu: ' + bodFit.Lu.toFixed(1) + ' mg/L, BOD5 = ' + bodFit.BOD5.toFixed(1) + ' mg/L';
+    bodFitOut.textContent = 'R² = ' + out.intermediate.r2.toFixed(3) + ' (' + readings.length + ' readings)';
+    drawBODFit(bodCtx, bodCanvas, readings, bodFit);
+  }
+  bodMethod.addEventListener('input', updateBOD);
+  document.getElementById('bod-use-fit').addEventListener('click', () => {
+    if (!bodFit) return;
+    k1Input.value = bodFit.k1.toFixed(3);
+    laInput.value = bodFit.Lu.toFixed(1);
+    modeSelect.value = 'single';
+    updateDO();
+  });
+  updateBOD();
+  // Primary clarifier sizing
+  const clarForm = document.getElementById('form-clarifier');
+  const clarInputs = {
+    Q: document.getElementById('clar-q'),
+    n: document.getElementById('clar-n'),
+    D: document.getElementById('clar-d'),
+    L: document.getElementById('clar-l'),
+    W: document.getElementById('clar-w'),
+    depth: document.getElementById('clar-depth'),
+    bod: document.getElementById('clar-bod'),
+    tss: document.getElementById('clar-tss'),
+  };
+  const clarShape = document.getElementById('clar-shape');
+  const sorOut = document.getElementById('clar-sor');
+  const clarHrtOut = document.getElementById('clar-hrt');
+  const weirOut = document.getElementById('clar-weir');
+  const removalOut = document.getElementById('clar-removal');
+  const clarCheckOut = document.getElementById('clar-check');
+  function updateClarifier() {
+    const units = displayUnits();
+    const shape = clarShape.value;
+    showModeGroups(clarForm, shape);
+    const p = { shape };
+    Object.keys(clarInputs).forEach(key => {
+      p[key] = inputNumber(clarInputs[key]);
+    });
+    const out = CALCULATORS.clarifier.run(p);
+    if (out.error) {
+      sorOut.textContent = 'Overflow rate: —';
+      clarHrtOut.textContent = 'Detention time: —';
+      weirOut.textContent = 'Weir loading: —';
+      removalOut.textContent = 'Removal: —';
+      clarCheckOut.textContent = '';
+      return;
+    }
+    const r = out.results;
+    sorOut.textContent = units.text('Overflow rate: ' + r.sor.toFixed(1) + ' m³/m²·d (area ' + out.intermediate.area.toFixed(0) +
+      ' m²)');
+    clarHrtOut.textContent = 'Detention time: ' + r.hrt.toFixed(2) + ' h';
+    weirOut.textContent = units.text('Weir loading: ' + r.weir.toFixed(0) + ' m³/m·d (' +
+      (shape === 'circular' ? 'peripheral weir' : 'end weir') + ')');
+    let removal = 'Removal: BOD ' + r.bodRemoval.toFixed(0) + '%, TSS ' + r.tssRemoval.toFixed(0) + '%';
+    const effluent = [];
+    if (!isNaN(r.effluentBOD)) effluent.push('BOD5 ' + r.effluentBOD.toFixed(0) + ' mg/L');
+    if (!isNaN(r.effluentTSS)) effluent.push('TSS ' + r.effluentTSS.toFixed(0) + ' mg/L');
+    if (effluent.length) removal += ' → effluent ' + effluent.join(', ');
+    removalOut.textContent = units.text(removal);
+    clarCheckOut.textContent = out.warnings.length
+      ? units.text('Check: ' + out.warnings.join('; '))
+      : 'Within typical primary clarifier ranges';
+  }
+  [clarShape].concat(Object.values(clarInputs)).forEach(el => {
+    el.addEventListener('input', updateClarifier);
+  });
+  updateClarifier();
+  // Activated-sludge aeration basin
+  const asInputs = {
+    Q: document.getElementById('as-q'),
+    S0: document.getElementById('as-s0'),
+    S: document.getElementById('as-s'),
+    V: document.getElementById('as-v'),
+    X: document.getElementById('as-x'),
+    Qw: document.getElementById('as-qw'),
+    Xr: document.getElementById('as-xr'),
+    Xe: document.getElementById('as-xe'),
+    Y: document.getElementById('as-y'),
+    kd: document.getElementById('as-kd'),
+    f: document.getElementById('as-f'),
+  };
+  const asHrtOut = document.getElementById('as-hrt');
+  const fmOut = document.getElementById('as-fm');
+  const srtOut = document.getElementById('as-srt');
+  const pxOut = document.getElementById('as-px');
+  const o2Out = document.getElementById('as-o2');
+  const asCheckOut = document.getElementById('as-check');
+  let effluentBODu = NaN;
+  function updateSludge() {
+    const p = {};
+    Object.keys(asInputs).forEach(key => {
+      p[key] = inputNumber(asInputs[key]);
+    });
+    const out = CALCULATORS.sludge.run(p);
+    effluentBODu = out.error ? NaN : out.intermediate.effluentBODu;
+    if (out.error) {
+      asHrtOut.textContent = 'HRT: —';
+      fmOut.textContent = 'F/M: —';
+      srtOut.textContent = 'SRT: —';
+      pxOut.textContent = 'Sludge production: —';
+      o2Out.textContent = 'Oxygen demand: —';
+      asCheckOut.textContent = '';
+      return;
+    }
+    const r = out.results;
+    asHrtOut.textContent = 'HRT: ' + r.hrt.toFixed(1) + ' h';
+    fmOut.textContent = 'F/M: ' + r.fm.toFixed(2) + ' g BOD/g VSS·d';
+    srtOut.textContent = 'SRT: ' + r.srt.toFixed(1) + ' days';
+    pxOut.textContent = 'Sludge production: ' + r.px.toFixed(0) + ' kg VSS/d';
+    o2Out.textContent = 'Oxygen demand: ' + r.o2.toFixed(0) + ' kg O₂/d';
+    asCheckOut.textContent = (out.warnings.length ? 'Check: ' + out.warnings.join('; ') : 'Within conventional activated-sludge ranges') +
+      ' — effluent BODu ' + effluentBODu.toFixed(1) + ' mg/L';
+  }
+  Object.values(asInputs).forEach(el => {
+    el.addEventListener('input', updateSludge);
+  });
+  document.getElementById('as-use-effluent').addEventListener('click', () => {
+    if (isNaN(effluentBODu)) return;
+    laInput.value = effluentBODu.toFixed(1);
+    modeSelect.value = 'single';
+    updateDO();
+  });
+  updateSludge();
+  // Gaussian plume dispersion
+  const plumeInputs = {
+    Q: document.getElementById('plume-q'),
+    hs: document.getElementById('plume-hs'),
+    ds: document.getElementById('plume-ds'),
+    vs: document.getElementById('plume-vs'),
+    Ts: document.getElementById('plume-ts'),
+    Ta: document.getElementById('plume-ta'),
+    u10: document.getElementById('plume-u'),
+    x: document.getElementById('plume-x'),
+    y: document.getElementById('plume-y'),
+  };
+  const plumeClass = document.getElementById('plume-class');
+  const riseOut = document.getElementById('plume-rise');
+  const concOut = document.getElementById('plume-conc');
+  const plumeMaxOut = document.getElementById('plume-max');
+  const plumeCanvas = document.getElementById('plume-canvas');
+  const plumeCtx = plumeCanvas.getContext('2d');
+  const planCanvas = document.getElementById('plume-plan-canvas');
+  const planCtx = planCanvas.getContext('2d');
+  function updatePlume() {
+    const units = displayUnits();
+    const p = { stability: plumeClass.value };
+    Object.keys(plumeInputs).forEach(key => {
+      p[key] = inputNumber(plumeInputs[key]);
+    });
+    const out = CALCULATORS.plume.run(p);
+    if (out.error) {
+      riseOut.textContent = 'Plume rise: —';
+      concOut.textContent = 'C(x, y, 0): —';
+      plumeMaxOut.textContent = 'Maximum: —';
+      clearCanvas(plumeCtx, plumeCanvas);
+      clearCanvas(planCtx, planCanvas);
+      return;
+    }
+    const r = out.results;
+    const m = out.intermediate;
+    riseOut.textContent = units.text('Plume rise: Δh = ' + m.dh.toFixed(1) + ' m, H = ' + m.H.toFixed(1) +
+      ' m (u at stack = ' + m.u.toFixed(2) + ' m/s)');
+    const y = isNaN(p.y) ? 0 : p.y;
+    const receptor = p.x > 0 ? { x: p.x, y } : null;
+    concOut.textContent = units.text(receptor
+      ? 'C(' + p.x + ' m, ' + y + ' m, 0): ' + r.concentration.toPrecision(3) + ' µg/m³'
+      : 'C(x, y, 0): —');
+    plumeMaxOut.textContent = units.text('Maximum: ' + r.cMax.toPrecision(3) + ' µg/m³ at x = ' + r.xMax.toFixed(0) + ' m');
+    drawPlumeProfile(plumeCtx, plumeCanvas, m.centreline, r, receptor, units);
+    drawPlumePlan(planCtx, planCanvas, m.centreline, r, receptor, units);
+  }
+  [plumeClass].concat(Object.values(plumeInputs)).forEach(el => {
+    el.addEventListener('input', updatePlume);
+  });
+  updatePlume();
+}
+
+// Centreline concentration and σy at x, interpolated between the calculator's samples
+function plumeCentrelineAt(centreline, x) {
+  const step = centreline[1].x;
+  const i = Math.min(Math.floor(x / step), centreline.length - 2);
+  const f = x / step - i;
+  const a = centreline[i];
+  const b = centreline[i + 1];
+  return { C: a.C + (b.C - a.C) * f, sigmaY: a.sigmaY + (b.sigmaY - a.sigmaY) * f };
 }
 
-function drawDOSag(ctx, canvas, k1, k2, La, Da) {
+// Ground-level concentration along the plume centreline with the maximum and receptor marked
+function drawPlumeProfile(ctx, canvas, centreline, { xMax, cMax }, receptor, units) {
   clearCanvas(ctx, canvas);
-  // Time scale (days)
-  const n = 50;
-  const tMax = 10;
-  // Compute DO deficit over time
-  const values = [];
-  let maxD = 0;
-  for (let i = 0; i <= n; i++) {
-    const t = (tMax / n) * i;
-    const D = (k1 * La) / (k2 - k1) * (Math.exp(-k1 * t) - Math.exp(-k2 * t)) + Da * Math.exp(-k2 * t);
-    values.push({ t, D });
-    if (D > maxD) maxD = D;
-  }
+  const xEnd = centreline[centreline.length - 1].x;
+  const yMax = cMax * 1.1;
   // Axes
   const margin = 30;
   const x0 = margin;
   const y0 = canvas.height - margin;
   const x1 = canvas.width - margin;
   const y1 = margin;
+  const px = x => x0 + (x / xEnd) * (x1 - x0);
+  const py = c => y0 - (Math.min(c, yMax) / yMax) * (y0 - y1);
   ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 1;
   ctx.beginPath();
   ctx.moveTo(x0, y0);
   ctx.lineTo(x1, y0);
@@ -601,126 +2573,899 @@ function drawDOSag(ctx, canvas, k1, k2, La, Da) {
   ctx.stroke();
   // Plot curve
   ctx.strokeStyle = '#6fa8dc';
+  ctx.lineWidth = 2;
   ctx.beginPath();
-  values.forEach((pt, i) => {
-    const px = x0 + (pt.t / tMax) * (x1 - x0);
-    const py = y0 - (pt.D / Math.max(maxD, 1e-6)) * (y0 - y1);
-    if (i === 0) ctx.moveTo(px, py);
-    else ctx.lineTo(px, py);
+  centreline.forEach((pt, i) => {
+    if (i === 0) ctx.moveTo(px(pt.x), py(pt.C));
+    else ctx.lineTo(px(pt.x), py(pt.C));
   });
   ctx.stroke();
+  ctx.lineWidth = 1;
   // Labels
+  ctx.fillStyle = '#f6b26b';
+  ctx.beginPath();
+  ctx.arc(px(xMax), py(cMax), 4, 0, 2 * Math.PI);
+  ctx.fill();
+  if (receptor) {
+    ctx.fillStyle = '#cc0000';
+    ctx.beginPath();
+    ctx.arc(px(receptor.x), py(plumeCentrelineAt(centreline, receptor.x).C), 3, 0, 2 * Math.PI);
+    ctx.fill();
+  }
   ctx.fillStyle = '#0a253a';
   ctx.font = '10px Arial';
-  ctx.fillText('Time (days)', x1 - 50, y0 + 15);
-  ctx.fillText('DO deficit', x0 - 25, y1);
+  ctx.fillText(units.text('x_max ' + xMax.toFixed(0) + ' m'), Math.min(px(xMax) + 6, x1 - 60), py(cMax) + 4);
+  ctx.fillText(units.label('Downwind (m)'), x1 - 65, y0 + 15);
+  ctx.fillText(units.value(xEnd, 'm').toFixed(0), x1 - 10, y0 + 26);
+  ctx.fillText('C (µg/m³)', x0 - 25, y1 - 8);
+  ctx.fillText(yMax.toPrecision(3), 2, y1 + 8);
 }
 
-// ---------------------- Hydraulics ----------------------
-function initHydraulicsCalculator() {
-  const bInput = document.getElementById('manning-b');
-  const dInput = document.getElementById('manning-d');
-  const sInput = document.getElementById('manning-s');
-  const nInput = document.getElementById('manning-n');
-  const qOutput = document.getElementById('manning-q');
-  const canvas = document.getElementById('manning-canvas');
-  const ctx = canvas.getContext('2d');
-  function updateManning() {
-    const b = parseFloat(bInput.value);
-    const d = parseFloat(dInput.value);
-    const S = parseFloat(sInput.value);
-    const n = parseFloat(nInput.value);
-    if ([b, d, S, n].some(x => isNaN(x) || x <= 0)) {
-      qOutput.textContent = '—';
-      clearCanvas(ctx, canvas);
-      return;
+// Plan view of ground-level concentration shaded in bands of the maximum; crosswind the plume is
+// Gaussian about the centreline with spread σy
+function drawPlumePlan(ctx, canvas, centreline, { cMax }, receptor, units) {
+  clearCanvas(ctx, canvas);
+  const end = centreline[centreline.length - 1];
+  const xEnd = end.x;
+  const yHalf = Math.max(3 * end.sigmaY, receptor ? Math.abs(receptor.y) * 1.1 : 0);
+  const margin = 30;
+  const x0 = margin;
+  const x1 = canvas.width - margin;
+  const yTop = margin / 2;
+  const yBottom = canvas.height - margin;
+  const yMid = (yTop + yBottom) / 2;
+  const px = x => x0 + (x / xEnd) * (x1 - x0);
+  const py = y => yMid - (y / yHalf) * ((yBottom - yTop) / 2);
+  const levels = [
+    [0.9, '#990000'],
+    [0.5, '#e06666'],
+    [0.25, '#f6b26b'],
+    [0.1, '#ffe599'],
+    [0.01, '#d9ead3'],
+  ];
+  const cell = 4;
+  for (let sx = x0; sx < x1; sx += cell) {
+    for (let sy = yTop; sy < yBottom; sy += cell) {
+      const x = ((sx + cell / 2 - x0) / (x1 - x0)) * xEnd;
+      const y = ((yMid - (sy + cell / 2)) / ((yBottom - yTop) / 2)) * yHalf;
+      const at = plumeCentrelineAt(centreline, x);
+      const ratio = (at.C * Math.exp(-(y * y) / (2 * at.sigmaY * at.sigmaY))) / cMax;
+      const band = levels.find(([level]) => ratio >= level);
+      if (!band) continue;
+      ctx.fillStyle = band[1];
+      ctx.fillRect(sx, sy, cell, cell);
     }
-    const A = b * d;
-    const P = b + 2 * d;
-    const Rh = A / P;
-    const Q = (1 / n) * A * Math.pow(Rh, 2 / 3) * Math.sqrt(S);
-    qOutput.textContent = Q.toFixed(3) + ' m³/s';
-    drawManningChannel(ctx, canvas, b, d, Q);
   }
-  [bInput, dInput, sInput, nInput].forEach(el => {
-    el.addEventListener('input', updateManning);
-  });
+  // Stack, centreline and receptor
+  ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(x0, yMid);
+  ctx.lineTo(x1, yMid);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.strokeRect(x0, yTop, x1 - x0, yBottom - yTop);
+  ctx.fillStyle = '#0a253a';
+  ctx.beginPath();
+  ctx.arc(x0, yMid, 3, 0, 2 * Math.PI);
+  ctx.fill();
+  if (receptor) {
+    ctx.strokeStyle = '#0a253a';
+    ctx.beginPath();
+    ctx.moveTo(px(receptor.x) - 4, py(receptor.y) - 4);
+    ctx.lineTo(px(receptor.x) + 4, py(receptor.y) + 4);
+    ctx.moveTo(px(receptor.x) - 4, py(receptor.y) + 4);
+    ctx.lineTo(px(receptor.x) + 4, py(receptor.y) - 4);
+    ctx.stroke();
+  }
+  ctx.font = '10px Arial';
+  ctx.fillText('Wind →', x0 + 4, yTop + 10);
+  ctx.fillText('Bands: 90/50/25/10/1% of max', x0, yBottom + 14);
+  ctx.fillText(units.text(xEnd.toFixed(0) + ' m'), x1 - 20, yBottom + 24);
+  ctx.fillText(units.text('±' + yHalf.toFixed(0) + ' m'), 2, yTop + 8);
 }
 
-function drawManningChannel(ctx, canvas, b, d, Q) {
+// Lab readings with the fitted first-order curve and its ultimate BOD asymptote
+function drawBODFit(ctx, canvas, readings, fit) {
   clearCanvas(ctx, canvas);
-  // Scale width and depth to canvas
-  const margin = 20;
-  const maxDim = Math.max(b, d);
-  const scale = (canvas.height - 2 * margin) / (maxDim * 1.5);
-  const width = b * scale;
-  const depth = d * scale;
-  const startX = (canvas.width - width) / 2;
-  const waterY = canvas.height - margin;
-  // Draw channel walls
+  const tMax = Math.max(...readings.map(r => r.t)) * 1.2;
+  const yMax = Math.max(fit ? fit.Lu : 0, ...readings.map(r => r.y)) * 1.1;
+  // Axes
+  const margin = 30;
+  const x0 = margin;
+  const y0 = canvas.height - margin;
+  const x1 = canvas.width - margin;
+  const y1 = margin;
+  const px = t => x0 + (t / tMax) * (x1 - x0);
+  const py = y => y0 - (y / yMax) * (y0 - y1);
   ctx.strokeStyle = '#0a253a';
-  ctx.fillStyle = '#ffffff';
-  ctx.strokeRect(startX, waterY - depth, width, depth);
-  // Draw water
-  ctx.fillStyle = '#6fa8dc';
-  ctx.fillRect(startX, waterY - depth, width, depth);
-  ctx.strokeRect(startX, waterY - depth, width, depth);
-  // Flow arrow length scaled by Q
-  const arrowLength = Math.min(width * 0.8, (Q / 10) * (width * 0.8));
-  ctx.strokeStyle = '#f6b26b';
-  ctx.lineWidth = 3;
-  const arrowY = waterY - depth / 2;
+  ctx.lineWidth = 1;
   ctx.beginPath();
-  ctx.moveTo(startX + width * 0.1, arrowY);
-  ctx.lineTo(startX + width * 0.1 + arrowLength, arrowY);
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y0);
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x0, y1);
   ctx.stroke();
-  ctx.beginPath();
-  ctx.moveTo(startX + width * 0.1 + arrowLength, arrowY);
-  ctx.lineTo(startX + width * 0.1 + arrowLength - 5, arrowY - 5);
-  ctx.lineTo(startX + width * 0.1 + arrowLength - 5, arrowY + 5);
-  ctx.closePath();
+  ctx.fillStyle = '#0a253a';
+  ctx.font = '10px Arial';
+  if (fit) {
+    ctx.setLineDash([4, 3]);
+    ctx.strokeStyle = '#93c47d';
+    ctx.beginPath();
+    ctx.moveTo(x0, py(fit.Lu));
+    ctx.lineTo(x1, py(fit.Lu));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillText('Lu', x1 - 15, py(fit.Lu) - 3);
+    ctx.strokeStyle = '#6fa8dc';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i <= 100; i++) {
+      const t = (tMax / 100) * i;
+      const y = fit.Lu * (1 - Math.exp(-fit.k1 * t));
+      if (i === 0) ctx.moveTo(px(t), py(y));
+      else ctx.lineTo(px(t), py(y));
+    }
+    ctx.stroke();
+    ctx.lineWidth = 1;
+  }
+  // Readings
   ctx.fillStyle = '#f6b26b';
-  ctx.fill();
-  // Label Q
+  readings.forEach(r => {
+    ctx.beginPath();
+    ctx.arc(px(r.t), py(r.y), 3, 0, 2 * Math.PI);
+    ctx.fill();
+  });
   ctx.fillStyle = '#0a253a';
-  ctx.font = '12px Arial';
-  ctx.fillText(Q.toFixed(2) + ' m³/s', startX + 5, waterY - depth - 5);
+  ctx.fillText('Time (days)', x1 - 55, y0 + 15);
+  ctx.fillText(tMax.toFixed(1), x1 - 10, y0 + 26);
+  ctx.fillText('BOD (mg/L)', x0 - 25, y1 - 8);
+  ctx.fillText(yMax.toFixed(0), 2, y1 + 8);
+}
+
+// DO against time or distance with the saturation level, regulatory minimum and the low point
+function drawDOSag(ctx, canvas, points, xLabel, DOsat, standard, critical, units) {
+  clearCanvas(ctx, canvas);
+  const xMax = Math.max(points[points.length - 1].x, 1e-6);
+  const yMax = Math.max(DOsat, ...points.map(pt => pt.DO)) * 1.05;
+  const yMin = Math.min(0, ...points.map(pt => pt.DO));
+  // Axes
+  const margin = 30;
+  const x0 = margin;
+  const y0 = canvas.height - margin;
+  const x1 = canvas.width - margin;
+  const y1 = margin;
+  const px = x => x0 + (x / xMax) * (x1 - x0);
+  const py = v => y0 - ((v - yMin) / (yMax - yMin)) * (y0 - y1);
+  ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y0);
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x0, y1);
+  ctx.stroke();
+  // Saturation and regulatory minimum
+  ctx.setLineDash([4, 3]);
+  ctx.strokeStyle = '#93c47d';
+  ctx.beginPath();
+  ctx.moveTo(x0, py(DOsat));
+  ctx.lineTo(x1, py(DOsat));
+  ctx.stroke();
+  if (!isNaN(standard)) {
+    ctx.strokeStyle = '#cc0000';
+    ctx.beginPath();
+    ctx.moveTo(x0, py(standard));
+    ctx.lineTo(x1, py(standard));
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+  // Plot curve
+  ctx.strokeStyle = '#6fa8dc';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  points.forEach((pt, i) => {
+    if (i === 0) ctx.moveTo(px(pt.x), py(pt.DO));
+    else ctx.lineTo(px(pt.x), py(pt.DO));
+  });
+  ctx.stroke();
+  ctx.lineWidth = 1;
+  // Labels
+  ctx.fillStyle = '#f6b26b';
+  ctx.beginPath();
+  ctx.arc(px(critical.x), py(critical.DO), 4, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.fillStyle = '#0a253a';
+  ctx.font = '10px Arial';
+  ctx.fillText(critical.DO.toFixed(2) + ' mg/L', Math.min(px(critical.x) + 6, x1 - 45), py(critical.DO) + 14);
+  ctx.fillText('DO_sat', x1 - 30, py(DOsat) - 3);
+  if (!isNaN(standard)) ctx.fillText('min ' + standard, x1 - 30, py(standard) - 3);
+  const xUnit = labelUnit(xLabel);
+  ctx.fillText(units.label(xLabel), x1 - 60, y0 + 15);
+  ctx.fillText((xUnit ? units.value(xMax, xUnit) : xMax).toFixed(1), x1 - 10, y0 + 26);
+  ctx.fillText('DO (mg/L)', x0 - 25, y1 - 8);
+  ctx.fillText(yMax.toFixed(1), 2, y1 + 8);
+}
+
+// ---------------------- Hydraulics ----------------------
+function initHydraulicsCalculator() {
+  const manningForm = document.getElementById('form-manning');
+  const shapeSelect = document.getElementById('manning-shape');
+  const solveSelect = document.getElementById('manning-solve');
+  const bInput = document.getElementById('manning-b');
+  const zInput = document.getElementById('manning-z');
+  const diaInput = document.getElementById('manning-dia');
+  const dInput = document.getElementById('manning-d');
+  const qInput = document.getElementById('manning-qin');
+  const sInput = document.getElementById('manning-s');
+  const nInput = document.getElementById('manning-n');
+  const qOutput = document.getElementById('manning-q');
+  const ycOutput = document.getElementById('manning-yc');
+  const vOutput = document.getElementById('manning-v');
+  const frOutput = document.getElementById('manning-fr');
+  const eOutput = document.getElementById('manning-e');
+  const canvas = document.getElementById('manning-canvas');
+  const ctx = canvas.getContext('2d');
+  const energyCanvas = document.getElementById('manning-energy-canvas');
+  const energyCtx = energyCanvas.getContext('2d');
+  function showBlank(message, units) {
+    qOutput.textContent = units.text(message || '—');
+    ycOutput.textContent = 'Critical depth: —';
+    vOutput.textContent = 'Velocity: —';
+    frOutput.textContent = 'Froude number: —';
+    eOutput.textContent = 'Specific energy: —';
+    clearCanvas(ctx, canvas);
+    clearCanvas(energyCtx, energyCanvas);
+  }
+  function updateManning() {
+    const units = displayUnits();
+    const shape = shapeSelect.value;
+    const solve = solveSelect.value;
+    showModeGroups(manningForm, shape);
+    dInput.closest('label').classList.toggle('hidden', solve !== 'flow');
+    qInput.closest('label').classList.toggle('hidden', solve !== 'depth');
+    const p = { shape, solve };
+    [['b', bInput], ['z', zInput], ['dia', diaInput], ['d', dInput], ['q', qInput], ['s', sInput], ['n', nInput]]
+      .forEach(([key, el]) => {
+        p[key] = inputNumber(el);
+      });
+    const out = CALCULATORS.manning.run(p);
+    if (out.error) {
+      const dimensions = { rectangular: ['b'], trapezoidal: ['b', 'z'], triangular: ['z'], circular: ['dia'] }[shape];
+      const blank = awaitingInput(dimensions.concat('s', 'n', solve === 'flow' ? 'd' : 'q').map(key => p[key]));
+      showBlank((solve === 'flow' ? 'Q: ' : 'Normal depth: ') + (blank ? '—' : out.error), units);
+      return;
+    }
+    const r = out.results;
+    qOutput.textContent = units.text(solve === 'flow' ? 'Q: ' + r.Q.toFixed(3) + ' m³/s'
+      : 'Normal depth: ' + r.yn.toFixed(3) + ' m');
+    ycOutput.textContent = units.text('Critical depth: ' + (isNaN(r.yc) ? '—' : r.yc.toFixed(3) + ' m'));
+    vOutput.textContent = units.text('Velocity: ' + r.V.toFixed(3) + ' m/s');
+    frOutput.textContent = 'Froude number: ' + r.Fr.toFixed(3) + ' (' + r.regime + ')';
+    eOutput.textContent = units.text('Specific energy: ' + r.E.toFixed(3) + ' m' +
+      (isNaN(r.yc) ? '' : ' (E_min = ' + out.intermediate.Emin.toFixed(3) + ' m)'));
+    const section = { shape, b: p.b, z: p.z, D: p.dia };
+    drawManningChannel(ctx, canvas, section, r.yn, r.yc, r.Q, units);
+    drawSpecificEnergy(energyCtx, energyCanvas, section, r.Q, r.yn, r.yc, units);
+  }
+  [shapeSelect, solveSelect, bInput, zInput, diaInput, dInput, qInput, sInput, nInput].forEach(el => {
+    el.addEventListener('input', updateManning);
+  });
+  updateManning();
+  // Pressurised pipe flow
+  const pipeForm = document.getElementById('form-pipe');
+  const pipeMethod = document.getElementById('pipe-method');
+  const pipeSolve = document.getElementById('pipe-solve');
+  const pipeInputs = {
+    L: document.getElementById('pipe-l'),
+    D: document.getElementById('pipe-d'),
+    Q: document.getElementById('pipe-q'),
+    H: document.getElementById('pipe-h'),
+    eps: document.getElementById('pipe-eps'),
+    nu: document.getElementById('pipe-nu'),
+    C: document.getElementById('pipe-c'),
+    K: document.getElementById('pipe-k'),
+  };
+  const pipeResultOut = document.getElementById('pipe-result');
+  const pipeLossOut = document.getElementById('pipe-losses');
+  const pipeVelocityOut = document.getElementById('pipe-velocity');
+  const pipeFrictionOut = document.getElementById('pipe-friction');
+  function updatePipe() {
+    const units = displayUnits();
+    const method = pipeMethod.value;
+    const solve = pipeSolve.value;
+    showModeGroups(pipeForm, method);
+    pipeInputs.D.closest('label').classList.toggle('hidden', solve === 'diameter');
+    pipeInputs.Q.closest('label').classList.toggle('hidden', solve === 'flow');
+    pipeInputs.H.closest('label').classList.toggle('hidden', solve === 'headloss');
+    const p = { method, solve };
+    Object.keys(pipeInputs).forEach(key => {
+      p[key] = inputNumber(pipeInputs[key]);
+    });
+    const out = CALCULATORS.pipe.run(p);
+    if (out.error) {
+      pipeResultOut.textContent = '—';
+      pipeLossOut.textContent = 'Losses: —';
+      pipeVelocityOut.textContent = 'Velocity: —';
+      pipeFrictionOut.textContent = 'Friction: —';
+      return;
+    }
+    const r = out.results;
+    const m = out.intermediate;
+    if (solve === 'headloss') pipeResultOut.textContent = units.text('Head loss: ' + r.h.toFixed(3) + ' m');
+    else if (solve === 'flow') pipeResultOut.textContent = units.text('Flow: ' + r.Q.toFixed(2) + ' L/s');
+    else pipeResultOut.textContent = units.text('Diameter: ' + r.D.toFixed(1) + ' mm (internal)');
+    pipeLossOut.textContent = units.text('Losses: friction ' + r.hf.toFixed(3) + ' m + minor ' + r.hm.toFixed(3) + ' m');
+    pipeVelocityOut.textContent = units.text('Velocity: ' + r.V.toFixed(2) + ' m/s');
+    pipeFrictionOut.textContent = method === 'hazen'
+      ? 'Friction: C = ' + p.C + ', S_f = ' + m.Sf.toFixed(5) + ' m/m'
+      : 'Friction: f = ' + m.f.toFixed(4) + ', Re = ' + m.Re.toExponential(2) + ' (' + m.regime + ')';
+  }
+  [pipeMethod, pipeSolve].concat(Object.values(pipeInputs)).forEach(el => {
+    el.addEventListener('input', updatePipe);
+  });
+  updatePipe();
+  // Pipe network
+  const networkMethod = document.getElementById('network-method');
+  const networkFriction = document.getElementById('network-friction');
+  const networkStatus = document.getElementById('network-status');
+  const pipeResults = document.getElementById('network-pipe-results');
+  const nodeResults = document.getElementById('network-node-results');
+  const networkCanvas = document.getElementById('network-canvas');
+  const networkCtx = networkCanvas.getContext('2d');
+  const nodeTable = createRowTable(
+    document.getElementById('network-nodes'),
+    document.getElementById('network-add-node'),
+    [
+      { key: 'id', label: 'ID', type: 'text', placeholder: 'e.g. J1' },
+      { key: 'type', label: 'Type', type: 'select', options: [['junction', 'Junction'], ['reservoir', 'Reservoir']] },
+      { key: 'x', label: 'x (m)', placeholder: 'm' },
+      { key: 'y', label: 'y (m)', placeholder: 'm' },
+      { key: 'level', label: 'Elevation / water level (m)', placeholder: 'm' },
+      { key: 'demand', label: 'Demand (L/s)', placeholder: 'L/s' },
+    ],
+    updateNetwork,
+    [{ type: 'reservoir' }, {}, {}]
+  );
+  const networkPipeTable = createRowTable(
+    document.getElementById('network-pipes'),
+    document.getElementById('network-add-pipe'),
+    [
+      { key: 'id', label: 'ID', type: 'text', placeholder: 'e.g. P1' },
+      { key: 'from', label: 'From', type: 'text', placeholder: 'node' },
+      { key: 'to', label: 'To', type: 'text', placeholder: 'node' },
+      { key: 'L', label: 'Length (m)', placeholder: 'm' },
+      { key: 'D', label: 'Diameter (mm)', placeholder: 'mm' },
+      // Hazen–Williams C is dimensionless; only ε follows the unit system
+      { key: 'C', label: 'C', placeholder: 'Hazen–Williams' },
+      { key: 'eps', label: 'ε (mm)', placeholder: 'mm' },
+    ],
+    updateNetwork,
+    [{}, {}]
+  );
+  function updateNetwork() {
+    const units = displayUnits();
+    const p = {
+      method: networkMethod.value,
+      friction: networkFriction.value,
+      nodes: nodeTable.getRows(),
+      pipes: networkPipeTable.getRows(),
+    };
+    const out = CALCULATORS.network.run(p);
+    if (out.error) {
+      const blank = awaitingInput([], p.nodes, ['id']) ||
+        awaitingInput([], p.pipes, ['from', 'to', 'L', 'D', p.friction === 'hazen' ? 'C' : 'eps']);
+      networkStatus.textContent = blank ? '—' : sentence(out.error);
+      fillResultTable(pipeResults, [], []);
+      fillResultTable(nodeResults, [], []);
+      clearCanvas(networkCtx, networkCanvas);
+      return;
+    }
+    const r = out.results;
+    const m = out.intermediate;
+    networkStatus.textContent = (m.converged ? 'Converged' : 'Not converged') + ' after ' + m.iterations + ' iterations';
+    fillResultTable(pipeResults, ['Pipe', 'Q (L/s)', 'V (m/s)', 'h_f (m)'], r.pipes.map(pipe => [
+      pipe.id + ' (' + pipe.from + '→' + pipe.to + ')',
+      pipe.Q.toFixed(2),
+      pipe.V.toFixed(2),
+      pipe.hf.toFixed(3),
+    ]), units);
+    fillResultTable(nodeResults, ['Node', 'Head (m)', 'Pressure (m)', 'Pressure (kPa)'], r.nodes.map(n => {
+      if (n.type === 'reservoir') return [n.id + ' (reservoir)', n.head.toFixed(2), '—', '—'];
+      return [n.id, n.head.toFixed(2), n.pressure.toFixed(2), n.pressureKPa.toFixed(1)];
+    }), units);
+    drawPipeNetwork(networkCtx, networkCanvas, m.positions, r, units);
+  }
+  [networkMethod, networkFriction].forEach(el => {
+    el.addEventListener('input', updateNetwork);
+  });
+  updateNetwork();
+  // Design storm hydrograph and detention pond routing
+  const hydroInputs = {
+    A: document.getElementById('hydro-area'),
+    CN: document.getElementById('hydro-cn'),
+    tc: document.getElementById('hydro-tc'),
+    dt: document.getElementById('hydro-dt'),
+  };
+  const uhSelect = document.getElementById('hydro-uh');
+  const rainInput = document.getElementById('hydro-rain');
+  bindListInput(rainInput, () => ['mm'], () => '2, 5, 18, 7, 3');
+  const outletInputs = {
+    orificeD: document.getElementById('pond-orifice-d'),
+    orificeZ: document.getElementById('pond-orifice-z'),
+    Cd: document.getElementById('pond-orifice-cd'),
+    weirZ: document.getElementById('pond-weir-z'),
+    weirL: document.getElementById('pond-weir-l'),
+    Cw: document.getElementById('pond-weir-cw'),
+  };
+  const topInput = document.getElementById('pond-top');
+  const runoffOut = document.getElementById('hydro-runoff');
+  const peaksOut = document.getElementById('hydro-peaks');
+  const stageOut = document.getElementById('pond-stage');
+  const pondNote = document.getElementById('pond-note');
+  const pondCanvas = document.getElementById('pond-canvas');
+  const pondCtx = pondCanvas.getContext('2d');
+  const storageTable = createRowTable(
+    document.getElementById('pond-storage'),
+    document.getElementById('pond-add-stage'),
+    [
+      { key: 'stage', label: 'Stage (m)', placeholder: 'm' },
+      { key: 'storage', label: 'Storage (m³)', placeholder: 'm³' },
+    ],
+    updatePond,
+    [{}, {}, {}]
+  );
+  function updatePond() {
+    const units = displayUnits();
+    const p = {
+      uh: uhSelect.value,
+      rain: inputValue(rainInput),
+      storage: storageTable.getRows(),
+      top: inputNumber(topInput),
+    };
+    Object.keys(hydroInputs).forEach(key => {
+      p[key] = inputNumber(hydroInputs[key]);
+    });
+    Object.keys(outletInputs).forEach(key => {
+      p[key] = inputNumber(outletInputs[key]);
+    });
+    const out = CALCULATORS.pond.run(p);
+    runoffOut.textContent = 'Runoff: —';
+    peaksOut.textContent = 'Peaks: —';
+    stageOut.textContent = 'Maximum stage: —';
+    pondNote.textContent = '';
+    clearCanvas(pondCtx, pondCanvas);
+    if (out.error) return;
+    const r = out.results;
+    const m = out.intermediate;
+    runoffOut.textContent = units.text('Runoff: ' + r.runoff.toFixed(1) + ' mm of ' + r.rainfall.toFixed(1) + ' mm (' +
+      r.volume.toFixed(0) + ' m³), t_p = ' + r.tp.toFixed(2) + ' h');
+    peaksOut.textContent = units.text('Peaks: inflow ' + r.peakInflow.toFixed(3) + ' m³/s at ' + r.tPeakInflow.toFixed(0) +
+      ' min');
+    // Overtopping shows with the stage; the note carries the other warnings
+    pondNote.textContent = out.warnings.filter(w => !w.startsWith('overtops')).map(sentence).join('. ');
+    if (r.peakOutflow === undefined) {
+      drawPondHydrographs(pondCtx, pondCanvas, m.inflow, null, p.dt, units);
+      return;
+    }
+    peaksOut.textContent += units.text(', outflow ' + r.peakOutflow.toFixed(3) + ' m³/s at ' + r.tPeakOutflow.toFixed(0) +
+      ' min (' + r.attenuation.toFixed(0) + '% attenuation)');
+    stageOut.textContent = units.text('Maximum stage: ' + r.maxStage.toFixed(2) + ' m, storage ' + r.maxStorage.toFixed(0) +
+      ' m³' + (r.freeboard === undefined ? '' : r.freeboard > 0 ? ', freeboard ' + r.freeboard.toFixed(2) + ' m'
+        : ', overtops crest by ' + (-r.freeboard).toFixed(2) + ' m'));
+    drawPondHydrographs(pondCtx, pondCanvas, m.inflow, m.outflow, p.dt, units);
+  }
+  [uhSelect, rainInput, topInput].concat(Object.values(hydroInputs), Object.values(outletInputs)).forEach(el => {
+    el.addEventListener('input', updatePond);
+  });
+  updatePond();
+}
+
+function drawManningChannel(ctx, canvas, section, yn, yc, Q, units) {
+  clearCanvas(ctx, canvas);
+  const { shape, b, z, D } = section;
+  const yLevels = isNaN(yc) ? [yn] : [yn, yc];
+  // Section outline extends a little above the higher of the two depths
+  const height = shape === 'circular' ? D : Math.max(...yLevels) * 1.3;
+  const halfWidth = shape === 'circular' ? D / 2 : channelGeometry(section, height).T / 2;
+  // Scale to canvas at equal aspect
+  const margin = 20;
+  const scale = Math.min((canvas.height - 2 * margin) / height, (canvas.width - 2 * margin) / (2 * halfWidth));
+  const cx = canvas.width / 2;
+  const baseY = canvas.height - margin;
+  const sx = x => cx + x * scale;
+  const sy = y => baseY - y * scale;
+  // Water at normal depth
+  ctx.fillStyle = '#6fa8dc';
+  ctx.beginPath();
+  if (shape === 'circular') {
+    const r = D / 2;
+    const half = Math.acos((r - Math.min(yn, D)) / r);
+    ctx.arc(cx, sy(r), r * scale, Math.PI / 2 - half, Math.PI / 2 + half);
+  } else {
+    const bottom = shape === 'triangular' ? 0 : b;
+    const top = channelGeometry(section, yn).T;
+    ctx.moveTo(sx(-bottom / 2), sy(0));
+    ctx.lineTo(sx(bottom / 2), sy(0));
+    ctx.lineTo(sx(top / 2), sy(yn));
+    ctx.lineTo(sx(-top / 2), sy(yn));
+  }
+  ctx.closePath();
+  ctx.fill();
+  // Channel walls
+  ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  if (shape === 'circular') {
+    ctx.arc(cx, sy(D / 2), (D / 2) * scale, 0, 2 * Math.PI);
+  } else {
+    const bottom = shape === 'triangular' ? 0 : b;
+    ctx.moveTo(sx(-halfWidth), sy(height));
+    ctx.lineTo(sx(-bottom / 2), sy(0));
+    ctx.lineTo(sx(bottom / 2), sy(0));
+    ctx.lineTo(sx(halfWidth), sy(height));
+  }
+  ctx.stroke();
+  ctx.lineWidth = 1;
+  // Normal and critical depth lines
+  ctx.font = '10px Arial';
+  [[yn, '#0a253a', 'y_n ' + yn.toFixed(3)], [yc, '#cc0000', 'y_c ' + (isNaN(yc) ? '' : yc.toFixed(3))]].forEach(([y, colour, label]) => {
+    if (isNaN(y)) return;
+    const half = channelGeometry(section, y).T / 2;
+    ctx.strokeStyle = colour;
+    ctx.setLineDash(colour === '#cc0000' ? [4, 3] : []);
+    ctx.beginPath();
+    ctx.moveTo(sx(-half), sy(y));
+    ctx.lineTo(sx(half), sy(y));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = colour;
+    ctx.fillText(units.text(label + ' m'), Math.min(sx(half) + 4, canvas.width - 60), sy(y) + (colour === '#cc0000' ? 10 : -2));
+  });
+  // Label Q
+  ctx.fillStyle = '#0a253a';
+  ctx.font = '12px Arial';
+  ctx.fillText(units.text(Q.toFixed(2) + ' m³/s'), 5, 15);
+}
+
+// Inflow hydrograph (ordinates at the end of each step) and routed outflow (from t = 0)
+function drawPondHydrographs(ctx, canvas, inflow, outflow, dt, units) {
+  clearCanvas(ctx, canvas);
+  const series = [[0].concat(inflow), outflow].filter(Boolean);
+  const steps = Math.max(...series.map(q => q.length)) - 1;
+  const tMax = steps * dt;
+  const qMax = Math.max(...series.map(q => Math.max(...q))) * 1.1 || 1;
+  // Axes
+  const margin = 30;
+  const x0 = margin;
+  const y0 = canvas.height - margin;
+  const x1 = canvas.width - margin;
+  const y1 = margin;
+  const px = t => x0 + (t / tMax) * (x1 - x0);
+  const py = q => y0 - (q / qMax) * (y0 - y1);
+  ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y0);
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x0, y1);
+  ctx.stroke();
+  // Plot curves
+  ctx.lineWidth = 2;
+  [['#6fa8dc', 'Inflow'], ['#f6b26b', 'Outflow']].forEach(([colour, label], s) => {
+    const q = series[s];
+    if (!q) return;
+    ctx.strokeStyle = colour;
+    ctx.beginPath();
+    q.forEach((value, i) => {
+      if (i === 0) ctx.moveTo(px(i * dt), py(value));
+      else ctx.lineTo(px(i * dt), py(value));
+    });
+    ctx.stroke();
+    ctx.fillStyle = colour;
+    ctx.font = '10px Arial';
+    ctx.fillText(label, x1 - 45, y1 + 10 + s * 12);
+  });
+  ctx.lineWidth = 1;
+  // Labels
+  ctx.fillStyle = '#0a253a';
+  ctx.fillText('Time (min)', x1 - 50, y0 + 15);
+  ctx.fillText(tMax.toFixed(0), x1 - 10, y0 + 26);
+  ctx.fillText(units.label('Q (m³/s)'), x0 - 25, y1 - 8);
+  ctx.fillText(units.value(qMax, 'm³/s').toFixed(2), 2, y1 + 8);
+}
+
+// Network plan with pipes coloured by velocity, arrows in the flow direction and node pressures.
+// positions maps node IDs to { x, y } for the nodes given coordinates; pipes run from → to downstream.
+function drawPipeNetwork(ctx, canvas, positions, { pipes, nodes }, units) {
+  clearCanvas(ctx, canvas);
+  const placed = nodes.filter(n => positions[n.id]).map(n => ({ ...n, ...positions[n.id] }));
+  if (placed.length < 2) {
+    ctx.fillStyle = '#0a253a';
+    ctx.font = '12px Arial';
+    ctx.fillText('Give node x and y to draw the network', 10, 20);
+    return;
+  }
+  const xs = placed.map(n => n.x);
+  const ys = placed.map(n => n.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX || 1;
+  const spanY = Math.max(...ys) - minY || 1;
+  // Equal aspect, y upwards
+  const margin = 30;
+  const scale = Math.min((canvas.width - 2 * margin) / spanX, (canvas.height - 2 * margin - 20) / spanY);
+  const offsetX = (canvas.width - spanX * scale) / 2;
+  const offsetY = (canvas.height - 20 + spanY * scale) / 2;
+  const sx = x => offsetX + (x - minX) * scale;
+  const sy = y => offsetY - (y - minY) * scale;
+  const byId = {};
+  placed.forEach(n => {
+    byId[n.id] = n;
+  });
+  const v = value => Number(units.value(value, 'm/s').toFixed(1));
+  const bands = [
+    [0.5, '#6fa8dc', '< ' + v(0.5)],
+    [1.5, '#93c47d', v(0.5) + '–' + v(1.5)],
+    [2.5, '#f6b26b', v(1.5) + '–' + v(2.5)],
+    [Infinity, '#cc0000', '> ' + v(2.5) + ' ' + units.unit('m/s')],
+  ];
+  ctx.lineWidth = 3;
+  pipes.forEach(pipe => {
+    const a = byId[pipe.from];
+    const b = byId[pipe.to];
+    if (!a || !b) return;
+    const colour = bands.find(([limit]) => pipe.V < limit)[1];
+    ctx.strokeStyle = colour;
+    ctx.beginPath();
+    ctx.moveTo(sx(a.x), sy(a.y));
+    ctx.lineTo(sx(b.x), sy(b.y));
+    ctx.stroke();
+    // Arrow at mid-length pointing downstream
+    const mx = (sx(a.x) + sx(b.x)) / 2;
+    const my = (sy(a.y) + sy(b.y)) / 2;
+    const angle = Math.atan2(sy(b.y) - sy(a.y), sx(b.x) - sx(a.x));
+    ctx.fillStyle = colour;
+    ctx.beginPath();
+    ctx.moveTo(mx + 6 * Math.cos(angle), my + 6 * Math.sin(angle));
+    ctx.lineTo(mx + 6 * Math.cos(angle + 2.5), my + 6 * Math.sin(angle + 2.5));
+    ctx.lineTo(mx + 6 * Math.cos(angle - 2.5), my + 6 * Math.sin(angle - 2.5));
+    ctx.closePath();
+    ctx.fill();
+  });
+  ctx.lineWidth = 1;
+  // Nodes: reservoirs as squares, junctions as circles labelled with pressure head
+  ctx.font = '10px Arial';
+  placed.forEach(n => {
+    ctx.fillStyle = '#0a253a';
+    if (n.type === 'reservoir') {
+      ctx.fillRect(sx(n.x) - 5, sy(n.y) - 5, 10, 10);
+    } else {
+      ctx.beginPath();
+      ctx.arc(sx(n.x), sy(n.y), 4, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+    const label = n.id + ' ' + (n.type === 'reservoir' ? n.head : n.pressure).toFixed(1) + ' m';
+    ctx.fillText(units.text(label), sx(n.x) + 6, sy(n.y) - 6);
+  });
+  // Velocity legend
+  bands.forEach(([, colour, text], i) => {
+    ctx.fillStyle = colour;
+    ctx.fillRect(10 + i * 70, canvas.height - 14, 10, 8);
+    ctx.fillStyle = '#0a253a';
+    ctx.fillText(text, 24 + i * 70, canvas.height - 6);
+  });
+}
+
+// Specific energy curve E = y + Q² / (2 g A²) with the normal and critical states marked
+function drawSpecificEnergy(ctx, canvas, section, Q, yn, yc, units) {
+  clearCanvas(ctx, canvas);
+  const yTop = section.shape === 'circular' ? section.D : Math.max(yn, isNaN(yc) ? 0 : yc) * 2.5;
+  const points = [];
+  for (let i = 1; i <= 200; i++) {
+    const y = (yTop / 200) * i;
+    points.push({ y, E: channelFlowState(section, y, Q).E });
+  }
+  const eMax = Math.max(yTop, channelFlowState(section, yn, Q).E) * 1.2;
+  // Axes
+  const margin = 30;
+  const x0 = margin;
+  const y0 = canvas.height - margin;
+  const x1 = canvas.width - margin;
+  const y1 = margin;
+  const px = E => x0 + (Math.min(E, eMax) / eMax) * (x1 - x0);
+  const py = y => y0 - (y / yTop) * (y0 - y1);
+  ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y0);
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x0, y1);
+  ctx.stroke();
+  // E = y reference line
+  ctx.setLineDash([4, 3]);
+  ctx.strokeStyle = '#b7b7b7';
+  ctx.beginPath();
+  ctx.moveTo(px(0), py(0));
+  ctx.lineTo(px(Math.min(eMax, yTop)), py(Math.min(eMax, yTop)));
+  ctx.stroke();
+  ctx.setLineDash([]);
+  // Plot curve, skipping the shallow part beyond the plotted energy range
+  ctx.strokeStyle = '#6fa8dc';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  let started = false;
+  points.forEach(pt => {
+    if (pt.E > eMax) return;
+    if (!started) ctx.moveTo(px(pt.E), py(pt.y));
+    else ctx.lineTo(px(pt.E), py(pt.y));
+    started = true;
+  });
+  ctx.stroke();
+  ctx.lineWidth = 1;
+  // Labels
+  ctx.font = '10px Arial';
+  [[yn, '#0a253a', 'normal'], [yc, '#cc0000', 'critical']].forEach(([y, colour, label]) => {
+    if (isNaN(y)) return;
+    const E = channelFlowState(section, y, Q).E;
+    ctx.fillStyle = colour;
+    ctx.beginPath();
+    ctx.arc(px(E), py(y), 4, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillText(label, Math.min(px(E) + 6, x1 - 35), py(y) + 3);
+  });
+  ctx.fillStyle = '#0a253a';
+  ctx.fillText(units.label('E (m)'), x1 - 20, y0 + 15);
+  ctx.fillText(units.value(eMax, 'm').toFixed(2), x1 - 10, y0 + 26);
+  ctx.fillText(units.label('y (m)'), x0 - 25, y1 - 8);
+  ctx.fillText(units.value(yTop, 'm').toFixed(2), 2, y1 + 8);
 }
 
 // ---------------------- Construction/PM ----------------------
 function initConstructionCalculator() {
-  const ev = document.getElementById('evm-ev');
-  const pv = document.getElementById('evm-pv');
-  const ac = document.getElementById('evm-ac');
   const bac = document.getElementById('evm-bac');
+  const startInput = document.getElementById('evm-start');
+  const periodInput = document.getElementById('evm-period');
+  const statusOut = document.getElementById('evm-status');
   const spiOut = document.getElementById('evm-spi');
   const cpiOut = document.getElementById('evm-cpi');
   const eacOut = document.getElementById('evm-eac');
+  const tcpiOut = document.getElementById('evm-tcpi');
+  const esOut = document.getElementById('evm-es');
+  const finishOut = document.getElementById('evm-finish');
+  const eacTable = document.getElementById('evm-eac-table');
   const canvas = document.getElementById('evm-canvas');
   const ctx = canvas.getContext('2d');
+  const sCanvas = document.getElementById('evm-scurve');
+  const sCtx = sCanvas.getContext('2d');
+  const logTable = createRowTable(
+    document.getElementById('evm-log'),
+    document.getElementById('evm-add-period'),
+    [
+      { key: 'PV', label: 'PV ($)', placeholder: '$' },
+      { key: 'EV', label: 'EV ($)', placeholder: '$' },
+      { key: 'AC', label: 'AC ($)', placeholder: '$' },
+    ],
+    updateEVM,
+    [{}, {}, {}]
+  );
   function updateEVM() {
-    const EV = parseFloat(ev.value);
-    const PV = parseFloat(pv.value);
-    const AC = parseFloat(ac.value);
-    const BAC = parseFloat(bac.value);
-    if ([EV, PV, AC, BAC].some(x => isNaN(x) || x <= 0)) {
+    const BAC = inputNumber(bac);
+    const log = logTable.getRows();
+    const out = CALCULATORS.evm.run({ BAC, start: startInput.value, period: inputNumber(periodInput), log });
+    if (out.error) {
+      statusOut.textContent = 'Status: —';
       spiOut.textContent = 'SPI: —';
       cpiOut.textContent = 'CPI: —';
       eacOut.textContent = 'EAC: —';
+      tcpiOut.textContent = 'TCPI: —';
+      esOut.textContent = 'Earned schedule: —';
+      finishOut.textContent = 'Forecast finish: —';
+      fillResultTable(eacTable, [], []);
       clearCanvas(ctx, canvas);
+      clearCanvas(sCtx, sCanvas);
       return;
     }
-    const SPI = EV / PV;
-    const CPI = EV / AC;
-    const EAC = BAC / CPI;
-    spiOut.textContent = 'SPI: ' + SPI.toFixed(2);
-    cpiOut.textContent = 'CPI: ' + CPI.toFixed(2);
-    eacOut.textContent = 'EAC: ' + EAC.toFixed(2);
-    drawEVMGauges(ctx, canvas, SPI, CPI);
+    const r = out.results;
+    const m = out.intermediate;
+    const date = text => (text ? ' (' + text + ')' : '');
+    statusOut.textContent = 'Status: period ' + r.AT + ', EV ' + m.EV.toFixed(2) + ', AC ' + m.AC.toFixed(2) +
+      ', SV ' + r.SV.toFixed(2) + ', CV ' + r.CV.toFixed(2);
+    spiOut.textContent = 'SPI: ' + r.SPI.toFixed(2);
+    cpiOut.textContent = 'CPI: ' + r.CPI.toFixed(2);
+    eacOut.textContent = 'EAC: ' + r.EAC.toFixed(2) + ' (ETC ' + r.ETC.toFixed(2) + ', VAC ' + r.VAC.toFixed(2) + ')';
+    tcpiOut.textContent = 'TCPI: ' + (isFinite(r.TCPI) ? r.TCPI.toFixed(2) + ' to finish on budget' : '— (budget already spent)');
+    if (r.ES !== null) {
+      esOut.textContent = 'Earned schedule: ES = ' + r.ES.toFixed(2) + ' periods, SV(t) = ' + (r.ES - r.AT).toFixed(2) +
+        ', SPI(t) = ' + r.SPIt.toFixed(2);
+    } else {
+      esOut.textContent = 'Earned schedule: —';
+    }
+    // The forecast also needs the baseline to reach BAC, which sets the planned duration
+    if (r.forecastDuration !== null) {
+      finishOut.textContent = 'Forecast finish: ' + r.forecastDuration.toFixed(1) + ' periods' + date(r.forecastFinish) +
+        (m.plannedDuration ? ' against planned ' + m.plannedDuration.toFixed(1) + date(m.plannedFinish) : '');
+    } else {
+      finishOut.textContent = 'Forecast finish: —' + (r.ES !== null ? ' (the PV baseline does not reach BAC)' : '');
+    }
+    fillResultTable(eacTable, ['EAC method', 'EAC', 'ETC', 'VAC'], m.eac.map(e => [
+      e.label, e.EAC.toFixed(2), e.ETC.toFixed(2), e.VAC.toFixed(2),
+    ]));
+    drawEVMGauges(ctx, canvas, r.SPI, r.CPI);
+    drawEVMSCurve(sCtx, sCanvas, log, { ...r, ...m }, BAC);
   }
-  [ev, pv, ac, bac].forEach(el => {
+  [bac, startInput, periodInput].forEach(el => {
     el.addEventListener('input', updateEVM);
   });
+  // CPM / PERT scheduling
+  const cpmForm = document.getElementById('form-cpm');
+  const cpmMode = document.getElementById('cpm-mode');
+  const targetInput = document.getElementById('cpm-target');
+  const durationOut = document.getElementById('cpm-duration');
+  const pathOut = document.getElementById('cpm-path');
+  const probabilityOut = document.getElementById('cpm-probability');
+  const cpmResults = document.getElementById('cpm-results');
+  const ganttCanvas = document.getElementById('cpm-gantt');
+  const ganttCtx = ganttCanvas.getContext('2d');
+  const aonCanvas = document.getElementById('cpm-network');
+  const aonCtx = aonCanvas.getContext('2d');
+  const activityTable = createRowTable(
+    document.getElementById('cpm-activities'),
+    document.getElementById('cpm-add-activity'),
+    [
+      { key: 'id', label: 'ID', type: 'text', placeholder: 'e.g. A' },
+      { key: 'm', label: 'Duration / most likely (d)', placeholder: 'days' },
+      { key: 'a', label: 'Optimistic (PERT)', placeholder: 'days' },
+      { key: 'b', label: 'Pessimistic (PERT)', placeholder: 'days' },
+      { key: 'pred', label: 'Predecessors', type: 'text', placeholder: 'e.g. A, B SS+2' },
+    ],
+    updateCPM,
+    [{}, {}, {}]
+  );
+  function updateCPM() {
+    const mode = cpmMode.value;
+    showModeGroups(cpmForm, mode);
+    const target = inputNumber(targetInput);
+    const activities = activityTable.getRows();
+    const out = CALCULATORS.cpm.run({ mode, activities, target });
+    probabilityOut.textContent = '';
+    if (out.error) {
+      durationOut.textContent = 'Project duration: —';
+      const blank = awaitingInput([], activities, mode === 'pert' ? ['id', 'a', 'm', 'b'] : ['id', 'm']);
+      pathOut.textContent = blank ? 'Critical path: —' : sentence(out.error);
+      fillResultTable(cpmResults, [], []);
+      clearCanvas(ganttCtx, ganttCanvas);
+      clearCanvas(aonCtx, aonCanvas);
+      return;
+    }
+    const r = out.results;
+    const schedule = out.intermediate;
+    durationOut.textContent = 'Project duration: ' + r.duration.toFixed(2) + ' days' + (mode === 'pert' ? ' (expected)' : '');
+    pathOut.textContent = 'Critical path: ' + r.criticalPath.join(' → ');
+    if (mode === 'pert') {
+      probabilityOut.textContent = 'σ = ' + r.sigma.toFixed(2) + ' days' + (isNaN(target) ? '' : ', P(finish ≤ ' + target + ') = ' +
+        r.probability.toFixed(1) + '%');
+    }
+    fillResultTable(cpmResults, ['ID', 'Dur', 'ES', 'EF', 'LS', 'LF', 'TF', 'FF'], schedule.activities.map(a => [
+      a.id + (a.critical ? ' *' : ''),
+      a.duration.toFixed(1),
+      a.ES.toFixed(1),
+      a.EF.toFixed(1),
+      a.LS.toFixed(1),
+      a.LF.toFixed(1),
+      a.TF.toFixed(1),
+      a.FF.toFixed(1),
+    ]));
+    drawGanttChart(ganttCtx, ganttCanvas, schedule);
+    drawActivityNetwork(aonCtx, aonCanvas, schedule);
+  }
+  [cpmMode, targetInput].forEach(el => {
+    el.addEventListener('input', updateCPM);
+  });
+  updateCPM();
 }
 
 function drawEVMGauges(ctx, canvas, SPI, CPI) {
@@ -769,7 +3514,980 @@ function drawEVMGauges(ctx, canvas, SPI, CPI) {
   drawGauge(cx2, CPI, 'CPI');
 }
 
+// Cumulative PV, EV and AC against period with the status line and dashed forecasts of EV to
+// BAC and AC to the CPI-based EAC at the earned-schedule finish
+function drawEVMSCurve(ctx, canvas, log, status, BAC) {
+  clearCanvas(ctx, canvas);
+  const finish = status.forecastDuration || status.AT;
+  const tMax = Math.max(log.length, finish) * 1.05;
+  const yMax = Math.max(BAC, status.EAC, ...log.map(r => Math.max(r.PV || 0, r.EV || 0, r.AC || 0))) * 1.1;
+  // Axes
+  const margin = 30;
+  const x0 = margin;
+  const y0 = canvas.height - margin;
+  const x1 = canvas.width - margin;
+  const y1 = margin;
+  const px = t => x0 + (t / tMax) * (x1 - x0);
+  const py = v => y0 - (v / yMax) * (y0 - y1);
+  ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y0);
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x0, y1);
+  ctx.stroke();
+  // BAC and status period
+  ctx.setLineDash([4, 3]);
+  ctx.strokeStyle = '#b7b7b7';
+  ctx.beginPath();
+  ctx.moveTo(x0, py(BAC));
+  ctx.lineTo(x1, py(BAC));
+  ctx.moveTo(px(status.AT), y0);
+  ctx.lineTo(px(status.AT), y1);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  // Cumulative curves from zero at t = 0
+  const series = [
+    ['PV', '#93c47d'],
+    ['EV', '#6fa8dc'],
+    ['AC', '#cc0000'],
+  ];
+  ctx.lineWidth = 2;
+  series.forEach(([key, colour]) => {
+    ctx.strokeStyle = colour;
+    ctx.beginPath();
+    ctx.moveTo(px(0), py(0));
+    for (let i = 0; i < log.length; i++) {
+      if (isNaN(log[i][key]) || (key !== 'PV' && i >= status.AT)) break;
+      ctx.lineTo(px(i + 1), py(log[i][key]));
+    }
+    ctx.stroke();
+  });
+  // Forecast extensions
+  if (status.forecastDuration) {
+    ctx.setLineDash([5, 4]);
+    [['#6fa8dc', status.EV, BAC], ['#cc0000', status.AC, status.EAC]].forEach(([colour, from, to]) => {
+      ctx.strokeStyle = colour;
+      ctx.beginPath();
+      ctx.moveTo(px(status.AT), py(from));
+      ctx.lineTo(px(finish), py(to));
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+  }
+  ctx.lineWidth = 1;
+  // Labels
+  ctx.font = '10px Arial';
+  series.forEach(([key, colour], i) => {
+    ctx.fillStyle = colour;
+    ctx.fillText(key, x0 + 6 + i * 25, y1 + 4);
+  });
+  ctx.fillStyle = '#0a253a';
+  ctx.fillText('BAC', x1 - 20, py(BAC) - 3);
+  ctx.fillText('Period', x1 - 30, y0 + 15);
+  ctx.fillText(tMax.toFixed(1), x1 - 10, y0 + 26);
+  ctx.fillText('$', x0 - 12, y1 - 8);
+  ctx.fillText(yMax.toPrecision(3), 2, y1 - 8);
+}
+
+// Bars from ES to EF with total float drawn as a thin tail out to LF; critical bars in red
+function drawGanttChart(ctx, canvas, schedule) {
+  clearCanvas(ctx, canvas);
+  const rows = schedule.activities;
+  const margin = 30;
+  const x0 = 40;
+  const x1 = canvas.width - 10;
+  const y1 = 10;
+  const y0 = canvas.height - margin;
+  const tMax = Math.max(schedule.finish, 1e-6);
+  const rowHeight = Math.min((y0 - y1) / rows.length, 24);
+  const px = t => x0 + (t / tMax) * (x1 - x0);
+  ctx.strokeStyle = '#0a253a';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y0);
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x0, y1);
+  ctx.stroke();
+  ctx.font = '10px Arial';
+  rows.forEach((a, i) => {
+    const top = y1 + i * rowHeight + rowHeight * 0.2;
+    const height = rowHeight * 0.6;
+    if (a.TF > 1e-9) {
+      ctx.strokeStyle = '#b7b7b7';
+      ctx.beginPath();
+      ctx.moveTo(px(a.EF), top + height / 2);
+      ctx.lineTo(px(a.LF), top + height / 2);
+      ctx.stroke();
+    }
+    ctx.fillStyle = a.critical ? '#cc0000' : '#6fa8dc';
+    ctx.fillRect(px(a.ES), top, Math.max(px(a.EF) - px(a.ES), 1), height);
+    ctx.fillStyle = '#0a253a';
+    ctx.fillText(a.id, 4, top + height - 1);
+  });
+  // Time ticks
+  for (let k = 0; k <= 5; k++) {
+    const t = (tMax / 5) * k;
+    ctx.fillText(t.toFixed(0), px(t) - 6, y0 + 12);
+  }
+  ctx.fillText('Days', x1 - 25, y0 + 24);
+}
+
+// Activity-on-node diagram: columns by longest chain of links from the start, arrows for links
+function drawActivityNetwork(ctx, canvas, schedule) {
+  clearCanvas(ctx, canvas);
+  const byId = {};
+  schedule.activities.forEach(a => {
+    byId[a.id] = a;
+  });
+  const level = {};
+  schedule.order.forEach(id => {
+    level[id] = Math.max(0, ...byId[id].links.map(l => level[l.id] + 1));
+  });
+  const columns = [];
+  schedule.order.forEach(id => {
+    (columns[level[id]] = columns[level[id]] || []).push(id);
+  });
+  const boxW = Math.min(60, (canvas.width - 10) / columns.length - 10);
+  const boxH = 34;
+  const pos = {};
+  columns.forEach((ids, c) => {
+    const x = 5 + (c + 0.5) * ((canvas.width - 10) / columns.length) - boxW / 2;
+    ids.forEach((id, r) => {
+      pos[id] = { x, y: ((r + 0.5) * canvas.height) / ids.length - boxH / 2 };
+    });
+  });
+  // Links
+  schedule.activities.forEach(a => {
+    a.links.forEach(link => {
+      const from = pos[link.id];
+      const to = pos[a.id];
+      const critical = a.critical && byId[link.id].critical;
+      const sx = from.x + boxW;
+      const sy = from.y + boxH / 2;
+      const ex = to.x;
+      const ey = to.y + boxH / 2;
+      ctx.strokeStyle = critical ? '#cc0000' : '#0a253a';
+      ctx.lineWidth = critical ? 2 : 1;
+      ctx.beginPath();
+      ctx.moveTo(sx, sy);
+      ctx.lineTo(ex, ey);
+      ctx.stroke();
+      const angle = Math.atan2(ey - sy, ex - sx);
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.beginPath();
+      ctx.moveTo(ex, ey);
+      ctx.lineTo(ex - 6 * Math.cos(angle - 0.4), ey - 6 * Math.sin(angle - 0.4));
+      ctx.lineTo(ex - 6 * Math.cos(angle + 0.4), ey - 6 * Math.sin(angle + 0.4));
+      ctx.closePath();
+      ctx.fill();
+      if (link.type !== 'FS' || link.lag) {
+        ctx.font = '9px Arial';
+        ctx.fillText(link.type + (link.lag ? (link.lag > 0 ? '+' : '') + link.lag : ''), (sx + ex) / 2, (sy + ey) / 2 - 3);
+      }
+    });
+  });
+  ctx.lineWidth = 1;
+  // Nodes: ID and duration on top, ES/EF and LS/LF below
+  schedule.activities.forEach(a => {
+    const { x, y } = pos[a.id];
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(x, y, boxW, boxH);
+    ctx.strokeStyle = a.critical ? '#cc0000' : '#0a253a';
+    ctx.lineWidth = a.critical ? 2 : 1;
+    ctx.strokeRect(x, y, boxW, boxH);
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#0a253a';
+    ctx.font = '10px Arial';
+    ctx.fillText(a.id + ' (' + a.duration.toFixed(0) + ')', x + 3, y + 11);
+    ctx.font = '9px Arial';
+    ctx.fillText(a.ES.toFixed(0) + ' / ' + a.EF.toFixed(0), x + 3, y + 21);
+    ctx.fillText(a.LS.toFixed(0) + ' / ' + a.LF.toFixed(0), x + 3, y + 31);
+  });
+}
+
+// ---------------------- Units ----------------------
+// Calculations always run in SI. Each SI unit used by the forms maps to the alternatives offered
+// for it, as factors to the SI unit (SI = value × factor; temperature is [factor, offset] with
+// SI = (value + offset) × factor). The first alternative is the US customary default.
+const UNIT_CONVERSIONS = {
+  m: { ft: 0.3048, in: 0.0254, yd: 0.9144 },
+  mm: { in: 25.4, ft: 304.8 },
+  km: { mi: 1.609344, ft: 0.0003048 },
+  'm²': { 'ft²': 0.09290304, 'yd²': 0.83612736 },
+  'mm²': { 'in²': 645.16 },
+  'km²': { 'mi²': 2.58998811, acre: 0.00404685642 },
+  ha: { acre: 0.404685642 },
+  'm³': { 'yd³': 0.764554858, 'ft³': 0.0283168466 },
+  'mm³': { 'in³': 16387.064 },
+  'm⁴': { 'in⁴': 4.16231426e-7, 'ft⁴': 0.00863097481 },
+  'mm⁴': { 'in⁴': 416231.426 },
+  'm/s': { 'ft/s': 0.3048 },
+  'km/h': { mph: 1.609344 },
+  'mm/h': { 'in/hr': 25.4 },
+  'm³/s': { 'ft³/s': 0.0283168466 },
+  'm³/d': { 'gal/d': 0.00378541178, 'ft³/d': 0.0283168466 },
+  'm³/m²·d': { 'gal/ft²·d': 0.0407458333 },
+  'm³/m·d': { 'gal/ft·d': 0.01241933 },
+  'L/s': { 'gal/min': 0.0630901964, 'ft³/s': 28.3168466 },
+  'm²/s': { 'ft²/s': 0.09290304 },
+  'm²/yr': { 'ft²/yr': 0.09290304 },
+  'm^½/s': { 'ft^½/s': Math.sqrt(0.3048) },
+  kN: { kip: 4.44822162, lbf: 0.00444822162 },
+  'kN/m': { 'kip/ft': 14.5939029, 'lb/ft': 0.0145939029 },
+  'kN·m': { 'kip·ft': 1.35581795, 'kip·in': 0.112984829 },
+  'kN/m³': { pcf: 0.157087464 },
+  kPa: { psf: 0.0478802589, psi: 6.89475729, ksf: 47.8802589 },
+  MPa: { psi: 0.00689475729, ksi: 6.89475729 },
+  GPa: { ksi: 0.00689475729, psi: 6.89475729e-6 },
+  '°C': { '°F': [5 / 9, -32] },
+  'veh/km': { 'veh/mi': 0.621371192 },
+};
+const UNIT_STORAGE_KEY = 'civilcalc-units';
+let unitSystem = 'si';
+
+function toSIUnit(value, siUnit, unit) {
+  if (unit === siUnit) return value;
+  const f = UNIT_CONVERSIONS[siUnit][unit];
+  return Array.isArray(f) ? (value + f[1]) * f[0] : value * f;
+}
+
+function fromSIUnit(value, siUnit, unit) {
+  if (unit === siUnit) return value;
+  const f = UNIT_CONVERSIONS[siUnit][unit];
+  return Array.isArray(f) ? value / f[0] - f[1] : value / f;
+}
+
+// Unit shown for an SI unit under a unit system (one with no alternatives, like veh/h, stays)
+function systemUnit(siUnit, system = unitSystem) {
+  return system === 'us' && UNIT_CONVERSIONS[siUnit] ? Object.keys(UNIT_CONVERSIONS[siUnit])[0] : siUnit;
+}
+
+// Convertible unit leading a placeholder ('m (blank = none)') or closing a label ('γ (kN/m³)')
+function placeholderUnit(text) {
+  const unit = (text || '').split(/[\s,]/)[0];
+  return UNIT_CONVERSIONS[unit] ? unit : null;
+}
+
+function labelUnit(text) {
+  const match = /\(([^)]+)\)$/.exec(text || '');
+  return match && UNIT_CONVERSIONS[match[1]] ? match[1] : null;
+}
+
+function unitLabel(text, system = unitSystem) {
+  const unit = labelUnit(text);
+  return unit ? text.replace(/\([^)]+\)$/, '(' + systemUnit(unit, system) + ')') : text;
+}
+
+// Keep roughly the significant figures of the SI figure being replaced
+function formatUnitNumber(value, source) {
+  const digits = source.replace(/^-|e.*$/gi, '').replace('.', '').replace(/^0+/, '').length;
+  return String(Number(value.toPrecision(Math.min(Math.max(digits, 3), 15))));
+}
+
+// Rewrites every 'number SI-unit' pair, or 'number–number SI-unit' range, in a result string into
+// a unit system
+const UNIT_TEXT_PATTERN = new RegExp(
+  '(?<![\\p{L}\\p{N}.])(?:(-?\\d+(?:\\.\\d+)?)–)?(-?\\d+(?:\\.\\d+)?(?:e[-+]?\\d+)?)(\\s?)(' +
+    Object.keys(UNIT_CONVERSIONS)
+      .sort((a, b) => b.length - a.length)
+      .map(unit => unit.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+      .join('|') +
+    ')(?![\\p{L}\\p{N}²³⁴/·^])',
+  'gu'
+);
+
+function convertUnitText(text, system = unitSystem) {
+  if (system === 'si') return text;
+  return text.replace(UNIT_TEXT_PATTERN, (match, from, number, space, unit) => {
+    const shown = systemUnit(unit, system);
+    const convert = n => formatUnitNumber(fromSIUnit(parseFloat(n), unit, shown), n);
+    return (from ? convert(from) + '–' : '') + convert(number) + space + shown;
+  });
+}
+
+// Display-unit formatter for a unit system. Calculations stay in SI: update functions pass their
+// result text through text() and stations through station(), and the draw* helpers their axis
+// titles and tick values through label() and value().
+function displayUnits(system = unitSystem) {
+  return {
+    unit: siUnit => systemUnit(siUnit, system),
+    value: (value, siUnit) => fromSIUnit(value, siUnit, systemUnit(siUnit, system)),
+    text: text => convertUnitText(String(text), system),
+    label: text => unitLabel(text, system),
+    station: m => (system === 'us' ? formatStation(fromSIUnit(m, 'm', 'ft'), 100) : formatStation(m)),
+  };
+}
+
+// The SI value last written to each unit input, kept exactly while its rounded display is left
+// untouched, so unit switches do not drift
+const writtenSI = new WeakMap();
+
+// Text of an input as the calculators read it: a number input with a unit gives its SI value,
+// a list field its numbers in SI
+function inputValue(input) {
+  const list = listInputs.get(input);
+  if (!input.dataset.siUnit && !list) return input.value;
+  const written = writtenSI.get(input);
+  if (written && written.display === input.value && written.columns === (list && list.columns().join())) {
+    return written.si;
+  }
+  if (list) return convertList(input.value, list.columns(), true);
+  const n = parseFloat(input.value);
+  return isNaN(n) ? input.value : String(toSIUnit(n, input.dataset.siUnit, input.dataset.unit));
+}
+
+// Number in an input, in SI (NaN when blank)
+function inputNumber(input) {
+  return parseFloat(inputValue(input));
+}
+
+// Writes an SI value to an input, shown in its display unit
+function setInputValue(input, value) {
+  const list = listInputs.get(input);
+  if (list) {
+    input.value = convertList(String(value), list.columns(), false);
+    writtenSI.set(input, { display: input.value, si: String(value), columns: list.columns().join() });
+    return;
+  }
+  const n = parseFloat(value);
+  if (!input.dataset.siUnit || isNaN(n)) {
+    input.value = value;
+    writtenSI.delete(input);
+    return;
+  }
+  input.value = Number(fromSIUnit(n, input.dataset.siUnit, input.dataset.unit).toPrecision(6));
+  writtenSI.set(input, { display: input.value, si: String(value) });
+}
+
+// Marks a number input as holding an SI quantity shown in its dataset.unit; read and write it
+// through inputValue() and setInputValue()
+function bindUnitInput(input, siUnit) {
+  input.dataset.siUnit = siUnit;
+  input.dataset.unit = siUnit;
+  input.dataset.placeholder = input.placeholder;
+}
+
+// Switch the displayed unit without changing the SI quantity held by the input
+function setDisplayUnit(input, unit) {
+  const value = inputValue(input);
+  input.dataset.unit = unit;
+  setInputValue(input, value);
+  // Only a placeholder that leads with the SI unit names it ('m (blank = none)', not 'blank = NC')
+  if (placeholderUnit(input.dataset.placeholder) === input.dataset.siUnit) {
+    input.placeholder = unit + input.dataset.placeholder.slice(input.dataset.siUnit.length);
+  }
+}
+
+// List fields (a hyetograph, detector data) hold numbers in the units of the unit system.
+// columns() gives the SI unit of each number on a line, repeating along the line; example() a
+// line of SI numbers for the placeholder.
+const listInputs = new Map();
+
+function convertList(text, columns, toSI, system = unitSystem) {
+  return text.split('\n').map(line => {
+    let column = 0;
+    return line.replace(/-?\d*\.?\d+(?:e[-+]?\d+)?/gi, number => {
+      const siUnit = columns[column++ % columns.length];
+      const unit = systemUnit(siUnit, system);
+      if (unit === siUnit) return number;
+      const n = parseFloat(number);
+      return toSI ? String(toSIUnit(n, siUnit, unit)) : formatUnitNumber(fromSIUnit(n, siUnit, unit), number);
+    });
+  }).join('\n');
+}
+
+function setListPlaceholder(input) {
+  const { columns, example } = listInputs.get(input);
+  input.placeholder = columns().map(unit => systemUnit(unit)).join(', ') + ', e.g. ' +
+    convertList(example(), columns(), false);
+}
+
+function bindListInput(input, columns, example) {
+  listInputs.set(input, { columns, example });
+  setListPlaceholder(input);
+}
+
+function initUnits() {
+  const saved = JSON.parse(localStorage.getItem(UNIT_STORAGE_KEY) || '{}');
+  const fieldUnits = saved.fields || {};
+  unitSystem = saved.system === 'us' ? 'us' : 'si';
+  const systemSelect = document.getElementById('unit-system');
+  systemSelect.value = unitSystem;
+  const save = () => {
+    localStorage.setItem(UNIT_STORAGE_KEY, JSON.stringify({ system: unitSystem, fields: fieldUnits }));
+  };
+
+  // Each form input with a unit placeholder gets its own unit dropdown
+  document.querySelectorAll('.input-form input[type="number"]').forEach(input => {
+    const siUnit = placeholderUnit(input.placeholder);
+    if (!siUnit) return;
+    const defaultValue = input.value;
+    bindUnitInput(input, siUnit);
+    const select = document.createElement('select');
+    select.className = 'unit-select';
+    [siUnit, ...Object.keys(UNIT_CONVERSIONS[siUnit])].forEach(unit => {
+      const opt = document.createElement('option');
+      opt.value = unit;
+      opt.textContent = unit;
+      select.appendChild(opt);
+    });
+    const field = document.createElement('div');
+    field.className = 'unit-field';
+    input.replaceWith(field);
+    field.append(input, select);
+    // Default values in the markup are SI
+    const unit = fieldUnits[input.id] && select.querySelector('option[value="' + fieldUnits[input.id] + '"]')
+      ? fieldUnits[input.id]
+      : systemUnit(siUnit);
+    select.value = unit;
+    setDisplayUnit(input, unit);
+    setInputValue(input, defaultValue);
+    select.addEventListener('input', () => {
+      setDisplayUnit(input, select.value);
+      fieldUnits[input.id] = select.value;
+      save();
+      input.dispatchEvent(new Event('input'));
+    });
+  });
+
+  // Switching the system resets every field to the system's unit and recalculates every form
+  systemSelect.addEventListener('input', () => {
+    // List fields are read in the old system and rewritten in the new one
+    const lists = Array.from(listInputs.keys(), input => [input, inputValue(input)]);
+    unitSystem = systemSelect.value;
+    Object.keys(fieldUnits).forEach(id => delete fieldUnits[id]);
+    save();
+    document.querySelectorAll('input[data-si-unit]').forEach(input => {
+      const unit = systemUnit(input.dataset.siUnit);
+      const select = input.parentElement.querySelector('.unit-select');
+      if (select) select.value = unit;
+      setDisplayUnit(input, unit);
+    });
+    lists.forEach(([input, value]) => {
+      setInputValue(input, value);
+      setListPlaceholder(input);
+    });
+    document.querySelectorAll('th[data-label]').forEach(th => {
+      th.textContent = unitLabel(th.dataset.label);
+    });
+    document.querySelectorAll('.input-form').forEach(form => {
+      const first = form.querySelector('input, select:not(.unit-select)');
+      if (first) first.dispatchEvent(new Event('input'));
+    });
+  });
+}
+
 // Utility: clear canvas
 function clearCanvas(ctx, canvas) {
   ctx.clearRect(0, 0, canvas.width, canvas.height);
-}
\ No newline at end of file
+}
+
+// Utility: an engine error or warning as a sentence for a status line
+function sentence(message) {
+  return message.charAt(0).toUpperCase() + message.slice(1);
+}
+
+// Utility: whether a form's required inputs are still blank, so its outputs show '—' rather than
+// the engine's error: any of `values`, or fewer than `minRows` rows with every one of `keys` filled
+function awaitingInput(values, rows = [], keys = [], minRows = keys.length ? 1 : 0) {
+  const blank = v => (typeof v === 'number' ? isNaN(v) : String(v).trim() === '');
+  return values.some(blank) || rows.filter(row => keys.every(key => !blank(row[key]))).length < minRows;
+}
+
+// Utility: show the form's .mode-group blocks whose data-mode list contains `mode`
+function showModeGroups(form, mode) {
+  form.querySelectorAll('.mode-group').forEach(group => {
+    group.classList.toggle('hidden', !group.dataset.mode.split(' ').includes(mode));
+  });
+}
+
+// Row tables by table id, so saved scenarios can refill them
+const rowTables = {};
+
+// Utility: editable table of input rows with add/remove buttons.
+// columns: [{ key, label, type: 'number' | 'text' | 'select', options: [[value, text]], placeholder, value }]
+// getRows() returns one plain object per row, numbers parsed (NaN when blank).
+function createRowTable(table, addButton, columns, onChange, initialRows) {
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  columns.forEach(col => {
+    const th = document.createElement('th');
+    th.dataset.label = col.label;
+    th.textContent = unitLabel(col.label);
+    headRow.appendChild(th);
+  });
+  headRow.appendChild(document.createElement('th'));
+  thead.appendChild(headRow);
+  const tbody = document.createElement('tbody');
+  table.replaceChildren(thead, tbody);
+
+  function addRow(values = {}) {
+    const tr = document.createElement('tr');
+    columns.forEach(col => {
+      const td = document.createElement('td');
+      let field;
+      if (col.type === 'select') {
+        field = document.createElement('select');
+        col.options.forEach(([value, text]) => {
+          const opt = document.createElement('option');
+          opt.value = value;
+          opt.textContent = text;
+          field.appendChild(opt);
+        });
+      } else {
+        field = document.createElement('input');
+        field.type = col.type || 'number';
+        if (field.type === 'number') field.step = 'any';
+        if (col.placeholder) field.placeholder = col.placeholder;
+        // Cells follow the unit system; the column label or placeholder names the SI unit
+        const siUnit = field.type === 'number' && (labelUnit(col.label) || placeholderUnit(col.placeholder));
+        if (siUnit) {
+          bindUnitInput(field, siUnit);
+          setDisplayUnit(field, systemUnit(siUnit));
+        }
+      }
+      field.dataset.key = col.key;
+      const value = values[col.key] !== undefined ? values[col.key] : col.value;
+      if (value !== undefined) setInputValue(field, value);
+      field.addEventListener('input', onChange);
+      td.appendChild(field);
+      tr.appendChild(td);
+    });
+    const removeCell = document.createElement('td');
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'row-remove';
+    removeBtn.title = 'Remove row';
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => {
+      tr.remove();
+      onChange();
+    });
+    removeCell.appendChild(removeBtn);
+    tr.appendChild(removeCell);
+    tbody.appendChild(tr);
+  }
+
+  function getRows() {
+    return Array.from(tbody.rows).map(tr => {
+      const row = {};
+      tr.querySelectorAll('[data-key]').forEach(field => {
+        row[field.dataset.key] = field.type === 'number' ? inputNumber(field) : field.value;
+      });
+      return row;
+    });
+  }
+
+  function setRows(rows) {
+    tbody.replaceChildren();
+    rows.forEach(addRow);
+    onChange();
+  }
+
+  addButton.addEventListener('click', () => {
+    addRow();
+    onChange();
+  });
+  (initialRows || [{}, {}]).forEach(addRow);
+  rowTables[table.id] = { getRows, setRows };
+  return rowTables[table.id];
+}
+
+// Utility: replace a read-only results table with the given header and body rows. With a
+// displayUnits() formatter, columns headed 'name (SI unit)' are shown in its unit system.
+function fillResultTable(table, headers, rows, units) {
+  table.replaceChildren();
+  if (!rows.length) return;
+  const columnUnits = headers.map(text => (units ? labelUnit(text) : null));
+  const headRow = table.createTHead().insertRow();
+  headers.forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = units ? units.label(text) : text;
+    headRow.appendChild(th);
+  });
+  const tbody = table.createTBody();
+  rows.forEach(cells => {
+    const tr = tbody.insertRow();
+    cells.forEach((text, i) => {
+      const unit = columnUnits[i];
+      const numeric = unit && units.unit(unit) !== unit && /^-?\d+(\.\d+)?$/.test(text);
+      tr.insertCell().textContent = numeric
+        ? formatUnitNumber(units.value(parseFloat(text), unit), text)
+        : units ? units.text(text) : text;
+    });
+  });
+}
+
+// ---------------------- Scenarios ----------------------
+// A scenario is a named copy of the inputs of one calculator form, or of every form, kept in
+// IndexedDB: { id, name, calculator: form id or 'all', saved: ISO date, state: { formId: { fields,
+// tables } } }. Number and list fields are stored in SI, so scenarios load the same under either unit system.
+const SCENARIO_DB = 'civilcalc';
+const SCENARIO_STORE = 'scenarios';
+let scenarioDB = null;
+
+function openScenarioDB() {
+  if (!scenarioDB) {
+    scenarioDB = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('this browser has no IndexedDB'));
+        return;
+      }
+      const request = indexedDB.open(SCENARIO_DB, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(SCENARIO_STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return scenarioDB;
+}
+
+// Runs one store request and resolves with its result once the transaction has committed
+function scenarioRequest(mode, makeRequest) {
+  return openScenarioDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(SCENARIO_STORE, mode);
+    const request = makeRequest(tx.objectStore(SCENARIO_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+function listScenarios() {
+  return scenarioRequest('readonly', store => store.getAll());
+}
+
+function putScenario(scenario) {
+  return scenarioRequest('readwrite', store => store.put(scenario));
+}
+
+function deleteScenario(id) {
+  return scenarioRequest('readwrite', store => store.delete(id));
+}
+
+function calculatorForms() {
+  return Array.from(document.querySelectorAll('.calculator-section:not(#section-scenarios) .input-form'));
+}
+
+function calculatorTitle(formId) {
+  const form = document.getElementById(formId);
+  return formId === 'all' ? 'Whole app' : form ? form.querySelector('h3').textContent : formId;
+}
+
+// Field values as the calculators read them (SI), row tables as one object of cell values per row
+function captureForm(form) {
+  const fields = {};
+  form.querySelectorAll('input[id], select[id], textarea[id]').forEach(el => {
+    if (el.type !== 'file') fields[el.id] = inputValue(el);
+  });
+  const tables = {};
+  form.querySelectorAll('table.row-table').forEach(table => {
+    tables[table.id] = Array.from(table.tBodies[0].rows).map(tr => {
+      const row = {};
+      tr.querySelectorAll('[data-key]').forEach(field => {
+        row[field.dataset.key] = inputValue(field);
+      });
+      return row;
+    });
+  });
+  return { fields, tables };
+}
+
+// Refill a form and recalculate it the way the unit switch does
+function restoreForm(form, state) {
+  Object.keys(state.fields).forEach(id => {
+    const el = document.getElementById(id);
+    if (el && form.contains(el)) setInputValue(el, state.fields[id]);
+  });
+  Object.keys(state.tables).forEach(id => {
+    if (rowTables[id]) rowTables[id].setRows(state.tables[id]);
+  });
+  const first = form.querySelector('input, select:not(.unit-select)');
+  if (first) first.dispatchEvent(new Event('input'));
+}
+
+// Text of a field as shown on the page, with its display unit
+function fieldText(field) {
+  if (field.tagName === 'SELECT') return field.selectedIndex >= 0 ? field.options[field.selectedIndex].textContent : '';
+  const raw = field.value.trim();
+  return raw && field.dataset.unit ? raw + ' ' + field.dataset.unit : raw;
+}
+
+function fieldLabel(field) {
+  const label = field.closest('label');
+  if (!label) return field.id;
+  const copy = label.cloneNode(true);
+  copy.querySelectorAll('input, select, textarea, .unit-field').forEach(el => el.remove());
+  return copy.textContent.trim().replace(/:$/, '');
+}
+
+// Inputs of the visible mode groups and the results of a form, as [key, label, text] rows, plus
+// its canvases as images
+function formSnapshot(form) {
+  const inputs = [];
+  form.querySelectorAll('input[id], select[id], textarea[id]').forEach(el => {
+    if (el.type === 'file' || el.closest('.mode-group.hidden')) return;
+    inputs.push([el.id, fieldLabel(el), fieldText(el)]);
+  });
+  form.querySelectorAll('table.row-table').forEach(table => {
+    const rows = Array.from(table.tBodies[0].rows).map(tr =>
+      Array.from(tr.querySelectorAll('[data-key]')).map(fieldText).join(', '));
+    inputs.push([table.id, table.getAttribute('aria-label') || table.id, rows.join('; ')]);
+  });
+  const output = form.closest('.calculator-row').querySelector('.output-area');
+  const results = Array.from(output.querySelectorAll('p')).map(p => {
+    const text = p.textContent;
+    const colon = text.indexOf(': ');
+    return colon > 0 ? [p.id, text.slice(0, colon), text.slice(colon + 2)] : [p.id, '', text];
+  });
+  const images = Array.from(output.querySelectorAll('canvas')).map(canvas => canvas.toDataURL());
+  return { inputs, results, images };
+}
+
+// One table row per key in any snapshot; rows whose values differ are highlighted
+function appendComparisonRows(tbody, heading, columns) {
+  const labels = {};
+  columns.forEach(rows => rows.forEach(([key, label]) => {
+    if (!(key in labels) || !labels[key]) labels[key] = label;
+  }));
+  const keys = Object.keys(labels).filter(key => columns.some(rows => rows.some(row => row[0] === key && row[2])));
+  if (!keys.length) return;
+  const headRow = tbody.insertRow();
+  const th = document.createElement('th');
+  th.colSpan = columns.length + 1;
+  th.textContent = heading;
+  headRow.appendChild(th);
+  keys.forEach(key => {
+    const texts = columns.map(rows => {
+      const row = rows.find(r => r[0] === key);
+      return row && row[2] ? row[2] : '—';
+    });
+    const tr = tbody.insertRow();
+    tr.classList.toggle('differs', texts.some(text => text !== texts[0]));
+    tr.insertCell().textContent = labels[key];
+    texts.forEach(text => {
+      tr.insertCell().textContent = text;
+    });
+  });
+}
+
+// Load each scenario into the form in turn to read its inputs, results and canvases, then put the
+// form back as it was
+function compareForm(form, scenarios) {
+  const current = captureForm(form);
+  const snapshots = scenarios.map(scenario => {
+    restoreForm(form, scenario.state[form.id]);
+    return formSnapshot(form);
+  });
+  restoreForm(form, current);
+
+  const block = document.createElement('div');
+  block.className = 'scenario-block';
+  const title = document.createElement('h3');
+  title.textContent = calculatorTitle(form.id);
+  const table = document.createElement('table');
+  table.className = 'result-table';
+  const headRow = table.createTHead().insertRow();
+  ['', ...scenarios.map(s => s.name)].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+  const tbody = table.createTBody();
+  appendComparisonRows(tbody, 'Inputs', snapshots.map(s => s.inputs));
+  appendComparisonRows(tbody, 'Results', snapshots.map(s => s.results));
+  block.append(title, table);
+
+  // Matching canvases sit side by side, one column per scenario
+  snapshots[0].images.forEach((image, i) => {
+    const row = document.createElement('div');
+    row.className = 'scenario-canvases';
+    snapshots.forEach((snapshot, j) => {
+      const figure = document.createElement('figure');
+      const img = document.createElement('img');
+      img.src = snapshot.images[i];
+      img.alt = scenarios[j].name;
+      const caption = document.createElement('figcaption');
+      caption.textContent = scenarios[j].name;
+      figure.append(img, caption);
+      row.appendChild(figure);
+    });
+    block.appendChild(row);
+  });
+  return block;
+}
+
+function initScenarios() {
+  const calculatorSelect = document.getElementById('scenario-calculator');
+  const nameInput = document.getElementById('scenario-name');
+  const status = document.getElementById('scenario-status');
+  const listTable = document.getElementById('scenario-list');
+  const comparison = document.getElementById('scenario-comparison');
+  let scenarios = [];
+  const selected = new Set();
+
+  // Calculator choices grouped by discipline, as in the navigation
+  document.querySelectorAll('.calculator-section:not(#section-scenarios)').forEach(section => {
+    const group = document.createElement('optgroup');
+    group.label = document.getElementById('nav-' + section.id.replace('section-', '')).textContent;
+    section.querySelectorAll('.input-form').forEach(form => {
+      const opt = document.createElement('option');
+      opt.value = form.id;
+      opt.textContent = calculatorTitle(form.id);
+      group.appendChild(opt);
+    });
+    calculatorSelect.appendChild(group);
+  });
+
+  const report = err => {
+    status.textContent = 'Scenarios are unavailable: ' + err.message;
+  };
+
+  function showSection(formId) {
+    const section = document.getElementById(formId).closest('.calculator-section');
+    document.getElementById('nav-' + section.id.replace('section-', '')).click();
+  }
+
+  function loadScenario(scenario) {
+    Object.keys(scenario.state).forEach(formId => {
+      const form = document.getElementById(formId);
+      if (form) restoreForm(form, scenario.state[formId]);
+    });
+    status.textContent = 'Loaded “' + scenario.name + '”.';
+    if (scenario.calculator !== 'all') showSection(scenario.calculator);
+  }
+
+  function renderList() {
+    listTable.replaceChildren();
+    if (!scenarios.length) {
+      listTable.insertRow().insertCell().textContent = 'No saved scenarios yet.';
+      return;
+    }
+    const headRow = listTable.createTHead().insertRow();
+    ['', 'Name', 'Calculator', 'Saved', ''].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    const tbody = listTable.createTBody();
+    scenarios.forEach(scenario => {
+      const tr = tbody.insertRow();
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.checked = selected.has(scenario.id);
+      check.addEventListener('change', () => {
+        if (check.checked) selected.add(scenario.id);
+        else selected.delete(scenario.id);
+      });
+      tr.insertCell().appendChild(check);
+
+      // Renaming happens in place
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.value = scenario.name;
+      name.addEventListener('change', () => {
+        const newName = name.value.trim();
+        if (!newName) {
+          name.value = scenario.name;
+          return;
+        }
+        // Keep the old name until the write has gone through
+        putScenario(Object.assign({}, scenario, { name: newName })).then(() => {
+          scenario.name = newName;
+          status.textContent = 'Renamed to “' + newName + '”.';
+        }, err => {
+          name.value = scenario.name;
+          report(err);
+        });
+      });
+      tr.insertCell().appendChild(name);
+      tr.insertCell().textContent = calculatorTitle(scenario.calculator);
+      tr.insertCell().textContent = new Date(scenario.saved).toLocaleString();
+
+      const actions = tr.insertCell();
+      [
+        ['Load', () => loadScenario(scenario)],
+        ['Duplicate', () => {
+          const copy = Object.assign({}, scenario, { name: scenario.name + ' (copy)', saved: new Date().toISOString() });
+          delete copy.id;
+          putScenario(copy).then(refresh, report);
+        }],
+        ['Delete', () => {
+          if (!confirm('Delete scenario “' + scenario.name + '”?')) return;
+          selected.delete(scenario.id);
+          deleteScenario(scenario.id).then(refresh, report);
+        }],
+      ].forEach(([text, action]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'scenario-action';
+        button.textContent = text;
+        button.addEventListener('click', action);
+        actions.appendChild(button);
+      });
+    });
+  }
+
+  function refresh() {
+    return listScenarios().then(list => {
+      scenarios = list;
+      renderList();
+    }, report);
+  }
+
+  function saveScenario() {
+    const name = nameInput.value.trim();
+    if (!name) {
+      status.textContent = 'Enter a name for the scenario.';
+      return;
+    }
+    const calculator = calculatorSelect.value;
+    const forms = calculator === 'all' ? calculatorForms() : [document.getElementById(calculator)];
+    const state = {};
+    forms.forEach(form => {
+      state[form.id] = captureForm(form);
+    });
+    putScenario({ name, calculator, saved: new Date().toISOString(), state }).then(() => {
+      status.textContent = 'Saved “' + name + '”.';
+      nameInput.value = '';
+      return refresh();
+    }, report);
+  }
+
+  document.getElementById('scenario-save').addEventListener('click', saveScenario);
+  // Enter in the name box submits the form; save instead of reloading the page
+  document.getElementById('form-scenarios').addEventListener('submit', e => {
+    e.preventDefault();
+    saveScenario();
+  });
+
+  document.getElementById('scenario-compare').addEventListener('click', () => {
+    const chosen = scenarios.filter(s => selected.has(s.id));
+    comparison.replaceChildren();
+    if (chosen.length < 2) {
+      status.textContent = 'Select two or more scenarios to compare.';
+      return;
+    }
+    if (chosen.some(s => s.calculator !== chosen[0].calculator)) {
+      status.textContent = 'Only scenarios of the same calculator can be compared.';
+      return;
+    }
+    // Whole-app scenarios are compared on the forms whose inputs differ
+    const formIds = Object.keys(chosen[0].state).filter(id => document.getElementById(id) &&
+      chosen.every(s => s.state[id]) &&
+      (chosen[0].calculator !== 'all' || chosen.some(s => JSON.stringify(s.state[id]) !== JSON.stringify(chosen[0].state[id]))));
+    if (!formIds.length) {
+      status.textContent = 'The selected scenarios have identical inputs.';
+      return;
+    }
+    formIds.forEach(id => comparison.appendChild(compareForm(document.getElementById(id), chosen)));
+    status.textContent = 'Comparing ' + chosen.length + ' scenarios.';
+  });
+
+  refresh();
+}
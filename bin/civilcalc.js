@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/*
+ * civilcalc: command-line front end to the calculation engine used by the web app
+ *
+ *   civilcalc list                                    calculators and their titles
+ *   civilcalc <calculator> --help                     inputs with units and defaults
+ *   civilcalc <calculator> [--key value ...] [--input file.json] [--json]
+ *   civilcalc batch <file.json>                       run [{ "calculator": ..., "input": { ... } }, ...]
+ *
+ * Inputs use the page's SI units; blank inputs take the page defaults. Table inputs are JSON
+ * arrays, e.g. --layers '[{ "top": 2, "H": 4, ... }]'. `--input -` reads the input object from
+ * stdin, and flags override it. Exit status is 1 when the input cannot be calculated and 2 for
+ * usage errors.
+ */
+const fs = require('fs');
+const { CALCULATORS, runCalculator } = require('../engine.js');
+
+const BOOLEAN_FLAGS = ['json', 'help'];
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const key = eq > 0 ? arg.slice(2, eq) : arg.slice(2);
+    if (eq > 0) flags[key] = arg.slice(eq + 1);
+    else if (!BOOLEAN_FLAGS.includes(key) && i + 1 < argv.length && !argv[i + 1].startsWith('--')) flags[key] = argv[++i];
+    else flags[key] = true;
+  }
+  return { positional, flags };
+}
+
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function readJSON(file) {
+  const text = file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw usageError('cannot parse ' + (file === '-' ? 'stdin' : file) + ': ' + err.message);
+  }
+}
+
+// Flag names match input keys exactly, or case-insensitively when that is unambiguous
+function inputKey(calculator, flag) {
+  const keys = Object.keys(calculator.inputs);
+  if (keys.includes(flag)) return flag;
+  const matches = keys.filter(key => key.toLowerCase() === flag.toLowerCase());
+  return matches.length === 1 ? matches[0] : flag;
+}
+
+function buildInput(calculator, flags) {
+  const input = flags.input ? readJSON(flags.input) : {};
+  if (!isObject(input)) throw usageError('--input must hold a JSON object');
+  Object.keys(flags).forEach(flag => {
+    if (BOOLEAN_FLAGS.includes(flag) || flag === 'input') return;
+    let value = flags[flag];
+    if (value === true) throw usageError('--' + flag + ' needs a value');
+    if (/^\s*[[{]/.test(value)) {
+      try {
+        value = JSON.parse(value);
+      } catch (err) {
+        throw usageError('cannot parse --' + flag + ': ' + err.message);
+      }
+    }
+    input[inputKey(calculator, flag)] = value;
+  });
+  return input;
+}
+
+// JSON has no NaN or Infinity: blank values print as null, infinite ones as strings
+function jsonValue(key, value) {
+  if (typeof value !== 'number' || isFinite(value)) return value;
+  return isNaN(value) ? null : String(value);
+}
+
+function formatValue(value) {
+  if (typeof value === 'number') return isFinite(value) ? String(Number(value.toPrecision(6))) : isNaN(value) ? '—' : String(value);
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) {
+    return value.some(v => typeof v === 'object' && v !== null) ? value.length + ' rows (see --json)' : value.map(formatValue).join(', ');
+  }
+  return String(value);
+}
+
+function printResults(values, units, indent) {
+  Object.keys(values).forEach(key => {
+    const value = values[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      console.log(indent + key + ':');
+      printResults(value, units, indent + '  ');
+      return;
+    }
+    const unit = typeof value === 'number' && isFinite(value) && units[key] ? ' ' + units[key] : '';
+    console.log(indent + key + ' = ' + formatValue(value) + unit);
+  });
+}
+
+function describeInput(spec) {
+  if (spec.type === 'table') {
+    const columns = Object.keys(spec.columns).map(key => {
+      const column = spec.columns[key];
+      return key + (column.unit ? ' [' + column.unit + ']' : column.options ? ' [' + column.options.join('|') + ']' : '');
+    });
+    return spec.label + '; JSON rows of { ' + columns.join(', ') + ' }';
+  }
+  let text = spec.label;
+  if (spec.type === 'choice') text += ': ' + spec.options.join(' | ');
+  if (spec.unit) text += ' [' + spec.unit + ']';
+  const hasDefault = spec.type === 'number' ? !isNaN(spec.value) : spec.value !== '';
+  return text + (hasDefault ? ' (default ' + spec.value + ')' : '');
+}
+
+function printHelp(name) {
+  const calculator = CALCULATORS[name];
+  console.log(name + ': ' + calculator.title);
+  const keys = Object.keys(calculator.inputs);
+  const width = Math.max(...keys.map(key => key.length)) + 2;
+  keys.forEach(key => {
+    console.log('  --' + key.padEnd(width) + describeInput(calculator.inputs[key]));
+  });
+}
+
+function printUsage() {
+  console.log('Usage: civilcalc <calculator> [--key value ...] [--input file.json|-] [--json]');
+  console.log('       civilcalc <calculator> --help');
+  console.log('       civilcalc list');
+  console.log('       civilcalc batch <file.json>');
+}
+
+function main(argv) {
+  const { positional, flags } = parseArgs(argv);
+  const command = positional[0];
+  if (!command) {
+    printUsage();
+    return flags.help ? 0 : 2;
+  }
+  if (command === 'list') {
+    const width = Math.max(...Object.keys(CALCULATORS).map(name => name.length)) + 2;
+    Object.keys(CALCULATORS).forEach(name => console.log(name.padEnd(width) + CALCULATORS[name].title));
+    return 0;
+  }
+  if (command === 'batch') {
+    if (!positional[1]) throw usageError('batch needs a JSON file (or - for stdin)');
+    const cases = readJSON(positional[1]);
+    if (!Array.isArray(cases)) throw usageError('the batch file must hold an array of { calculator, input } objects');
+    cases.forEach((c, i) => {
+      if (!isObject(c) || typeof c.calculator !== 'string' || (c.input !== undefined && !isObject(c.input))) {
+        throw usageError('batch entry ' + (i + 1) + ' must be a { calculator, input } object');
+      }
+    });
+    const results = cases.map(c => Object.assign({ calculator: c.calculator }, runCalculator(c.calculator, c.input)));
+    console.log(JSON.stringify(results, jsonValue, 2));
+    return results.some(r => r.error) ? 1 : 0;
+  }
+  const calculator = CALCULATORS[command];
+  if (!calculator) throw usageError('unknown calculator "' + command + '"; try civilcalc list');
+  if (flags.help) {
+    printHelp(command);
+    return 0;
+  }
+  const result = runCalculator(command, buildInput(calculator, flags));
+  if (flags.json) {
+    console.log(JSON.stringify(Object.assign({ calculator: command }, result), jsonValue, 2));
+    return result.error ? 1 : 0;
+  }
+  if (result.error) {
+    console.error('civilcalc: ' + result.error);
+    return 1;
+  }
+  console.log(calculator.title);
+  printResults(result.results, calculator.units, '  ');
+  result.warnings.forEach(warning => console.log('warning: ' + warning));
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error('civilcalc: ' + err.message);
+  process.exitCode = err.usage ? 2 : 1;
+}
@@ -0,0 +1,3685 @@
+/*
+ * Civil Engineering Calculators calculation engine
+ * The pure calculation functions behind every calculator. Nothing here touches the DOM: the web
+ * app loads this file as a plain script before app.js, and the civilcalc command-line tool
+ * (bin/civilcalc.js) requires it as a Node module, so both run exactly the same math.
+ */
+
+// ---------------------- Site/Civil ----------------------
+// Area-weighted C and CN over land-use sub-areas; null when no complete rows are entered.
+// Either coefficient is NaN unless every sub-area supplies it.
+function compositeSubAreas(rows) {
+  const valid = rows.filter(r => r.area > 0);
+  if (!valid.length) return null;
+  const area = valid.reduce((sum, r) => sum + r.area, 0);
+  return {
+    area,
+    C: valid.reduce((sum, r) => sum + r.c * r.area, 0) / area,
+    CN: valid.reduce((sum, r) => sum + r.cn * r.area, 0) / area,
+  };
+}
+
+// Log-log interpolation of intensity (mm/h) at a duration (min), extrapolating the end segments
+function interpolateIDF(rows, duration) {
+  if (isNaN(duration) || duration <= 0) return NaN;
+  const pts = rows.slice().sort((a, b) => a.duration - b.duration);
+  let i = 1;
+  while (i < pts.length - 1 && duration > pts[i].duration) i++;
+  const a = pts[i - 1];
+  const b = pts[i];
+  const slope = Math.log(b.intensity / a.intensity) / Math.log(b.duration / a.duration);
+  return a.intensity * Math.pow(duration / a.duration, slope);
+}
+
+// Time of concentration (min) from the chosen method. The kinematic-wave equation depends on the
+// intensity, so it is iterated against `intensityAt(duration)` until tc settles.
+function timeOfConcentration(method, p, intensityAt) {
+  if (method === 'manual') return p.tc > 0 ? p.tc : NaN;
+  if (!(p.L > 0) || !(p.S > 0)) return NaN;
+  if (method === 'kirpich') {
+    // Kirpich (SI): tc = 0.0195 L^0.77 S^-0.385, L in m
+    return 0.0195 * Math.pow(p.L, 0.77) * Math.pow(p.S, -0.385);
+  }
+  if (!(p.n > 0)) return NaN;
+  // Kinematic wave (SI): tc = 6.99 (nL)^0.6 / (i^0.4 S^0.3), i in mm/h
+  let tc = 10;
+  for (let iter = 0; iter < 50; iter++) {
+    const i = intensityAt(tc);
+    if (!(i > 0)) return NaN;
+    const next = 6.99 * Math.pow(p.n * p.L, 0.6) / (Math.pow(i, 0.4) * Math.pow(p.S, 0.3));
+    if (Math.abs(next - tc) < 1e-4) return next;
+    tc = next;
+  }
+  return tc;
+}
+
+// SCS Curve Number runoff depth (mm) with the standard initial abstraction Ia = 0.2S
+function scsRunoff(P, CN) {
+  const S = 25400 / CN - 254;
+  const Ia = 0.2 * S;
+  const Q = P > Ia ? Math.pow(P - Ia, 2) / (P + 0.8 * S) : 0;
+  return { S, Ia, Q };
+}
+
+// Rational method: Q = C·I·A with I in mm/h and A in ha gives m³/s
+function rationalPeakFlow(C, I, A) {
+  return C * I * A * 0.00277777778;
+}
+
+// SCS triangular unit hydrograph: Tp ≈ 2/3 tc (lag 0.6 tc, D = 0.133 tc), Tb = 2.67 Tp.
+// Runoff depth Q in mm, A in ha, tc in min; Qp in m³/s, times in h.
+function scsTriangularPeak(Q, A, tc) {
+  const Tp = (2 / 3) * tc / 60;
+  return { Tp, Tb: 2.67 * Tp, Qp: 0.208 * (A / 100) * Q / Tp };
+}
+
+// Volumes between consecutive stations; each row's method applies to the segment ending at it.
+// Cut is multiplied by the shrinkage factor before it is balanced against fill.
+function computeEarthwork(rows, shrink, swell) {
+  const stations = rows
+    .filter(r => ![r.chainage, r.cut, r.fill].some(isNaN))
+    .sort((a, b) => a.chainage - b.chainage);
+  if (stations.length < 2 || stations.some(r => r.cut < 0 || r.fill < 0)) return null;
+  let cumCut = 0;
+  let cumFill = 0;
+  const out = [{ chainage: stations[0].chainage, cumCut: 0, cumFill: 0, mass: 0 }];
+  for (let i = 1; i < stations.length; i++) {
+    const prev = stations[i - 1];
+    const st = stations[i];
+    const L = st.chainage - prev.chainage;
+    if (L <= 0) return null;
+    cumCut += segmentVolume(prev.cut, st.cut, L, st.method);
+    cumFill += segmentVolume(prev.fill, st.fill, L, st.method);
+    out.push({ chainage: st.chainage, cumCut, cumFill, mass: cumCut * shrink - cumFill });
+  }
+  // Balance points: where the mass ordinate crosses zero between stations
+  const balancePoints = [];
+  for (let i = 1; i < out.length; i++) {
+    const m0 = out[i - 1].mass;
+    const m1 = out[i].mass;
+    if (m1 === 0 && i < out.length - 1) {
+      balancePoints.push(out[i].chainage);
+    } else if (m0 * m1 < 0) {
+      const x0 = out[i - 1].chainage;
+      balancePoints.push(x0 + (m0 / (m0 - m1)) * (out[i].chainage - x0));
+    }
+  }
+  return {
+    stations: out,
+    totalCut: cumCut,
+    totalFill: cumFill,
+    looseCut: cumCut * swell,
+    net: cumCut * shrink - cumFill,
+    balancePoints,
+  };
+}
+
+function segmentVolume(A1, A2, L, method) {
+  if (method === 'prism') {
+    // Prismoidal formula with the mid-area of a linearly varying section:
+    // Am = ((√A1 + √A2) / 2)², which reduces to L/3 (A1 + A2 + √(A1 A2))
+    return L / 3 * (A1 + A2 + Math.sqrt(A1 * A2));
+  }
+  return (A1 + A2) / 2 * L;
+}
+
+// Free-haul chord: the horizontal line of length `distance` inside the largest mass-haul loop.
+// Returns null when the whole loop already lies within the free-haul distance.
+function findFreeHaulChord(stations, distance) {
+  let peak = 0;
+  stations.forEach((st, i) => {
+    if (Math.abs(st.mass) > Math.abs(stations[peak].mass)) peak = i;
+  });
+  const peakMass = stations[peak].mass;
+  if (peakMass === 0) return null;
+  const sign = Math.sign(peakMass);
+  // Chainage where the curve drops below `level`, walking away from the peak
+  function crossing(level, step) {
+    for (let i = peak; i + step >= 0 && i + step < stations.length; i += step) {
+      const a = stations[i];
+      const b = stations[i + step];
+      if (sign * b.mass <= sign * level) {
+        return a.chainage + ((a.mass - level) / (a.mass - b.mass)) * (b.chainage - a.chainage);
+      }
+    }
+    return stations[step < 0 ? 0 : stations.length - 1].chainage;
+  }
+  function width(level) {
+    return crossing(level, 1) - crossing(level, -1);
+  }
+  if (width(0) <= distance) return null;
+  let lo = 0;
+  let hi = peakMass;
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (width(mid) > distance) lo = mid;
+    else hi = mid;
+  }
+  return { x1: crossing(lo, -1), x2: crossing(lo, 1), level: lo };
+}
+
+// ---------------------- Geotechnical ----------------------
+function checkNote(FS, required) {
+  return FS >= required ? ' (OK, ≥ ' + required + ')' : ' (below ' + required + ')';
+}
+
+// Active and passive coefficients for a vertical back. Rankine allows a sloping backfill β
+// (thrust parallel to the slope); Coulomb adds wall friction δ. Angles in degrees.
+function earthPressureCoefficients(theory, phi, beta, delta) {
+  const f = (phi * Math.PI) / 180;
+  const b = (beta * Math.PI) / 180;
+  const d = (delta * Math.PI) / 180;
+  if (theory === 'coulomb') {
+    const root = sign => Math.sqrt((Math.sin(f + d) * Math.sin(f + sign * b)) / (Math.cos(d) * Math.cos(b)));
+    return {
+      Ka: Math.pow(Math.cos(f), 2) / (Math.cos(d) * Math.pow(1 + root(-1), 2)),
+      Kp: Math.pow(Math.cos(f), 2) / (Math.cos(d) * Math.pow(1 - root(1), 2)),
+      K0: 1 - Math.sin(f),
+    };
+  }
+  const root = Math.sqrt(Math.max(Math.pow(Math.cos(b), 2) - Math.pow(Math.cos(f), 2), 0));
+  return {
+    Ka: (Math.cos(b) * (Math.cos(b) - root)) / (Math.cos(b) + root),
+    Kp: (Math.cos(b) * (Math.cos(b) + root)) / (Math.cos(b) - root),
+    K0: 1 - Math.sin(f),
+  };
+}
+
+// Wall stability per metre run. x is measured from the toe and y up from the underside of the
+// base. Earth pressure acts on a vertical virtual back through the heel, so the soil above the
+// heel and behind the stem counts as resisting weight. The last layer is also the founding and
+// passive soil: base friction 2/3 φ′, adhesion 2/3 c′, Rankine passive over depth D. The base is
+// taken as drained (no uplift) and surcharge on the heel is ignored as a resisting load.
+function retainingWall(p, rows) {
+  const { theory, state, H, top, stem, B, tb, toe, gammaWall, beta, delta, q, dw, D } = p;
+  if (rows.some(l => l.phi < beta && !(l.phi === 0 && beta === 0))) return { error: 'backfill slope is steeper than φ′' };
+  const layers = rows.map(l => ({ ...l, gammaSat: isNaN(l.gammaSat) ? l.gamma : l.gammaSat, ...earthPressureCoefficients(theory, l.phi, beta, delta) }));
+  const tanB = Math.tan((beta * Math.PI) / 180);
+  const stemBackTop = toe + top;
+  const surface = x => H + Math.max(x - stemBackTop, 0) * tanB;
+  const Hv = surface(B);
+  const yWater = H - dw;
+  const layerAt = depth => {
+    let bottom = 0;
+    for (const l of layers) {
+      bottom += isNaN(l.thickness) ? Infinity : l.thickness;
+      if (depth < bottom) return l;
+    }
+    return layers[layers.length - 1];
+  };
+  const unitWeight = (depth, y) => (y < yWater ? layerAt(depth).gammaSat : layerAt(depth).gamma);
+  // Pressures down the virtual back; thrust inclined at β (Rankine active), δ (Coulomb) or 0 (at rest)
+  const omega = state === 'rest' ? 0 : ((theory === 'coulomb' ? delta : beta) * Math.PI) / 180;
+  const steps = 200;
+  const dz = Hv / steps;
+  const pressures = [];
+  let sigmaV = q;
+  let Pearth = 0;
+  let Pwater = 0;
+  let Pv = 0;
+  let moment = 0;
+  for (let i = 0; i <= steps; i++) {
+    const z = i * dz;
+    const y = Hv - z;
+    const l = layerAt(z);
+    const K = state === 'rest' ? l.K0 : l.Ka;
+    const earth = Math.max(K * sigmaV - (state === 'rest' ? 0 : 2 * l.c * Math.sqrt(K)), 0);
+    const water = y < yWater ? 9.81 * (yWater - y) : 0;
+    pressures.push({ z, earth, water });
+    // Midpoint rule to the next point: effective vertical stress and thrust
+    if (i < steps) {
+      const yMid = y - dz / 2;
+      sigmaV += (unitWeight(z + dz / 2, yMid) - (yMid < yWater ? 9.81 : 0)) * dz;
+    }
+    if (i > 0) {
+      const prev = pressures[i - 1];
+      const eMid = (prev.earth + earth) / 2;
+      const wMid = (prev.water + water) / 2;
+      const arm = y + dz / 2;
+      Pearth += eMid * dz;
+      Pwater += wMid * dz;
+      Pv += eMid * Math.sin(omega) * dz;
+      moment += (eMid * Math.cos(omega) + wMid) * dz * arm;
+    }
+  }
+  const Ph = Pearth * Math.cos(omega) + Pwater;
+  const yArm = Ph > 0 ? moment / Ph : 0;
+  // Resisting weights: stem trapezoid, base slab and soil over the heel, each with its lever arm about the toe
+  const weights = [];
+  const stemH = H - tb;
+  weights.push({ W: gammaWall * top * stemH, x: toe + top / 2 });
+  if (stem > top) weights.push({ W: gammaWall * 0.5 * (stem - top) * stemH, x: toe + top + (stem - top) / 3 });
+  if (tb > 0) weights.push({ W: gammaWall * B * tb, x: B / 2 });
+  const columns = 100;
+  const dx = (B - stemBackTop) / columns;
+  for (let i = 0; i < columns; i++) {
+    const x = stemBackTop + (i + 0.5) * dx;
+    // Soil starts at the battered back of the stem, or on the base slab beyond it
+    const yLow = x < toe + stem ? tb + (stemH * (x - toe - top)) / (stem - top) : tb;
+    const yTop = surface(x);
+    let W = 0;
+    const slices = 20;
+    for (let j = 0; j < slices; j++) {
+      const y = yLow + ((yTop - yLow) * (j + 0.5)) / slices;
+      W += unitWeight(yTop - y, y) * ((yTop - yLow) / slices);
+    }
+    weights.push({ W: W * dx, x });
+  }
+  const sumW = weights.reduce((sum, w) => sum + w.W, 0) + Pv;
+  const resisting = weights.reduce((sum, w) => sum + w.W * w.x, 0) + Pv * B;
+  const overturning = Ph * yArm;
+  // Founding soil
+  const base = layers[layers.length - 1];
+  const KpFront = earthPressureCoefficients('rankine', base.phi, 0, 0).Kp;
+  const Pp = D > 0 ? 0.5 * KpFront * base.gamma * D * D + 2 * base.c * Math.sqrt(KpFront) * D : 0;
+  const phiB = ((2 / 3) * base.phi * Math.PI) / 180;
+  const FSsliding = Ph > 0 ? (sumW * Math.tan(phiB) + (2 / 3) * base.c * B + Pp) / Ph : Infinity;
+  const xR = (resisting - overturning) / sumW;
+  const e = B / 2 - xR;
+  let qmax;
+  let qmin;
+  if (Math.abs(e) <= B / 6) {
+    qmax = (sumW / B) * (1 + (6 * Math.abs(e)) / B);
+    qmin = (sumW / B) * (1 - (6 * Math.abs(e)) / B);
+  } else {
+    qmax = xR > 0 && xR < B ? (2 * sumW) / (3 * Math.min(xR, B - xR)) : Infinity;
+    qmin = 0;
+  }
+  const Beff = B - 2 * Math.abs(e);
+  const qult = Beff > 0
+    ? bearingCapacity({
+      method: 'meyerhof',
+      shape: 'strip',
+      c: base.c,
+      gamma: base.gamma,
+      B: Beff,
+      L: Beff,
+      Df: D,
+      phi: base.phi,
+      beta: (Math.atan(Ph / sumW) * 180) / Math.PI,
+      Dw: Infinity,
+    }).qult
+    : 0;
+  return {
+    coefficients: layers,
+    pressures,
+    Hv,
+    Pearth,
+    Pwater,
+    Ph,
+    Pv,
+    yArm,
+    sumW,
+    xR,
+    Pp,
+    FSoverturning: overturning > 0 ? resisting / overturning : Infinity,
+    FSsliding,
+    e,
+    qmax,
+    qmin,
+    FSbearing: qult / qmax,
+  };
+}
+
+// Vertical stress increase at depth z below the base of a footing carrying net pressure q.
+// L = Infinity is a strip. Boussinesq is below the centre: the strip closed form, or four
+// corner rectangles (Newmark) for rectangular footings.
+function footingStressIncrease(method, q, B, L, z) {
+  if (z <= 0) return q;
+  if (method === '2to1') return isFinite(L) ? (q * B * L) / ((B + z) * (L + z)) : (q * B) / (B + z);
+  if (!isFinite(L)) {
+    const alpha = 2 * Math.atan(B / (2 * z));
+    return (q / Math.PI) * (alpha + Math.sin(alpha));
+  }
+  const m = B / 2 / z;
+  const n = L / 2 / z;
+  const root = Math.sqrt(m * m + n * n + 1);
+  const denominator = m * m + n * n + 1 - m * m * n * n;
+  let angle = Math.atan((2 * m * n * root) / denominator);
+  if (denominator < 0) angle += Math.PI;
+  const corner = (1 / (4 * Math.PI)) *
+    (((2 * m * n * root) / (m * m + n * n + m * m * n * n + 1)) * ((m * m + n * n + 2) / (m * m + n * n + 1)) + angle);
+  return 4 * q * corner;
+}
+
+// Terzaghi average degree of consolidation U(Tv) from the series solution
+function degreeOfConsolidation(Tv) {
+  if (Tv <= 0) return 0;
+  let U = 1;
+  for (let m = 0; m < 100; m++) {
+    const M = (Math.PI * (2 * m + 1)) / 2;
+    const term = (2 / (M * M)) * Math.exp(-M * M * Tv);
+    U -= term;
+    if (term < 1e-12) break;
+  }
+  return U;
+}
+
+// Primary consolidation of each clay layer, split into five sublayers, with the stress increase
+// from the footing. Stresses at the footing base depth are not reduced for excavation, so q is
+// the net pressure. Time in years: S(t) = Σ S_i U(cv t / Hdr²).
+function consolidationAnalysis({ method, q, B, L, Df, gamma, Dw }, rows) {
+  const clays = rows.slice().sort((a, b) => a.top - b.top);
+  for (let i = 1; i < clays.length; i++) {
+    if (clays[i].top < clays[i - 1].top + clays[i - 1].H - 1e-9) return { error: 'clay layers overlap' };
+  }
+  // Total vertical stress at depth z, taking γ outside the clay layers and γsat within them
+  const totalStress = z => {
+    let sigma = 0;
+    let depth = 0;
+    clays.forEach(c => {
+      if (z <= depth) return;
+      sigma += gamma * (Math.min(z, c.top) - depth);
+      depth = Math.min(z, c.top);
+      if (z > c.top) {
+        sigma += c.gamma * (Math.min(z, c.top + c.H) - c.top);
+        depth = Math.min(z, c.top + c.H);
+      }
+    });
+    return sigma + gamma * Math.max(z - depth, 0);
+  };
+  const effectiveStress = z => totalStress(z) - 9.81 * Math.max(z - Dw, 0);
+  const layers = clays.map(c => {
+    const parts = 5;
+    const h = c.H / parts;
+    let S = 0;
+    const states = new Set();
+    for (let k = 0; k < parts; k++) {
+      const z = c.top + (k + 0.5) * h;
+      const sigma0 = effectiveStress(z);
+      const dSigma = footingStressIncrease(method, q, B, L, z - Df);
+      const sigmaP = isNaN(c.sigmaP) ? sigma0 : Math.max(c.sigmaP, sigma0);
+      const final = sigma0 + dSigma;
+      if (final <= sigmaP) {
+        S += ((c.Cr * h) / (1 + c.e0)) * Math.log10(final / sigma0);
+      } else {
+        S += ((c.Cr * h) / (1 + c.e0)) * Math.log10(sigmaP / sigma0) + ((c.Cc * h) / (1 + c.e0)) * Math.log10(final / sigmaP);
+      }
+      states.add(sigmaP > sigma0 ? 'OC' : 'NC');
+    }
+    const mid = c.top + c.H / 2;
+    return {
+      S,
+      state: Array.from(states).join('/'),
+      sigma0: effectiveStress(mid),
+      dSigma: footingStressIncrease(method, q, B, L, mid - Df),
+      Hdr: c.drainage === 'single' ? c.H : c.H / 2,
+      cv: c.cv,
+    };
+  });
+  if (layers.some(l => !(l.sigma0 > 0))) return { error: 'clay must lie below the ground surface' };
+  const total = layers.reduce((sum, l) => sum + l.S, 0);
+  const settlementAt = t => layers.reduce((sum, l) => sum + l.S * degreeOfConsolidation((l.cv * t) / (l.Hdr * l.Hdr)), 0);
+  // Time for a given average degree of consolidation of the total, by bisection on log t
+  const timeTo = U => {
+    if (total <= 0) return 0;
+    return Math.pow(10, bisect(logT => settlementAt(Math.pow(10, logT)) / total - U, -6, 6));
+  };
+  return { layers, total, settlementAt, timeTo };
+}
+
+function formatYears(t) {
+  return t < 1 ? (t * 365).toFixed(0) + ' days' : t.toFixed(2) + ' years';
+}
+
+// Infinite slope with the water table at m·z above the slip plane and seepage parallel to it:
+//   FoS = [c′ + (σ − u) tanφ′] / τ, σ = (γ(1 − m)z + γsat·m·z) cos²β, u = γw·m·z·cos²β
+function infiniteSlopeFS({ beta, z, gamma, gammaSat, m, c, phi }) {
+  const b = (beta * Math.PI) / 180;
+  const weight = gamma * (1 - m) * z + gammaSat * m * z;
+  const sigma = weight * Math.pow(Math.cos(b), 2);
+  const u = 9.81 * m * z * Math.pow(Math.cos(b), 2);
+  const tau = weight * Math.sin(b) * Math.cos(b);
+  const sigmaN = sigma - u;
+  return { FS: (c + sigmaN * Math.tan((phi * Math.PI) / 180)) / tau, sigmaN, tau, u };
+}
+
+// Linear interpolation along a polyline sorted by x; flat beyond its ends
+function polylineY(points, x) {
+  if (x <= points[0].x) return points[0].y;
+  if (x >= points[points.length - 1].x) return points[points.length - 1].y;
+  let i = 1;
+  while (points[i].x < x) i++;
+  const a = points[i - 1];
+  const b = points[i];
+  return a.y + ((b.y - a.y) * (x - a.x)) / (b.x - a.x);
+}
+
+// Slices of the soil mass above a circle (centre xc, yc; radius R). Returns null when the circle
+// misses the slope or leaves the ends of the ground profile while still below ground.
+function slopeSlices({ profile, layers, water }, xc, yc, R, count) {
+  const xStart = profile[0].x;
+  const xEnd = profile[profile.length - 1].x;
+  const arcY = x => yc - Math.sqrt(Math.max(R * R - (x - xc) * (x - xc), 0));
+  // Longest run of sample points where the arc lies below ground
+  const lo = Math.max(xc - R, xStart);
+  const hi = Math.min(xc + R, xEnd);
+  if (hi <= lo) return null;
+  const samples = 200;
+  let best = null;
+  let runStart = null;
+  for (let i = 0; i <= samples; i++) {
+    const x = lo + ((hi - lo) * i) / samples;
+    const below = arcY(x) < polylineY(profile, x) && Math.abs(x - xc) < R;
+    if (below && runStart === null) runStart = i;
+    if ((!below || i === samples) && runStart !== null) {
+      const runEnd = below ? i : i - 1;
+      if (!best || runEnd - runStart > best[1] - best[0]) best = [runStart, runEnd];
+      runStart = null;
+    }
+  }
+  if (!best || best[1] - best[0] < 2) return null;
+  const x1 = lo + ((hi - lo) * best[0]) / samples;
+  const x2 = lo + ((hi - lo) * best[1]) / samples;
+  if ((x1 <= xStart && arcY(xStart) < profile[0].y - 1e-6) || (x2 >= xEnd && arcY(xEnd) < profile[profile.length - 1].y - 1e-6)) {
+    return null;
+  }
+  const width = (x2 - x1) / count;
+  const slices = [];
+  for (let i = 0; i < count; i++) {
+    const x = x1 + (i + 0.5) * width;
+    const top = polylineY(profile, x);
+    const base = arcY(x);
+    if (top <= base) continue;
+    // Weight summed layer by layer between the base and the ground surface
+    let W = 0;
+    let upper = top;
+    for (const layer of layers) {
+      const lower = isNaN(layer.bottom) ? -Infinity : layer.bottom;
+      const from = Math.max(lower, base);
+      if (upper > from) W += layer.gamma * (upper - from) * width;
+      upper = Math.min(upper, lower);
+      if (upper <= base) break;
+    }
+    const baseLayer = layers.find(l => isNaN(l.bottom) || l.bottom <= base) || layers[layers.length - 1];
+    const u = water.length ? 9.81 * Math.max(polylineY(water, x) - base, 0) : 0;
+    slices.push({ x, width, W, u, alpha: Math.asin((x - xc) / R), c: baseLayer.c, phi: (baseLayer.phi * Math.PI) / 180 });
+  }
+  return slices;
+}
+
+// Ordinary (Fellenius) and Bishop simplified factors of safety for one set of slices. Angles are
+// taken positive in the direction of sliding, whichever way the slope faces.
+function sliceFactorsOfSafety(slices) {
+  const sign = slices.reduce((sum, s) => sum + s.W * Math.sin(s.alpha), 0) >= 0 ? 1 : -1;
+  const driving = slices.reduce((sum, s) => sum + s.W * Math.sin(sign * s.alpha), 0);
+  if (driving <= 0) return null;
+  let resisting = 0;
+  slices.forEach(s => {
+    const a = sign * s.alpha;
+    const l = s.width / Math.cos(a);
+    resisting += s.c * l + Math.max(s.W * Math.cos(a) - s.u * l, 0) * Math.tan(s.phi);
+  });
+  const ordinary = resisting / driving;
+  let FS = ordinary;
+  for (let i = 0; i < 100; i++) {
+    let sum = 0;
+    slices.forEach(s => {
+      const a = sign * s.alpha;
+      // m_α is floored at 0.2 so steep exit slices cannot blow up the sum
+      const mAlpha = Math.max(Math.cos(a) + (Math.sin(a) * Math.tan(s.phi)) / FS, 0.2);
+      sum += (s.c * s.width + Math.max(s.W - s.u * s.width, 0) * Math.tan(s.phi)) / mAlpha;
+    });
+    const next = sum / driving;
+    if (Math.abs(next - FS) < 1e-6) {
+      FS = next;
+      break;
+    }
+    FS = next;
+  }
+  return { ordinary, bishop: FS };
+}
+
+// Minimum FoS over a 10 × 10 grid of centres with, at each, circles tangent to ten elevations
+// between the lowest slip elevation and the crest. Blank grid limits default to the slope extents.
+function searchSlipCircles(geometry, grid) {
+  const { profile } = geometry;
+  const xs = profile.map(p => p.x);
+  const ys = profile.map(p => p.y);
+  const top = Math.max(...ys);
+  const bottom = Math.min(...ys);
+  const height = Math.max(top - bottom, 1);
+  const limits = {
+    xMin: isNaN(grid.xMin) ? Math.min(...xs) : grid.xMin,
+    xMax: isNaN(grid.xMax) ? Math.max(...xs) : grid.xMax,
+    yMin: isNaN(grid.yMin) ? top + 0.25 * height : grid.yMin,
+    yMax: isNaN(grid.yMax) ? top + 2 * height : grid.yMax,
+    base: isNaN(grid.base) ? bottom - 0.5 * height : grid.base,
+  };
+  const n = 10;
+  const result = { limits, bishop: null, ordinary: null };
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      const xc = limits.xMin + ((limits.xMax - limits.xMin) * i) / (n - 1);
+      const yc = limits.yMin + ((limits.yMax - limits.yMin) * j) / (n - 1);
+      for (let k = 0; k < n; k++) {
+        const tangent = limits.base + ((top - 0.05 * height - limits.base) * k) / (n - 1);
+        const R = yc - tangent;
+        if (R <= 0) continue;
+        const slices = slopeSlices(geometry, xc, yc, R, 30);
+        const fs = slices && slices.length > 2 ? sliceFactorsOfSafety(slices) : null;
+        if (!fs) continue;
+        if (!result.bishop || fs.bishop < result.bishop.FS) {
+          result.bishop = { FS: fs.bishop, ordinaryFS: fs.ordinary, xc, yc, R };
+        }
+        if (!result.ordinary || fs.ordinary < result.ordinary.FS) result.ordinary = { FS: fs.ordinary, xc, yc, R };
+      }
+    }
+  }
+  return result;
+}
+
+// General bearing capacity equation
+//   q_ult = c′Nc·sc·dc·ic + q′Nq·sq·dq·iq + 0.5γ′B·Nγ·sγ·dγ·iγ
+// with the shape (s), depth (d) and inclination (i) factors of the chosen method. Angles are in
+// degrees, lengths in m; L equals B for square and circular footings. The inclination factors use
+// the angle-only forms (adhesion neglected), so the undrained ic falls back to Meyerhof's.
+function bearingCapacity({ method, shape, c, gamma, B, L, Df, phi, beta, Dw }) {
+  const phiRad = (phi * Math.PI) / 180;
+  const betaRad = (beta * Math.PI) / 180;
+  const tanPhi = Math.tan(phiRad);
+  const Kp = Math.pow(Math.tan(Math.PI / 4 + phiRad / 2), 2);
+  const Nq = Math.exp(Math.PI * tanPhi) * Kp;
+  const Nc = phi === 0 ? 5.14 : (Nq - 1) / tanPhi;
+  let Ngamma;
+  if (method === 'meyerhof') Ngamma = (Nq - 1) * Math.tan(1.4 * phiRad);
+  else if (method === 'hansen') Ngamma = 1.5 * (Nq - 1) * tanPhi;
+  else Ngamma = 2 * (Nq + 1) * tanPhi;
+  const BL = shape === 'strip' ? 0 : B / L;
+
+  // Groundwater: effective overburden at founding level and effective γ below the footing
+  const gammaW = 9.81;
+  const gammaSub = gamma - gammaW;
+  let q = gamma * Df;
+  let gammaEff = gamma;
+  if (Dw <= Df) {
+    q = gamma * Dw + gammaSub * (Df - Dw);
+    gammaEff = gammaSub;
+  } else if (Dw < Df + B) {
+    gammaEff = gammaSub + ((Dw - Df) / B) * (gamma - gammaSub);
+  }
+
+  const f = { sc: 1, sq: 1, sg: 1, dc: 1, dq: 1, dg: 1, ic: 1, iq: 1, ig: 1 };
+  const k = Df / B <= 1 ? Df / B : Math.atan(Df / B);
+  const meyerhofIc = Math.pow(1 - beta / 90, 2);
+  if (method === 'terzaghi') {
+    // Terzaghi's shape factors (1.3 / 0.8 square, 1.3 / 0.6 circular); no depth or inclination terms
+    if (shape === 'circular') {
+      f.sc = 1.3;
+      f.sg = 0.6;
+    } else {
+      f.sc = 1 + 0.3 * BL;
+      f.sg = 1 - 0.2 * BL;
+    }
+  } else if (method === 'meyerhof') {
+    f.sc = 1 + 0.2 * Kp * BL;
+    f.dc = 1 + 0.2 * Math.sqrt(Kp) * Df / B;
+    if (phi > 10) {
+      f.sq = f.sg = 1 + 0.1 * Kp * BL;
+      f.dq = f.dg = 1 + 0.1 * Math.sqrt(Kp) * Df / B;
+    }
+    f.ic = f.iq = meyerhofIc;
+    f.ig = phi > 0 ? Math.pow(Math.max(1 - beta / phi, 0), 2) : 1;
+  } else {
+    // Hansen and Vesić share shape and depth factors
+    f.sc = phi === 0 ? 1 + 0.2 * BL : 1 + (Nq / Nc) * BL;
+    f.sq = 1 + BL * tanPhi;
+    f.sg = 1 - 0.4 * BL;
+    f.dq = 1 + 2 * tanPhi * Math.pow(1 - Math.sin(phiRad), 2) * k;
+    f.dc = phi === 0 ? 1 + 0.4 * k : f.dq - (1 - f.dq) / (Nc * tanPhi);
+    if (method === 'hansen') {
+      f.iq = Math.pow(Math.max(1 - 0.5 * Math.tan(betaRad), 0), 5);
+      f.ig = Math.pow(Math.max(1 - 0.7 * Math.tan(betaRad), 0), 5);
+    } else {
+      const m = (2 + BL) / (1 + BL);
+      f.iq = Math.pow(Math.max(1 - Math.tan(betaRad), 0), m);
+      f.ig = Math.pow(Math.max(1 - Math.tan(betaRad), 0), m + 1);
+    }
+    f.ic = phi === 0 ? meyerhofIc : f.iq - (1 - f.iq) / (Nq - 1);
+  }
+
+  const terms = {
+    c: c * Nc * f.sc * f.dc * f.ic,
+    q: q * Nq * f.sq * f.dq * f.iq,
+    gamma: 0.5 * gammaEff * B * Ngamma * f.sg * f.dg * f.ig,
+  };
+  return { Nc, Nq, Ngamma, q, gammaEff, factors: f, terms, qult: terms.c + terms.q + terms.gamma };
+}
+
+// Mohr–Coulomb shear strength τ = c′ + σ′ tanφ′, φ′ in degrees
+function mohrCoulombStrength(c, phi, sigma) {
+  return c + sigma * Math.tan((phi * Math.PI) / 180);
+}
+
+// Least-squares Mohr–Coulomb envelope. Triaxial results are regressed in p–q space
+// (q = a + p tan α, so sin φ′ = tan α and c′ = a / cos φ′); direct shear results directly as τ on σ.
+function fitStrengthEnvelope(type, tests) {
+  if (tests.length < 2) return null;
+  const pts = tests.map(t => (type === 'triaxial'
+    ? { x: (t.a + t.b) / 2, y: (t.b - t.a) / 2 }
+    : { x: t.a, y: t.b }));
+  const fit = linearRegression(pts);
+  if (!fit) return null;
+  let c;
+  let phiRad;
+  if (type === 'triaxial') {
+    if (fit.slope <= 0 || fit.slope >= 1) return null;
+    phiRad = Math.asin(fit.slope);
+    c = fit.intercept / Math.cos(phiRad);
+  } else {
+    if (fit.slope <= 0) return null;
+    phiRad = Math.atan(fit.slope);
+    c = fit.intercept;
+  }
+  return { c, phi: (phiRad * 180) / Math.PI, r2: fit.r2 };
+}
+
+// Principal stresses, maximum shear and the major principal plane angle (° from x) of a 2D stress state
+function principalStresses(sx, sy, txy) {
+  const center = (sx + sy) / 2;
+  const radius = Math.sqrt(Math.pow((sx - sy) / 2, 2) + txy * txy);
+  const thetaP = (0.5 * Math.atan2(2 * txy, sx - sy) * 180) / Math.PI;
+  return { sigma1: center + radius, sigma3: center - radius, center, tauMax: radius, thetaP };
+}
+
+// Failure plane for a stress state against the envelope: it is inclined at 45° + φ′/2 to the
+// major principal plane, and the Mohr circle radius at failure is c′cosφ′ + centre·sinφ′
+function failurePlane(state, c, phi) {
+  const phiRad = (phi * Math.PI) / 180;
+  const thetaF = 45 + phi / 2;
+  const radiusAtFailure = c * Math.cos(phiRad) + state.center * Math.sin(phiRad);
+  return { thetaF, thetaX: state.thetaP + thetaF, mobilised: state.tauMax / radiusAtFailure };
+}
+
+// ---------------------- Structural ----------------------
+// Bundled section catalogue (dimensions in mm). Rolled steel entries carry tabulated A (mm²) and
+// Ix, Iy (mm⁴) including root fillets; timber sizes are plain rectangles computed from b × h.
+const SECTION_CATALOGUE = [
+  ['IPE 100', 100, 55, 4.1, 5.7, 1032, 1.71, 0.159],
+  ['IPE 120', 120, 64, 4.4, 6.3, 1321, 3.18, 0.277],
+  ['IPE 140', 140, 73, 4.7, 6.9, 1643, 5.41, 0.449],
+  ['IPE 160', 160, 82, 5.0, 7.4, 2009, 8.69, 0.683],
+  ['IPE 180', 180, 91, 5.3, 8.0, 2395, 13.17, 1.01],
+  ['IPE 200', 200, 100, 5.6, 8.5, 2848, 19.43, 1.42],
+  ['IPE 220', 220, 110, 5.9, 9.2, 3337, 27.72, 2.05],
+  ['IPE 240', 240, 120, 6.2, 9.8, 3912, 38.92, 2.84],
+  ['IPE 270', 270, 135, 6.6, 10.2, 4595, 57.90, 4.20],
+  ['IPE 300', 300, 150, 7.1, 10.7, 5381, 83.56, 6.04],
+  ['IPE 330', 330, 160, 7.5, 11.5, 6261, 117.7, 7.88],
+  ['IPE 360', 360, 170, 8.0, 12.7, 7273, 162.7, 10.43],
+  ['IPE 400', 400, 180, 8.6, 13.5, 8446, 231.3, 13.18],
+  ['IPE 450', 450, 190, 9.4, 14.6, 9882, 337.4, 16.76],
+  ['IPE 500', 500, 200, 10.2, 16.0, 11550, 482.0, 21.42],
+  ['IPE 600', 600, 220, 12.0, 19.0, 15600, 920.8, 33.87],
+  ['HEA 100', 96, 100, 5.0, 8.0, 2124, 3.49, 1.34],
+  ['HEA 120', 114, 120, 5.0, 8.0, 2534, 6.06, 2.31],
+  ['HEA 140', 133, 140, 5.5, 8.5, 3142, 10.33, 3.89],
+  ['HEA 160', 152, 160, 6.0, 9.0, 3877, 16.73, 6.16],
+  ['HEA 180', 171, 180, 6.0, 9.5, 4525, 25.10, 9.25],
+  ['HEA 200', 190, 200, 6.5, 10.0, 5383, 36.92, 13.36],
+  ['HEA 220', 210, 220, 7.0, 11.0, 6434, 54.10, 19.55],
+  ['HEA 240', 230, 240, 7.5, 12.0, 7684, 77.63, 27.69],
+  ['HEA 260', 250, 260, 7.5, 12.5, 8682, 104.5, 36.68],
+  ['HEA 280', 270, 280, 8.0, 13.0, 9726, 136.7, 47.63],
+  ['HEA 300', 290, 300, 8.5, 14.0, 11250, 182.6, 63.10],
+].map(([name, h, b, tw, tf, A, Ix, Iy]) => ({
+  group: name.slice(0, 3) + ' (steel)',
+  name,
+  shape: 'ishape',
+  h,
+  b,
+  tw,
+  tf,
+  A,
+  Ix: Ix * 1e6,
+  Iy: Iy * 1e6,
+})).concat([
+  [45, 90], [45, 140], [45, 190], [45, 240], [45, 290], [90, 90], [90, 190], [140, 140],
+].map(([b, h]) => ({ group: 'Sawn timber', name: b + ' × ' + h, shape: 'rect', b, h })));
+
+// Properties of a catalogue entry: tabulated values for rolled sections, computed otherwise
+function catalogueSectionProperties(entry) {
+  const computed = sectionProperties(entry.shape, entry);
+  if (!entry.A) return computed;
+  return Object.assign(computed, {
+    A: entry.A,
+    Ix: entry.Ix,
+    Iy: entry.Iy,
+    Imin: Math.min(entry.Ix, entry.Iy),
+    Sx: entry.Ix / (entry.h / 2),
+    Sy: entry.Iy / (entry.b / 2),
+    rx: Math.sqrt(entry.Ix / entry.A),
+    ry: Math.sqrt(entry.Iy / entry.A),
+    rmin: Math.sqrt(Math.min(entry.Ix, entry.Iy) / entry.A),
+  });
+}
+
+// Geometric properties of a section built from rectangles and circles (sign −1 for voids), with
+// the origin at the bottom-left of the bounding box. Returns null for impossible dimensions.
+function sectionProperties(shape, { b, h, d, t, tf, tw }) {
+  const rect = (x, y, w, ht, sign = 1) => ({ type: 'rect', x, y, w, h: ht, sign });
+  const circle = (cx, cy, r, sign = 1) => ({ type: 'circle', cx, cy, r, sign });
+  const positive = vals => vals.every(v => v > 0);
+  let parts;
+  let width;
+  let height;
+  switch (shape) {
+    case 'rect':
+      if (!positive([b, h])) return null;
+      parts = [rect(0, 0, b, h)];
+      [width, height] = [b, h];
+      break;
+    case 'circle':
+      if (!positive([d])) return null;
+      parts = [circle(d / 2, d / 2, d / 2)];
+      [width, height] = [d, d];
+      break;
+    case 'rhs':
+      if (!positive([b, h, t]) || 2 * t >= Math.min(b, h)) return null;
+      parts = [rect(0, 0, b, h), rect(t, t, b - 2 * t, h - 2 * t, -1)];
+      [width, height] = [b, h];
+      break;
+    case 'chs':
+      if (!positive([d, t]) || 2 * t >= d) return null;
+      parts = [circle(d / 2, d / 2, d / 2), circle(d / 2, d / 2, d / 2 - t, -1)];
+      [width, height] = [d, d];
+      break;
+    case 'ishape':
+      if (!positive([b, h, tf, tw]) || 2 * tf >= h || tw >= b) return null;
+      parts = [rect(0, 0, b, tf), rect((b - tw) / 2, tf, tw, h - 2 * tf), rect(0, h - tf, b, tf)];
+      [width, height] = [b, h];
+      break;
+    case 'channel':
+      if (!positive([b, h, tf, tw]) || 2 * tf >= h || tw >= b) return null;
+      parts = [rect(0, 0, tw, h), rect(tw, 0, b - tw, tf), rect(tw, h - tf, b - tw, tf)];
+      [width, height] = [b, h];
+      break;
+    case 'angle':
+      if (!positive([b, h, t]) || t >= Math.min(b, h)) return null;
+      parts = [rect(0, 0, t, h), rect(t, 0, b - t, t)];
+      [width, height] = [b, h];
+      break;
+    default:
+      return null;
+  }
+  // Area, first moments and own second moments of each part
+  const props = parts.map(p => (p.type === 'rect'
+    ? { A: p.w * p.h, x: p.x + p.w / 2, y: p.y + p.h / 2, Ix: (p.w * Math.pow(p.h, 3)) / 12,
+      Iy: (p.h * Math.pow(p.w, 3)) / 12, sign: p.sign }
+    : { A: Math.PI * p.r * p.r, x: p.cx, y: p.cy, Ix: (Math.PI * Math.pow(p.r, 4)) / 4,
+      Iy: (Math.PI * Math.pow(p.r, 4)) / 4, sign: p.sign }));
+  const A = props.reduce((sum, p) => sum + p.sign * p.A, 0);
+  const xc = props.reduce((sum, p) => sum + p.sign * p.A * p.x, 0) / A;
+  const yc = props.reduce((sum, p) => sum + p.sign * p.A * p.y, 0) / A;
+  // Parallel-axis theorem about the centroid
+  let Ix = 0;
+  let Iy = 0;
+  let Ixy = 0;
+  props.forEach(p => {
+    Ix += p.sign * (p.Ix + p.A * Math.pow(p.y - yc, 2));
+    Iy += p.sign * (p.Iy + p.A * Math.pow(p.x - xc, 2));
+    Ixy += p.sign * p.A * (p.x - xc) * (p.y - yc);
+  });
+  // Minor principal moment (differs from Ix, Iy only for unsymmetric shapes such as angles)
+  const Imin = (Ix + Iy) / 2 - Math.sqrt(Math.pow((Ix - Iy) / 2, 2) + Ixy * Ixy);
+  return {
+    parts,
+    width,
+    height,
+    A,
+    xc,
+    yc,
+    Ix,
+    Iy,
+    Ixy,
+    Imin,
+    Sx: Ix / Math.max(yc, height - yc),
+    Sy: Iy / Math.max(xc, width - xc),
+    rx: Math.sqrt(Ix / A),
+    ry: Math.sqrt(Iy / A),
+    rmin: Math.sqrt(Imin / A),
+  };
+}
+
+// Support positions and restrained freedoms for each arrangement
+function beamSupports(type, L, a, b) {
+  switch (type) {
+    case 'cantilever':
+      return [{ x: 0, fixed: true }];
+    case 'fixed':
+      return [{ x: 0, fixed: true }, { x: L, fixed: true }];
+    case 'propped':
+      return [{ x: 0, fixed: true }, { x: L, fixed: false }];
+    case 'overhang':
+      return [{ x: a, fixed: false }, { x: b, fixed: false }];
+    default:
+      return [{ x: 0, fixed: false }, { x: L, fixed: false }];
+  }
+}
+
+// Euler–Bernoulli beam solved by the stiffness method on a fine mesh, so determinate and
+// indeterminate arrangements are handled alike. Loads: point P (kN, downward +), partial UDL
+// w from x1 to x2 (kN/m, downward +) and applied moments (kN·m, clockwise +). Shear and moment
+// are then recovered by statics from the reactions; deflection (m, upward +) comes from the nodes.
+function analyzeBeam(L, EI, supports, loads) {
+  // Mesh nodes at every support, load point and load boundary plus ~100 uniform divisions
+  const keyPoints = [0, L];
+  supports.forEach(sp => keyPoints.push(sp.x));
+  loads.forEach(ld => {
+    keyPoints.push(ld.x1);
+    if (ld.type === 'udl') keyPoints.push(ld.x2);
+  });
+  for (let i = 1; i < 100; i++) keyPoints.push((L * i) / 100);
+  const xs = keyPoints.sort((p, q) => p - q).filter((x, i, arr) => i === 0 || x - arr[i - 1] > L * 1e-9);
+  const nodeAt = x => xs.findIndex(xn => Math.abs(xn - x) <= L * 1e-9);
+  const nDof = 2 * xs.length;
+  const K = Array.from({ length: nDof }, () => new Array(nDof).fill(0));
+  const F = new Array(nDof).fill(0);
+  for (let e = 0; e < xs.length - 1; e++) {
+    const h = xs[e + 1] - xs[e];
+    const k = EI / (h * h * h);
+    const ke = [
+      [12, 6 * h, -12, 6 * h],
+      [6 * h, 4 * h * h, -6 * h, 2 * h * h],
+      [-12, -6 * h, 12, -6 * h],
+      [6 * h, 2 * h * h, -6 * h, 4 * h * h],
+    ];
+    const dofs = [2 * e, 2 * e + 1, 2 * e + 2, 2 * e + 3];
+    for (let i = 0; i < 4; i++) {
+      for (let j = 0; j < 4; j++) K[dofs[i]][dofs[j]] += k * ke[i][j];
+    }
+    // Consistent nodal loads for UDLs covering this element
+    const mid = (xs[e] + xs[e + 1]) / 2;
+    loads.forEach(ld => {
+      if (ld.type !== 'udl' || mid < ld.x1 || mid > ld.x2) return;
+      F[dofs[0]] -= (ld.value * h) / 2;
+      F[dofs[1]] -= (ld.value * h * h) / 12;
+      F[dofs[2]] -= (ld.value * h) / 2;
+      F[dofs[3]] += (ld.value * h * h) / 12;
+    });
+  }
+  loads.forEach(ld => {
+    const n = nodeAt(ld.x1);
+    if (ld.type === 'point') F[2 * n] -= ld.value;
+    else if (ld.type === 'moment') F[2 * n + 1] -= ld.value;
+  });
+  const restrained = new Set();
+  supports.forEach(sp => {
+    const n = nodeAt(sp.x);
+    restrained.add(2 * n);
+    if (sp.fixed) restrained.add(2 * n + 1);
+  });
+  const free = [];
+  for (let i = 0; i < nDof; i++) if (!restrained.has(i)) free.push(i);
+  const d = new Array(nDof).fill(0);
+  const dFree = solveLinearSystem(free.map(i => free.map(j => K[i][j])), free.map(i => F[i]));
+  if (!dFree) return { error: 'the supports do not restrain the beam' };
+  free.forEach((dof, i) => { d[dof] = dFree[i]; });
+
+  // Reactions R = K d − F at the restrained freedoms (force upward +, moment counterclockwise +)
+  const reactionAt = dof => K[dof].reduce((sum, kij, j) => sum + kij * d[j], 0) - F[dof];
+  const reactions = supports.map(sp => {
+    const n = nodeAt(sp.x);
+    const r = { x: sp.x, force: reactionAt(2 * n) };
+    if (sp.fixed) r.moment = reactionAt(2 * n + 1);
+    return r;
+  });
+
+  // Shear (left-side upward resultant) and sagging-positive moment by statics at x
+  function internal(x, side) {
+    const left = xp => (side < 0 ? xp < x : xp <= x);
+    let V = 0;
+    let M = 0;
+    reactions.forEach(r => {
+      if (!left(r.x)) return;
+      V += r.force;
+      M += r.force * (x - r.x) - (r.moment || 0);
+    });
+    loads.forEach(ld => {
+      if (ld.type === 'point' && left(ld.x1)) {
+        V -= ld.value;
+        M -= ld.value * (x - ld.x1);
+      } else if (ld.type === 'moment' && left(ld.x1)) {
+        M += ld.value;
+      } else if (ld.type === 'udl' && x > ld.x1) {
+        const len = Math.min(x, ld.x2) - ld.x1;
+        V -= ld.value * len;
+        M -= ld.value * len * (x - ld.x1 - len / 2);
+      }
+    });
+    return { V, M };
+  }
+  const stations = [];
+  xs.forEach(x => {
+    if (x > 0) stations.push(Object.assign({ x }, internal(x, -1)));
+    if (x < L) stations.push(Object.assign({ x }, internal(x, 1)));
+  });
+  const extreme = (arr, key) => arr.reduce((best, p) => (Math.abs(p[key]) > Math.abs(best.value)
+    ? { value: p[key], x: p.x } : best), { value: 0, x: 0 });
+  const deflection = xs.map((x, i) => ({ x, y: d[2 * i] }));
+  return {
+    reactions,
+    stations,
+    deflection,
+    Vmax: extreme(stations, 'V'),
+    Mmax: extreme(stations, 'M'),
+    deflMax: extreme(deflection, 'y'),
+  };
+}
+
+// Euler buckling load in kN: P_cr = π²EI / (KL)², E in GPa, I in m⁴, L in m
+function eulerBucklingLoad(E, I, K, L) {
+  const EPa = E * 1e9;
+  return (Math.PI * Math.PI * EPa * I) / Math.pow(K * L, 2) / 1000;
+}
+
+// Imperfection factors of the Eurocode 3 buckling curves
+const EC3_ALPHA = { a0: 0.13, a: 0.21, b: 0.34, c: 0.49, d: 0.76 };
+
+// Critical (nominal) column stress in MPa at slenderness KL/r = lambda, with E and Fy in MPa.
+// `transition` is the slenderness beyond which elastic buckling governs (λ1, where λ̄ = 1, for the
+// Eurocode curves, which have no sharp transition).
+function columnCriticalStress(curve, lambda, E, Fy) {
+  const Fe = (Math.PI * Math.PI * E) / (lambda * lambda);
+  if (curve === 'aisc') {
+    // AISC 360 E3: inelastic 0.658^(Fy/Fe) Fy up to 4.71√(E/Fy), then 0.877 Fe
+    const transition = 4.71 * Math.sqrt(E / Fy);
+    const Fcr = lambda <= transition ? Math.pow(0.658, Fy / Fe) * Fy : 0.877 * Fe;
+    return { Fcr, Fe, transition };
+  }
+  if (curve.startsWith('ec3-')) {
+    // EN 1993-1-1 6.3.1.2: χ from the relative slenderness λ̄ = √(Fy/Fe)
+    const alpha = EC3_ALPHA[curve.slice(4)];
+    const lambdaBar = Math.sqrt(Fy / Fe);
+    const Phi = 0.5 * (1 + alpha * (lambdaBar - 0.2) + lambdaBar * lambdaBar);
+    const chi = Math.min(1, 1 / (Phi + Math.sqrt(Phi * Phi - lambdaBar * lambdaBar)));
+    return { Fcr: chi * Fy, Fe, chi, transition: Math.PI * Math.sqrt(E / Fy) };
+  }
+  // Johnson parabola below Cc = √(2π²E/Fy), Euler above
+  const transition = Math.sqrt((2 * Math.PI * Math.PI * E) / Fy);
+  const Fcr = lambda < transition ? Fy * (1 - (Fy * lambda * lambda) / (4 * Math.PI * Math.PI * E)) : Fe;
+  return { Fcr, Fe, transition };
+}
+
+// Equivalent rectangular stress block factor β1 (ACI 318 Table 22.2.2.4.3)
+function stressBlockBeta1(fc) {
+  return fc <= 28 ? 0.85 : Math.max(0.65, 0.85 - (0.05 * (fc - 28)) / 7);
+}
+
+// Area and depth of centroid of the top a mm of a T section (a rectangle has bf = bw, hf = 0)
+function tSectionBlock(a, bw, bf, hf) {
+  const flange = Math.min(a, hf);
+  const web = Math.max(a - hf, 0);
+  const A = bf * flange + bw * web;
+  const moment = (bf * flange * flange) / 2 + bw * web * (hf + web / 2);
+  return { A, y: A > 0 ? moment / A : 0 };
+}
+
+// Flexural strength of a section with tension steel As at d and compression steel Asc at dp,
+// from strain compatibility (εcu = 0.003, Es = 200 GPa) and the Whitney stress block.
+// N and mm throughout; φ follows the ε_t classification of ACI 318 Table 21.2.2.
+function rcSectionAnalysis({ fc, fy, bw, bf, hf, d, dp, As, Asc }) {
+  const Es = 200000;
+  const beta1 = stressBlockBeta1(fc);
+  const steelStress = strain => Math.max(-fy, Math.min(fy, Es * strain));
+  const forces = c => {
+    const a = beta1 * c;
+    const block = tSectionBlock(a, bw, bf, hf);
+    const Cc = 0.85 * fc * block.A;
+    const fsc = Asc > 0 ? steelStress((0.003 * (c - dp)) / c) : 0;
+    // Compression bars inside the block displace concrete already counted in Cc
+    const Cs = Asc * (fsc - (dp < a ? 0.85 * fc : 0));
+    const fs = steelStress((0.003 * (d - c)) / c);
+    return { a, block, Cc, Cs, fs, fsc };
+  };
+  const c = bisect(cTrial => {
+    const f = forces(cTrial);
+    return f.Cc + f.Cs - As * f.fs;
+  }, 1e-6 * d, d);
+  const f = forces(c);
+  const Mn = f.Cc * (d - f.block.y) + (Asc > 0 ? f.Cs * (d - dp) : 0);
+  const epsT = (0.003 * (d - c)) / c;
+  const epsY = fy / Es;
+  let phi = 0.9;
+  let control = 'tension-controlled';
+  if (epsT <= epsY) {
+    phi = 0.65;
+    control = 'compression-controlled';
+  } else if (epsT < 0.005) {
+    phi = 0.65 + (0.25 * (epsT - epsY)) / (0.005 - epsY);
+    control = 'transition';
+  }
+  return { c, a: f.a, beta1, epsT, epsY, fs: f.fs, fsc: f.fsc, Cc: f.Cc, Cs: f.Cs, Mn, phi, phiMn: phi * Mn, control };
+}
+
+// Positive-moment design of a rectangular or T beam, or a 1 m one-way slab strip, to ACI 318.
+// The tension steel is sized for a tension-controlled section (c ≤ 0.375d, φ = 0.9); past that
+// limit the balance is carried by compression steel. Bars are then chosen and the provided
+// section is re-analysed, with shear, crack control and deflection checked on the result.
+function designRCMember(p) {
+  const { member, fc, fy, bw, bf, hf, h, d, dp, Mu, Vu, Ma, span, support, bar, stirrup, legs } = p;
+  const Es = 200000;
+  const slab = member === 'slab';
+  const beta1 = stressBlockBeta1(fc);
+  const Mreq = (Mu * 1e6) / 0.9;
+  const blockMoment = a => {
+    const block = tSectionBlock(a, bw, bf, hf);
+    return 0.85 * fc * block.A * (d - block.y);
+  };
+  const aMax = beta1 * 0.375 * d;
+  let AsDesign;
+  let AscReq = 0;
+  if (blockMoment(aMax) >= Mreq) {
+    const a = bisect(aTrial => blockMoment(aTrial) - Mreq, 0, aMax);
+    AsDesign = (0.85 * fc * tSectionBlock(a, bw, bf, hf).A) / fy;
+  } else {
+    if (slab) return { error: 'slab too thin for a tension-controlled section; increase h' };
+    const c = 0.375 * d;
+    const fsc = Math.min(Es * ((0.003 * (c - dp)) / c), fy);
+    if (fsc <= 0.85 * fc) return { error: 'compression steel would not be effective at this d′; deepen the section' };
+    AscReq = (Mreq - blockMoment(aMax)) / ((fsc - 0.85 * fc) * (d - dp));
+    AsDesign = (0.85 * fc * tSectionBlock(aMax, bw, bf, hf).A + AscReq * (fsc - 0.85 * fc)) / fy;
+  }
+  const AsMin = slab
+    ? Math.max((0.0018 * 420) / fy, 0.0014) * bw * h
+    : Math.max((0.25 * Math.sqrt(fc)) / fy, 1.4 / fy) * bw * d;
+  const AsReq = Math.max(AsDesign, AsMin);
+  // Bar selection; bar centres sit h − d in from the sides as well as the soffit
+  const Abar = (Math.PI * bar * bar) / 4;
+  const result = { AsReq, AsMin, AscReq, doubly: AscReq > 0 };
+  if (slab) {
+    result.spacingMax = Math.min(3 * h, 450);
+    result.spacing = Math.floor(Math.min((1000 * Abar) / AsReq, result.spacingMax) / 5) * 5;
+    result.As = (1000 * Abar) / result.spacing;
+    result.Asc = 0;
+    result.pitch = result.spacing;
+  } else {
+    result.nBars = Math.max(2, Math.ceil(AsReq / Abar));
+    result.nTop = AscReq > 0 ? Math.max(2, Math.ceil(AscReq / Abar)) : 0;
+    result.As = result.nBars * Abar;
+    result.Asc = result.nTop * Abar;
+    result.pitch = (bw - 2 * (h - d)) / (result.nBars - 1);
+    result.clearSpacing = result.pitch - bar;
+    result.fitsOneLayer = result.clearSpacing >= Math.max(25, bar);
+  }
+  result.analysis = rcSectionAnalysis({ fc, fy, bw, bf, hf, d, dp, As: result.As, Asc: result.Asc });
+
+  // Shear (ACI 318 22.5 and 9.7.6): Vc = 0.17√f′c bw d, φ = 0.75, fyt capped at 420 MPa
+  if (!isNaN(Vu)) {
+    const V = Vu * 1e3;
+    const Vc = 0.17 * Math.sqrt(fc) * bw * d;
+    const shear = { Vc, phiVc: 0.75 * Vc };
+    if (slab) {
+      if (V > shear.phiVc) shear.error = 'V_u exceeds φV_c; increase the slab depth';
+    } else {
+      shear.Vs = Math.max(V / 0.75 - Vc, 0);
+      shear.required = V > 0.5 * shear.phiVc;
+      if (shear.Vs > 0.66 * Math.sqrt(fc) * bw * d) shear.error = 'V_s exceeds 0.66√f′c b_w d; enlarge the section';
+      const fyt = Math.min(fy, 420);
+      const Av = (legs * Math.PI * stirrup * stirrup) / 4;
+      shear.sMax = shear.Vs > 0.33 * Math.sqrt(fc) * bw * d ? Math.min(d / 4, 300) : Math.min(d / 2, 600);
+      const sStrength = shear.Vs > 0 ? (Av * fyt * d) / shear.Vs : Infinity;
+      const sMinSteel = (Av * fyt) / Math.max(0.062 * Math.sqrt(fc) * bw, 0.35 * bw);
+      shear.spacing = Math.floor(Math.min(sStrength, sMinSteel, shear.sMax) / 25) * 25;
+      if (shear.spacing < 50 && !shear.error) shear.error = 'stirrup spacing under 50 mm; use larger stirrups or more legs';
+    }
+    result.shear = shear;
+  }
+
+  // Minimum depth for deflection (ACI 318 Tables 9.3.1.1 and 7.3.1.1), adjusted for fy
+  const divisors = slab
+    ? { simple: 20, 'one-end': 24, 'both-ends': 28, cantilever: 10 }
+    : { simple: 16, 'one-end': 18.5, 'both-ends': 21, cantilever: 8 };
+  if (!isNaN(span)) result.hMin = ((span * 1000) / divisors[support]) * (0.4 + fy / 700);
+
+  // Service checks on the cracked transformed section
+  if (!isNaN(Ma) && Ma > 0) {
+    const Ec = 4700 * Math.sqrt(fc);
+    const n = Es / Ec;
+    const fr = 0.62 * Math.sqrt(fc);
+    const gross = tSectionBlock(h, bw, bf, hf);
+    const flange = Math.min(hf, h);
+    const Ig = (bf * Math.pow(flange, 3)) / 12 + bf * flange * Math.pow(gross.y - flange / 2, 2) +
+      (bw * Math.pow(h - flange, 3)) / 12 + bw * (h - flange) * Math.pow((h + flange) / 2 - gross.y, 2);
+    const Mcr = (fr * Ig) / (h - gross.y);
+    const Asc = result.Asc;
+    const firstMoment = depth => {
+      const block = tSectionBlock(depth, bw, bf, hf);
+      return block.A * (depth - block.y);
+    };
+    const x = bisect(xTrial => firstMoment(xTrial) + (Asc > 0 ? (n - 1) * Asc * (xTrial - dp) : 0) -
+      n * result.As * (d - xTrial), 0, d);
+    const webDepth = Math.max(x - hf, 0);
+    const Icr = (bf * (Math.pow(x, 3) - Math.pow(x - Math.min(x, hf), 3))) / 3 + (bw * Math.pow(webDepth, 3)) / 3 +
+      (Asc > 0 ? (n - 1) * Asc * Math.pow(x - dp, 2) : 0) + n * result.As * Math.pow(d - x, 2);
+    const M = Ma * 1e6;
+    const Ie = M <= (2 / 3) * Mcr ? Ig : Math.min(Ig, Icr / (1 - Math.pow((2 / 3) * Mcr / M, 2) * (1 - Icr / Ig)));
+    const fs = (n * M * (d - x)) / Icr;
+    // Crack control (ACI 318 24.3.2); cc is the clear cover to the tension bars
+    const cc = h - d - bar / 2;
+    const service = {
+      Ig,
+      Icr,
+      Ie,
+      Mcr,
+      x,
+      fs,
+      crackSpacing: Math.min(380 * (280 / fs) - 2.5 * cc, 300 * (280 / fs)),
+    };
+    // Immediate deflection under the service moment, then sustained-load multiplier 2/(1 + 50ρ′)
+    if (!isNaN(span)) {
+      const L = span * 1000;
+      const K = support === 'cantilever' ? 1 / 4 : 5 / 48;
+      service.immediate = (K * M * L * L) / (Ec * Ie);
+      service.total = service.immediate * (1 + 2 / (1 + (50 * Asc) / (bw * d)));
+      service.ratio = L / service.total;
+    }
+    result.service = service;
+  }
+  return result;
+}
+
+// ---------------------- Transportation ----------------------
+// Webster timing: C_opt = (1.5 L + 5) / (1 − Y), effective greens shared in proportion to the flow
+// ratios y = v/s. Lane-group delay uses the HCM uniform + incremental delay (T = 0.25 h, k = 0.5, I = 1)
+// so oversaturated groups still get a finite value. A given cycle length overrides the optimum.
+function signalTiming(phases, cycle) {
+  const L = phases.reduce((sum, ph) => sum + ph.lost, 0);
+  const Y = phases.reduce((sum, ph) => sum + ph.volume / ph.saturation, 0);
+  const Copt = Y < 1 ? (1.5 * L + 5) / (1 - Y) : NaN;
+  const optimum = !(cycle > 0);
+  const C = optimum ? Copt : cycle;
+  if (!(C > L)) return null;
+  let totalDelay = 0;
+  let totalVolume = 0;
+  const out = phases.map((ph, i) => {
+    const y = ph.volume / ph.saturation;
+    const g = ((C - L) * y) / Y;
+    const gC = g / C;
+    const capacity = ph.saturation * gC; // veh/h
+    const X = ph.volume / capacity;
+    const d1 = (0.5 * C * Math.pow(1 - gC, 2)) / (1 - Math.min(1, X) * gC);
+    const T = 0.25;
+    const d2 = 900 * T * ((X - 1) + Math.sqrt(Math.pow(X - 1, 2) + (8 * 0.5 * 1 * X) / (capacity * T)));
+    const delay = d1 + d2;
+    totalDelay += delay * ph.volume;
+    totalVolume += ph.volume;
+    return { name: ph.name || 'Phase ' + (i + 1), y, g, lost: ph.lost, X, delay, los: signalLOS(delay) };
+  });
+  const delay = totalDelay / totalVolume;
+  return { C, Copt, optimum, L, Y, phases: out, delay, los: signalLOS(delay) };
+}
+
+// HCM level of service for signalized control delay (s/veh)
+function signalLOS(delay) {
+  const thresholds = [[10, 'A'], [20, 'B'], [35, 'C'], [55, 'D'], [80, 'E']];
+  const match = thresholds.find(([limit]) => delay <= limit);
+  return match ? match[1] : 'F';
+}
+
+// Stopping sight distance (m) at v km/h: reaction distance plus braking distance
+//   ds = 0.278 tr v + (0.278 v)² / (19.6 (f + G)); NaN when f + G ≤ 0
+function stoppingSightDistance(v, tr, f, G) {
+  const v_ms = 0.278 * v;
+  const denom = 19.6 * (f + G);
+  if (denom <= 0) return NaN;
+  return 0.278 * tr * v + (v_ms * v_ms) / denom;
+}
+
+// R_min = V² / (127 (e + f_s)), V in km/h
+function minimumCurveRadius(V, e, fs) {
+  return (V * V) / (127 * (e + fs));
+}
+
+// Middle ordinate clearing the sight line across the inside of the curve: M = R (1 − cos(28.65 S / R))
+function sightlineOffset(R, S) {
+  return R * (1 - Math.cos(((28.65 * S) / R) * Math.PI / 180));
+}
+
+// Minimum vertical curve length (m) for sight distance S over an algebraic grade difference A (%).
+// Crest curves use eye and object heights; sag curves the headlight criterion. Whichever of the
+// S < L and S > L solutions is self-consistent is returned.
+function verticalCurveMinLength(g1, g2, S, { h1, h2, headlight, beam }) {
+  const A = Math.abs(g2 - g1);
+  if (g1 > g2) {
+    const denom = 100 * Math.pow(Math.sqrt(2 * h1) + Math.sqrt(2 * h2), 2);
+    const long = (A * S * S) / denom;
+    const L = long >= S ? long : Math.max(2 * S - denom / A, 0);
+    return { type: 'crest', criterion: 'sight distance', A, L };
+  }
+  const reach = headlight + S * Math.tan((beam * Math.PI) / 180);
+  const long = (A * S * S) / (200 * reach);
+  const L = long >= S ? long : Math.max(2 * S - (200 * reach) / A, 0);
+  return { type: 'sag', criterion: 'headlight', A, L };
+}
+
+// Equal-tangent parabola y = y_BVC + G1 x + (G2 − G1) x² / 2L at round stations plus BVC and EVC
+function verticalCurveProfile(g1, g2, L, pviStation, pviElevation, interval) {
+  const G1 = g1 / 100;
+  const G2 = g2 / 100;
+  const bvc = pviStation - L / 2;
+  const evc = pviStation + L / 2;
+  const bvcElevation = pviElevation - G1 * (L / 2);
+  const elevationAt = station => {
+    const x = station - bvc;
+    return bvcElevation + G1 * x + ((G2 - G1) / (2 * L)) * x * x;
+  };
+  const stations = [bvc];
+  for (let st = Math.ceil(bvc / interval + 1e-9) * interval; st < evc - 1e-9; st += interval) stations.push(st);
+  stations.push(evc);
+  const xTurn = (-G1 * L) / (G2 - G1);
+  const turning = xTurn > 0 && xTurn < L ? { station: bvc + xTurn, elevation: elevationAt(bvc + xTurn) } : null;
+  return {
+    g1,
+    g2,
+    bvc,
+    evc,
+    pviStation,
+    pviElevation,
+    turning,
+    points: stations.map(station => ({ station, elevation: elevationAt(station) })),
+  };
+}
+
+// Simple circular curve of radius R and deflection Δ (°) set out by deflection angles from the PC
+function horizontalCurveLayout(R, delta, piStation, interval) {
+  const deltaRad = (delta * Math.PI) / 180;
+  const T = R * Math.tan(deltaRad / 2);
+  const Lc = R * deltaRad;
+  const E = R * (1 / Math.cos(deltaRad / 2) - 1);
+  const pc = piStation - T;
+  const pt = pc + Lc;
+  const stations = [pc];
+  for (let st = Math.ceil(pc / interval + 1e-9) * interval; st < pt - 1e-9; st += interval) stations.push(st);
+  stations.push(pt);
+  return {
+    T,
+    Lc,
+    E,
+    pc,
+    pt,
+    points: stations.map(station => {
+      const deflectionRad = (station - pc) / (2 * R);
+      return { station, deflection: (deflectionRad * 180) / Math.PI, chord: 2 * R * Math.sin(deflectionRad) };
+    }),
+  };
+}
+
+// Chainage in the usual km+metres form, e.g. 1234.5 → "1+234.50"; a station length of 100 gives
+// the 100-ft form of US practice, 4050.3 ft → "40+50.30"
+function formatStation(distance, stationLength = 1000) {
+  const sign = distance < 0 ? '-' : '';
+  const abs = Number(Math.abs(distance).toFixed(2));
+  const station = Math.floor(abs / stationLength);
+  const rest = abs - station * stationLength;
+  return sign + station + '+' + rest.toFixed(2).padStart(String(stationLength).length + 2, '0');
+}
+
+// Speed–density relationship of each stream model with its capacity point. Speeds in km/h,
+// densities in veh/km, flows in veh/h. `kEnd` is the plotted density range (Underwood has no kj).
+function trafficStreamModel(model, p) {
+  const ok = keys => keys.every(key => p[key] > 0);
+  switch (model) {
+    case 'greenshields':
+      if (!ok(['vf', 'kj'])) return null;
+      return {
+        speedAt: k => p.vf * (1 - k / p.kj),
+        kEnd: p.kj,
+        kc: p.kj / 2,
+        vc: p.vf / 2,
+        qmax: (p.vf * p.kj) / 4,
+      };
+    case 'greenberg':
+      if (!ok(['v0', 'kj'])) return null;
+      return {
+        speedAt: k => p.v0 * Math.log(p.kj / k),
+        kEnd: p.kj,
+        kc: p.kj / Math.E,
+        vc: p.v0,
+        qmax: (p.v0 * p.kj) / Math.E,
+      };
+    case 'underwood':
+      if (!ok(['vf', 'k0'])) return null;
+      return {
+        speedAt: k => p.vf * Math.exp(-k / p.k0),
+        kEnd: 5 * p.k0,
+        kc: p.k0,
+        vc: p.vf / Math.E,
+        qmax: (p.vf * p.k0) / Math.E,
+      };
+    case 'triangular': {
+      if (!ok(['vf', 'kj', 'w'])) return null;
+      // Free-flow branch q = vf k meets the congested branch q = w (kj − k) at kc
+      const kc = (p.w * p.kj) / (p.vf + p.w);
+      return {
+        speedAt: k => (k <= kc ? p.vf : (p.w * (p.kj - k)) / k),
+        kEnd: p.kj,
+        kc,
+        vc: p.vf,
+        qmax: p.vf * kc,
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+// Observed pairs pasted or imported as text, converted to { k, v, q }. Lines that are not two
+// numbers (headers, blanks) are skipped.
+function parseObservations(text, columns) {
+  const out = [];
+  text.split(/\r?\n/).forEach(line => {
+    const nums = line.split(/[,;\t ]+/).filter(Boolean).map(Number);
+    if (nums.length < 2 || nums.slice(0, 2).some(x => isNaN(x) || x <= 0)) return;
+    const [a, b] = nums;
+    if (columns === 'vk') out.push({ v: a, k: b, q: a * b });
+    else if (columns === 'vq') out.push({ v: a, k: b / a, q: b });
+    else out.push({ k: a, v: b / a, q: b });
+  });
+  return out;
+}
+
+// Least-squares model parameters from observations, each model in its linearised form:
+// Greenshields v on k, Greenberg v on ln k, Underwood ln v on k. The triangular model is fitted
+// to flow, searching the split density between the free-flow and congested branches.
+function fitTrafficModel(model, obs) {
+  if (obs.length < 3) return null;
+  const n = obs.length;
+  if (model === 'greenshields') {
+    const fit = linearRegression(obs.map(o => ({ x: o.k, y: o.v })));
+    if (!fit || fit.slope >= 0) return null;
+    return { params: { vf: fit.intercept, kj: -fit.intercept / fit.slope }, r2: fit.r2, fittedOn: 'speed', n };
+  }
+  if (model === 'greenberg') {
+    const fit = linearRegression(obs.map(o => ({ x: Math.log(o.k), y: o.v })));
+    if (!fit || fit.slope >= 0) return null;
+    const v0 = -fit.slope;
+    return { params: { v0, kj: Math.exp(fit.intercept / v0) }, r2: fit.r2, fittedOn: 'speed', n };
+  }
+  if (model === 'underwood') {
+    const fit = linearRegression(obs.map(o => ({ x: o.k, y: Math.log(o.v) })));
+    if (!fit || fit.slope >= 0) return null;
+    return { params: { vf: Math.exp(fit.intercept), k0: -1 / fit.slope }, r2: fit.r2, fittedOn: 'ln speed', n };
+  }
+  const sorted = obs.slice().sort((a, b) => a.k - b.k);
+  const meanQ = sorted.reduce((sum, o) => sum + o.q, 0) / n;
+  const sst = sorted.reduce((sum, o) => sum + Math.pow(o.q - meanQ, 2), 0);
+  let best = null;
+  for (let split = 1; split <= n - 2; split++) {
+    const free = sorted.slice(0, split);
+    const congested = sorted.slice(split);
+    // Free branch through the origin, congested branch by ordinary regression
+    const vf = free.reduce((sum, o) => sum + o.q * o.k, 0) / free.reduce((sum, o) => sum + o.k * o.k, 0);
+    const fit = linearRegression(congested.map(o => ({ x: o.k, y: o.q })));
+    if (!fit || fit.slope >= 0 || fit.intercept <= 0) continue;
+    const w = -fit.slope;
+    const kj = fit.intercept / w;
+    const sse = sorted.reduce((sum, o) => sum + Math.pow(o.q - Math.min(vf * o.k, w * (kj - o.k)), 2), 0);
+    if (!best || sse < best.sse) best = { sse, params: { vf, kj, w } };
+  }
+  if (!best) return null;
+  return { params: best.params, r2: sst > 0 ? 1 - best.sse / sst : 1, fittedOn: 'flow', n };
+}
+
+// ---------------------- Environmental ----------------------
+function formatConcentration(C) {
+  return (C * 1e6).toPrecision(3) + ' µg/m³';
+}
+
+// Briggs open-country fits to the Pasquill–Gifford σy and σz curves (x in m); the
+// exponent p is the rural wind-profile power law for the class
+const PG_STABILITY = {
+  A: { sy: 0.22, sz: x => 0.2 * x, p: 0.07 },
+  B: { sy: 0.16, sz: x => 0.12 * x, p: 0.07 },
+  C: { sy: 0.11, sz: x => 0.08 * x * Math.pow(1 + 0.0002 * x, -0.5), p: 0.1 },
+  D: { sy: 0.08, sz: x => 0.06 * x * Math.pow(1 + 0.0015 * x, -0.5), p: 0.15 },
+  E: { sy: 0.06, sz: x => (0.03 * x) / (1 + 0.0003 * x), p: 0.35, dthetadz: 0.02 },
+  F: { sy: 0.04, sz: x => (0.016 * x) / (1 + 0.0003 * x), p: 0.55, dthetadz: 0.035 },
+};
+
+// Final plume rise (m) by Briggs: buoyant rise for the class, or momentum rise if larger
+function briggsPlumeRise(stability, { ds, vs, Ts, Ta, u }) {
+  const cls = PG_STABILITY[stability];
+  const TsK = Ts + 273.15;
+  const TaK = Ta + 273.15;
+  const Fb = Math.max((9.81 * vs * ds * ds * (TsK - TaK)) / (4 * TsK), 0);
+  const momentum = (3 * ds * vs) / u;
+  let buoyant;
+  if (cls.dthetadz) {
+    const s = (9.81 / TaK) * cls.dthetadz;
+    buoyant = 2.6 * Math.cbrt(Fb / (u * s));
+  } else {
+    const xf = Fb < 55 ? 49 * Math.pow(Fb, 5 / 8) : 119 * Math.pow(Fb, 2 / 5);
+    buoyant = (1.6 * Math.cbrt(Fb) * Math.pow(xf, 2 / 3)) / u;
+  }
+  return Math.max(buoyant, momentum);
+}
+
+// Ground-level Gaussian plume with total reflection at the ground (g/m³), plus the
+// centreline maximum found by a log-spaced scan refined with golden-section search
+function gaussianPlume({ stability, Q, hs, ds, vs, Ts, Ta, u10 }) {
+  const cls = PG_STABILITY[stability];
+  if (!cls || [Q, hs, ds, vs, Ts, Ta, u10].some(isNaN)) return null;
+  if (Q <= 0 || hs <= 0 || ds < 0 || vs < 0 || u10 <= 0) return null;
+  const u = u10 * Math.pow(Math.max(hs, 10) / 10, cls.p);
+  const dh = ds > 0 && vs > 0 ? briggsPlumeRise(stability, { ds, vs, Ts, Ta, u }) : 0;
+  const H = hs + dh;
+  const sigmaY = x => cls.sy * x * Math.pow(1 + 0.0001 * x, -0.5);
+  const concentrationAt = (x, y) => {
+    if (x <= 0) return 0;
+    const sy = sigmaY(x);
+    const sz = cls.sz(x);
+    return (Q / (Math.PI * u * sy * sz)) * Math.exp(-(y * y) / (2 * sy * sy)) * Math.exp(-(H * H) / (2 * sz * sz));
+  };
+  // Scan 10 m to 100 km, then refine on log10 x around the best point
+  const logX = i => 1 + (i * 4) / 200;
+  let best = 0;
+  for (let i = 1; i <= 200; i++) {
+    if (concentrationAt(Math.pow(10, logX(i)), 0) > concentrationAt(Math.pow(10, logX(best)), 0)) best = i;
+  }
+  const g = (Math.sqrt(5) - 1) / 2;
+  let a = logX(Math.max(best - 1, 0));
+  let b = logX(Math.min(best + 1, 200));
+  for (let i = 0; i < 40; i++) {
+    const c = b - g * (b - a);
+    const d = a + g * (b - a);
+    if (concentrationAt(Math.pow(10, c), 0) > concentrationAt(Math.pow(10, d), 0)) b = d;
+    else a = c;
+  }
+  const xMax = Math.pow(10, (a + b) / 2);
+  return { u, dh, H, sigmaY, sigmaZ: cls.sz, concentrationAt, xMax, cMax: concentrationAt(xMax, 0) };
+}
+
+// First-order BOD y = Lu (1 − e^(−k t)) fitted by the Thomas method, a straight line through
+// (t/y)^(1/3) against t, or by least squares with Lu solved exactly for each trial k
+function fitBOD(method, readings) {
+  if (readings.length < 3 || new Set(readings.map(r => r.t)).size < 2) return null;
+  let k1;
+  let Lu;
+  if (method === 'thomas') {
+    const line = linearRegression(readings.map(r => ({ x: r.t, y: Math.cbrt(r.t / r.y) })));
+    if (!line || line.intercept <= 0 || line.slope <= 0) return null;
+    k1 = (6 * line.slope) / line.intercept;
+    Lu = 1 / (k1 * Math.pow(line.intercept, 3));
+  } else {
+    const bestLu = k => {
+      let sfy = 0;
+      let sff = 0;
+      readings.forEach(r => {
+        const f = 1 - Math.exp(-k * r.t);
+        sfy += f * r.y;
+        sff += f * f;
+      });
+      return sfy / sff;
+    };
+    const sse = lnk => {
+      const k = Math.exp(lnk);
+      const L = bestLu(k);
+      return readings.reduce((sum, r) => sum + Math.pow(r.y - L * (1 - Math.exp(-k * r.t)), 2), 0);
+    };
+    // Golden-section search on ln k between 0.01 and 5 /day
+    const g = (Math.sqrt(5) - 1) / 2;
+    let a = Math.log(0.01);
+    let b = Math.log(5);
+    let c = b - g * (b - a);
+    let d = a + g * (b - a);
+    for (let i = 0; i < 80; i++) {
+      if (sse(c) < sse(d)) b = d;
+      else a = c;
+      c = b - g * (b - a);
+      d = a + g * (b - a);
+    }
+    k1 = Math.exp((a + b) / 2);
+    Lu = bestLu(k1);
+  }
+  if (!(k1 > 0) || !(Lu > 0)) return null;
+  const mean = readings.reduce((sum, r) => sum + r.y, 0) / readings.length;
+  let ssRes = 0;
+  let ssTot = 0;
+  readings.forEach(r => {
+    ssRes += Math.pow(r.y - Lu * (1 - Math.exp(-k1 * r.t)), 2);
+    ssTot += Math.pow(r.y - mean, 2);
+  });
+  return { k1, Lu, r2: ssTot === 0 ? 1 : 1 - ssRes / ssTot };
+}
+
+// BOD exerted after t days, y = Lu (1 − e^(−k1 t))
+function bodExerted(Lu, k1, t) {
+  return Lu * (1 - Math.exp(-t * k1));
+}
+
+// Primary clarifier loading; removal from the Metcalf & Eddy rational curves R = t / (a + b t)
+function clarifierLoading({ shape, Q, n, D, L, W, depth }) {
+  if ([Q, n, depth].some(x => isNaN(x) || x <= 0)) return null;
+  let area;
+  let weirLength;
+  if (shape === 'circular') {
+    if (isNaN(D) || D <= 0) return null;
+    area = (Math.PI * D * D) / 4;
+    weirLength = Math.PI * D;
+  } else {
+    if (isNaN(L) || isNaN(W) || L <= 0 || W <= 0) return null;
+    area = L * W;
+    weirLength = W;
+  }
+  const totalArea = n * area;
+  const hrt = ((totalArea * depth) / Q) * 24;
+  return {
+    area: totalArea,
+    sor: Q / totalArea,
+    hrt,
+    weir: Q / (n * weirLength),
+    bodRemoval: hrt / (0.018 + 0.02 * hrt) / 100,
+    tssRemoval: hrt / (0.0075 + 0.014 * hrt) / 100,
+  };
+}
+
+// Complete-mix activated sludge: loading ratios, net VSS production and carbonaceous oxygen demand (kg/d)
+function activatedSludge({ Q, S0, S, V, X, Qw, Xr, Xe, Y, kd, f }) {
+  if ([Q, S0, S, V, X, Qw, Xr, Xe, Y, kd, f].some(x => isNaN(x) || x < 0)) return null;
+  if (Q <= 0 || V <= 0 || X <= 0 || f <= 0 || S > S0 || Qw > Q) return null;
+  const wasted = Qw * Xr + (Q - Qw) * Xe;
+  if (wasted <= 0) return null;
+  const srt = (V * X) / wasted;
+  const removed = (Q * (S0 - S)) / 1000;
+  const px = (Y * removed) / (1 + kd * srt);
+  return {
+    hrt: (V / Q) * 24,
+    fm: (Q * S0) / (V * X),
+    srt,
+    px,
+    o2: removed / f - 1.42 * px,
+  };
+}
+
+// Rate constant at T °C from its 20 °C value: k_T = k_20 θ^(T − 20)
+function temperatureCorrectedRate(k20, theta, T) {
+  return k20 * Math.pow(theta, T - 20);
+}
+
+function complianceNote(DO, standard) {
+  if (isNaN(standard)) return '';
+  return DO >= standard ? ' (meets ' + standard + ' mg/L)' : ' (below ' + standard + ' mg/L)';
+}
+
+// Saturation DO (mg/L) in fresh or saline water, APHA Standard Methods 4500-O (Benson–Krause)
+function saturationDO(T, salinity) {
+  const Tk = T + 273.15;
+  const lnC = -139.34411 + 1.575701e5 / Tk - 6.642308e7 / Math.pow(Tk, 2) + 1.2438e10 / Math.pow(Tk, 3) -
+    8.621949e11 / Math.pow(Tk, 4) - salinity * (1.7674e-2 - 10.754 / Tk + 2140.7 / Math.pow(Tk, 2));
+  return Math.exp(lnC);
+}
+
+// Streeter–Phelps deficit D(t) with its critical time and deficit. When k1 = k2 the general
+// solution is indeterminate and D(t) = (k L_a t + D_a) e^(−kt) is used instead.
+function streeterPhelps(k1, k2, La, Da) {
+  const equal = Math.abs(k1 - k2) < 1e-9 * k2;
+  const deficitAt = equal
+    ? t => (k1 * La * t + Da) * Math.exp(-k1 * t)
+    : t => ((k1 * La) / (k2 - k1)) * (Math.exp(-k1 * t) - Math.exp(-k2 * t)) + Da * Math.exp(-k2 * t);
+  let tc;
+  if (La === 0) {
+    tc = 0;
+  } else if (equal) {
+    tc = (1 / k1) * (1 - Da / La);
+  } else {
+    const arg = (k2 / k1) * (1 - (Da * (k2 - k1)) / (k1 * La));
+    tc = arg > 0 ? Math.log(arg) / (k2 - k1) : 0;
+  }
+  tc = Math.max(tc, 0);
+  return { deficitAt, tc, Dc: deficitAt(tc) };
+}
+
+// DO along a reach (distance in km, velocity in km/day). Each source is fully mixed on entry:
+// flow adds, ultimate BOD and DO are flow-weighted; Streeter–Phelps applies between sources.
+function riverReachProfile({ k1, k2, DOsat, velocity, Q, bod, DO, length, sources }) {
+  if ([Q, bod, DO, length, velocity].some(x => isNaN(x) || x < 0) || Q <= 0 || length <= 0 || velocity <= 0) return null;
+  const events = sources.filter(src => src.x <= length).sort((a, b) => a.x - b.x);
+  let flow = Q;
+  let L = bod;
+  let D = DOsat - DO;
+  let x = 0;
+  const points = [];
+  const mix = src => {
+    const total = flow + src.Q;
+    L = (flow * L + src.Q * src.bod) / total;
+    D = DOsat - (flow * (DOsat - D) + src.Q * src.DO) / total;
+    flow = total;
+  };
+  const advance = xEnd => {
+    const t = (xEnd - x) / velocity;
+    const sag = streeterPhelps(k1, k2, L, D);
+    const n = Math.max(2, Math.ceil(((xEnd - x) / length) * 100));
+    for (let i = 0; i <= n; i++) points.push({ x: x + ((xEnd - x) * i) / n, DO: DOsat - sag.deficitAt((t * i) / n) });
+    D = sag.deficitAt(t);
+    L *= Math.exp(-k1 * t);
+    x = xEnd;
+  };
+  events.forEach(src => {
+    if (src.x > x) advance(src.x);
+    mix(src);
+  });
+  advance(length);
+  const min = points.reduce((best, pt) => (pt.DO < best.DO ? pt : best), points[0]);
+  return { points, min };
+}
+
+// ---------------------- Hydraulics ----------------------
+// SCS dimensionless unit hydrograph (t/tp, q/qp)
+const SCS_DIMENSIONLESS_UH = [
+  [0, 0], [0.1, 0.03], [0.2, 0.1], [0.3, 0.19], [0.4, 0.31], [0.5, 0.47], [0.6, 0.66], [0.7, 0.82],
+  [0.8, 0.93], [0.9, 0.99], [1, 1], [1.1, 0.99], [1.2, 0.93], [1.3, 0.86], [1.4, 0.78], [1.5, 0.68],
+  [1.6, 0.56], [1.7, 0.46], [1.8, 0.39], [1.9, 0.33], [2, 0.28], [2.2, 0.207], [2.4, 0.147],
+  [2.6, 0.107], [2.8, 0.077], [3, 0.055], [3.2, 0.04], [3.4, 0.029], [3.6, 0.021], [3.8, 0.015],
+  [4, 0.011], [4.5, 0.005], [5, 0],
+];
+
+// Linear interpolation in a table sorted by x, extrapolating from the end segments
+function interpolateTable(xs, ys, x) {
+  let i = 1;
+  while (i < xs.length - 1 && x > xs[i]) i++;
+  return ys[i - 1] + ((ys[i] - ys[i - 1]) * (x - xs[i - 1])) / (xs[i] - xs[i - 1]);
+}
+
+// Unit hydrograph ordinates (m³/s per mm of runoff) at steps of dt hours, with
+// tp = dt/2 + 0.6 tc and qp = 0.208 A / tp (A in km², tp in h)
+function unitHydrograph(type, A, tc, dt) {
+  const tp = dt / 2 + 0.6 * tc;
+  const qp = (0.208 * A) / tp;
+  const tb = type === 'triangular' ? 2.67 * tp : 5 * tp;
+  const xs = SCS_DIMENSIONLESS_UH.map(([r]) => r);
+  const ys = SCS_DIMENSIONLESS_UH.map(([, q]) => q);
+  const ordinates = [];
+  for (let k = 1; k * dt < tb; k++) {
+    const r = (k * dt) / tp;
+    const ratio = type === 'triangular' ? (r <= 1 ? r : (2.67 - r) / 1.67) : interpolateTable(xs, ys, r);
+    ordinates.push(qp * ratio);
+  }
+  return { tp, qp, tb, ordinates };
+}
+
+// Hyetograph depths per time step (mm) from text separated by spaces, commas or semicolons
+function parseHyetograph(text) {
+  return text.split(/[\s,;]+/).filter(x => x !== '').map(parseFloat);
+}
+
+// Excess rainfall per step from the cumulative SCS CN relation, convolved with the unit hydrograph.
+// flows[n] is the discharge at the end of step n + 1.
+function stormHydrograph(rain, CN, uh) {
+  let cumulativeP = 0;
+  let cumulativeQ = 0;
+  const excess = rain.map(P => {
+    cumulativeP += P;
+    const Q = scsRunoff(cumulativeP, CN).Q;
+    const step = Q - cumulativeQ;
+    cumulativeQ = Q;
+    return step;
+  });
+  const flows = new Array(excess.length + uh.ordinates.length - 1).fill(0);
+  excess.forEach((Pe, m) => {
+    uh.ordinates.forEach((u, k) => {
+      flows[m + k] += Pe * u;
+    });
+  });
+  return { excess, runoff: cumulativeQ, flows };
+}
+
+// Outlet discharge at a stage: circular orifice on its centroid head plus a rectangular weir
+function pondOutflow(stage, { orificeD, orificeZ, Cd, weirZ, weirL, Cw }) {
+  let Q = 0;
+  if (orificeD > 0) {
+    const head = stage - (orificeZ + orificeD / 2);
+    if (head > 0) Q += Cd * ((Math.PI * orificeD * orificeD) / 4) * Math.sqrt(2 * 9.81 * head);
+  }
+  if (weirL > 0 && stage > weirZ) Q += Cw * weirL * Math.pow(stage - weirZ, 1.5);
+  return Q;
+}
+
+// Modified Puls (storage indication) routing: (I1 + I2) + (2S1/Δt − O1) = 2S2/Δt + O2.
+// The pond starts at the lowest stage of the table; dt in seconds.
+function modifiedPuls(inflow, dt, table, outlets) {
+  const stages = table.map(r => r.stage);
+  const storages = table.map(r => r.storage);
+  const outflows = stages.map(z => pondOutflow(z, outlets));
+  const indication = table.map((r, i) => (2 * r.storage) / dt + outflows[i]);
+  const I = [0].concat(inflow);
+  const result = { outflow: [0], stage: [stages[0]], storage: [storages[0]], beyondTable: false };
+  const peakIn = Math.max(...inflow);
+  for (let n = 1; n < I.length * 4; n++) {
+    const I1 = I[n - 1] || 0;
+    const I2 = I[n] || 0;
+    const O1 = result.outflow[n - 1];
+    const S1 = result.storage[n - 1];
+    const SI = I1 + I2 + (2 * S1) / dt - O1;
+    if (SI > indication[indication.length - 1]) result.beyondTable = true;
+    const O2 = Math.max(interpolateTable(indication, outflows, SI), 0);
+    const S2 = Math.max(((SI - O2) * dt) / 2, storages[0]);
+    result.outflow.push(O2);
+    result.storage.push(S2);
+    result.stage.push(interpolateTable(storages, stages, S2));
+    // Stop once the inflow has passed and the pond has nearly drained
+    if (n >= I.length && O2 < 0.01 * peakIn) break;
+  }
+  return result;
+}
+
+// Darcy friction factor: 64/Re when laminar, otherwise Swamee–Jain, iterated to Colebrook–White if asked
+function frictionFactor(method, Re, relRoughness) {
+  if (Re < 2000) return 64 / Re;
+  let f = 0.25 / Math.pow(Math.log10(relRoughness / 3.7 + 5.74 / Math.pow(Re, 0.9)), 2);
+  if (method !== 'colebrook') return f;
+  for (let i = 0; i < 50; i++) {
+    const next = Math.pow(-2 * Math.log10(relRoughness / 3.7 + 2.51 / (Re * Math.sqrt(f))), -2);
+    if (Math.abs(next - f) < 1e-12) return next;
+    f = next;
+  }
+  return f;
+}
+
+// Friction and minor head loss for one pipe in SI units (D, ε in m; Q in m³/s; ν in m²/s)
+function pipeHeadLoss({ method, L, D, Q, eps, C, nu, K }) {
+  const A = (Math.PI * D * D) / 4;
+  const V = Q / A;
+  const Re = (V * D) / nu;
+  let f = NaN;
+  let hf;
+  if (method === 'hazen') {
+    hf = (10.67 * L * Math.pow(Q, 1.852)) / (Math.pow(C, 1.852) * Math.pow(D, 4.8704));
+  } else {
+    f = frictionFactor(method, Re, eps / D);
+    hf = ((f * L) / D) * ((V * V) / (2 * 9.81));
+  }
+  const hm = ((K || 0) * V * V) / (2 * 9.81);
+  return { V, Re, f, hf, hm, h: hf + hm };
+}
+
+// Head loss from Q and D, or Q or D from an available head H, by bracketing and bisection
+function solvePipe(solve, p, H) {
+  if (solve === 'headloss') return { ...pipeHeadLoss(p), Q: p.Q, D: p.D };
+  const vary = solve === 'flow' ? 'Q' : 'D';
+  const head = x => pipeHeadLoss({ ...p, [vary]: x }).h;
+  // Head loss rises with Q and falls with D
+  const sign = vary === 'Q' ? 1 : -1;
+  let lo = vary === 'Q' ? 1e-9 : 1e-4;
+  let hi = vary === 'Q' ? 0.01 : 0.1;
+  for (let i = 0; i < 60 && sign * (head(hi) - H) < 0; i++) hi *= 2;
+  for (let i = 0; i < 60 && sign * (head(lo) - H) > 0; i++) lo /= 2;
+  if (sign * (head(hi) - H) < 0 || sign * (head(lo) - H) > 0) return null;
+  const x = bisect(value => head(value) - H, lo, hi);
+  return { ...pipeHeadLoss({ ...p, [vary]: x }), Q: vary === 'Q' ? x : p.Q, D: vary === 'D' ? x : p.D };
+}
+
+// Solve a looped or branched network with fixed-head reservoirs. Nodes: [{ id, type, level, demand }]
+// with demand in m³/s; pipes: [{ id, from, to, L, D, roughness }] with D in m and roughness as
+// Hazen–Williams C or ε in m. Returns signed pipe flows (positive from → to), heads by node id,
+// velocities and head losses, or { error } when the network cannot be solved.
+function solvePipeNetwork(method, friction, nodes, pipes) {
+  const byId = {};
+  for (const n of nodes) {
+    if (byId[n.id]) return { error: 'Duplicate node ID ' + n.id };
+    byId[n.id] = n;
+  }
+  for (const pipe of pipes) {
+    if (!byId[pipe.from] || !byId[pipe.to]) return { error: 'Pipe ' + pipe.id + ' refers to an unknown node' };
+    if (pipe.from === pipe.to) return { error: 'Pipe ' + pipe.id + ' starts and ends at the same node' };
+    if (!(pipe.L > 0) || !(pipe.D > 0) || !(pipe.roughness > 0)) return { error: 'Pipe ' + pipe.id + ' needs length, diameter and roughness' };
+  }
+  const reservoirs = nodes.filter(n => n.type === 'reservoir');
+  if (!reservoirs.length) return { error: 'Add at least one reservoir as a fixed head' };
+  if (reservoirs.some(n => isNaN(n.level))) return { error: 'Every reservoir needs a water level' };
+  // Every junction must be reachable from a reservoir
+  const reached = new Set(reservoirs.map(n => n.id));
+  const queue = reservoirs.map(n => n.id);
+  while (queue.length) {
+    const id = queue.shift();
+    pipes.forEach(pipe => {
+      const other = pipe.from === id ? pipe.to : pipe.to === id ? pipe.from : null;
+      if (other && !reached.has(other)) {
+        reached.add(other);
+        queue.push(other);
+      }
+    });
+  }
+  if (reached.size < nodes.length) return { error: 'Every node must be connected to a reservoir' };
+  // Signed head loss and its derivative for each pipe; n = 1.852 (Hazen–Williams) or 2 (Darcy)
+  const exponent = friction === 'hazen' ? 1.852 : 2;
+  const headLoss = (pipe, Q) => {
+    const q = Math.max(Math.abs(Q), 1e-9);
+    const h = pipeHeadLoss({ method: friction, L: pipe.L, D: pipe.D, Q: q, eps: pipe.roughness, C: pipe.roughness, nu: 1e-6 }).h;
+    return Q < 0 ? -h : h;
+  };
+  const slope = (pipe, Q) => {
+    const q = Math.max(Math.abs(Q), 1e-7);
+    return (exponent * headLoss(pipe, q)) / q;
+  };
+  const solved = method === 'hardy-cross'
+    ? hardyCross(nodes, pipes, reservoirs, headLoss, slope)
+    : gradientMethod(nodes, pipes, headLoss, slope);
+  if (solved.error) return solved;
+  const h = pipes.map((pipe, i) => headLoss(pipe, solved.Q[i]));
+  const V = pipes.map((pipe, i) => Math.abs(solved.Q[i]) / ((Math.PI * pipe.D * pipe.D) / 4));
+  return { ...solved, h, V };
+}
+
+// Global gradient (Newton) iteration on junction heads and pipe flows
+function gradientMethod(nodes, pipes, headLoss, slope) {
+  const junctions = nodes.filter(n => n.type !== 'reservoir');
+  const index = {};
+  junctions.forEach((n, i) => {
+    index[n.id] = i;
+  });
+  const H = {};
+  const startHead = Math.max(...nodes.filter(n => n.type === 'reservoir').map(n => n.level));
+  nodes.forEach(n => {
+    H[n.id] = n.type === 'reservoir' ? n.level : startHead;
+  });
+  // Start at about 1 m/s in every pipe
+  const Q = pipes.map(pipe => (Math.PI * pipe.D * pipe.D) / 4);
+  let iterations = 0;
+  let converged = false;
+  while (iterations < 100 && !converged) {
+    iterations++;
+    const size = junctions.length;
+    const M = Array.from({ length: size }, () => new Array(size).fill(0));
+    const rhs = junctions.map(n => -n.demand);
+    const w = [];
+    const E = [];
+    pipes.forEach((pipe, i) => {
+      w[i] = 1 / slope(pipe, Q[i]);
+      E[i] = headLoss(pipe, Q[i]) - (H[pipe.from] - H[pipe.to]);
+      const a = index[pipe.from];
+      const b = index[pipe.to];
+      // Continuity residual (inflow − outflow − demand) and the linearised energy terms
+      if (b !== undefined) rhs[b] += Q[i] - w[i] * E[i];
+      if (a !== undefined) rhs[a] -= Q[i] - w[i] * E[i];
+      [[a, b], [b, a]].forEach(([p, q]) => {
+        if (p === undefined) return;
+        M[p][p] += w[i];
+        if (q !== undefined) M[p][q] -= w[i];
+      });
+    });
+    const dH = size ? solveLinearSystem(M, rhs) : [];
+    if (!dH) return { error: 'The network equations are singular; check that every junction is supplied through pipes with valid sizes' };
+    junctions.forEach((n, j) => {
+      H[n.id] += dH[j];
+    });
+    let change = 0;
+    pipes.forEach((pipe, i) => {
+      const ha = index[pipe.from] === undefined ? 0 : dH[index[pipe.from]];
+      const hb = index[pipe.to] === undefined ? 0 : dH[index[pipe.to]];
+      const dQ = w[i] * (-E[i] + ha - hb);
+      Q[i] += dQ;
+      change = Math.max(change, Math.abs(dQ));
+    });
+    converged = change < 1e-8;
+  }
+  return { Q, H, iterations, converged };
+}
+
+// Hardy Cross: a virtual ground node ties the reservoirs together, so paths between reservoirs
+// become pseudo-loops. Flows start from a spanning tree that satisfies continuity, each
+// fundamental loop is corrected in turn, and heads are then carried out along the tree.
+function hardyCross(nodes, pipes, reservoirs, headLoss, slope) {
+  const GROUND = '__ground__';
+  const edges = pipes.map((pipe, i) => ({ from: pipe.from, to: pipe.to, pipe: i }));
+  // Virtual link from ground (head 0) up to each reservoir: fixed loss of −level
+  reservoirs.forEach(n => edges.push({ from: GROUND, to: n.id, fixed: -n.level }));
+  const demand = { [GROUND]: 0 };
+  nodes.forEach(n => {
+    demand[n.id] = n.type === 'reservoir' ? 0 : n.demand;
+  });
+  // Breadth-first spanning tree from ground
+  const parentEdge = { [GROUND]: null };
+  const depth = { [GROUND]: 0 };
+  const order = [GROUND];
+  for (let k = 0; k < order.length; k++) {
+    const id = order[k];
+    edges.forEach((edge, e) => {
+      const other = edge.from === id ? edge.to : edge.to === id ? edge.from : null;
+      if (other !== null && !(other in parentEdge)) {
+        parentEdge[other] = e;
+        depth[other] = depth[id] + 1;
+        order.push(other);
+      }
+    });
+  }
+  const parentOf = id => {
+    const edge = edges[parentEdge[id]];
+    return edge.from === id ? edge.to : edge.from;
+  };
+  // Tree flows carry each subtree's demand; chords start at zero
+  const Q = edges.map(() => 0);
+  const subtree = { ...demand };
+  for (let k = order.length - 1; k > 0; k--) {
+    const id = order[k];
+    const e = parentEdge[id];
+    Q[e] = edges[e].to === id ? subtree[id] : -subtree[id];
+    subtree[parentOf(id)] += subtree[id];
+  }
+  // Fundamental loop of each chord: the chord u → v, then the tree path back from v to u
+  const inTree = new Set(Object.values(parentEdge));
+  const loops = [];
+  edges.forEach((edge, e) => {
+    if (inTree.has(e)) return;
+    const up = [];
+    const down = [];
+    let u = edge.from;
+    let v = edge.to;
+    while (u !== v) {
+      if (depth[v] >= depth[u]) {
+        up.push({ e: parentEdge[v], dir: edges[parentEdge[v]].from === v ? 1 : -1 });
+        v = parentOf(v);
+      } else {
+        down.unshift({ e: parentEdge[u], dir: edges[parentEdge[u]].to === u ? 1 : -1 });
+        u = parentOf(u);
+      }
+    }
+    loops.push([{ e, dir: 1 }].concat(up, down));
+  });
+  const edgeLoss = e => (edges[e].fixed !== undefined ? edges[e].fixed : headLoss(pipes[edges[e].pipe], Q[e]));
+  const edgeSlope = e => (edges[e].fixed !== undefined ? 0 : slope(pipes[edges[e].pipe], Q[e]));
+  let iterations = 0;
+  let converged = !loops.length;
+  while (iterations < 500 && !converged) {
+    iterations++;
+    let change = 0;
+    loops.forEach(loop => {
+      let sumLoss = 0;
+      let sumSlope = 0;
+      loop.forEach(({ e, dir }) => {
+        sumLoss += dir * edgeLoss(e);
+        sumSlope += edgeSlope(e);
+      });
+      const dQ = -sumLoss / sumSlope;
+      loop.forEach(({ e, dir }) => {
+        Q[e] += dir * dQ;
+      });
+      change = Math.max(change, Math.abs(dQ));
+    });
+    converged = change < 1e-8;
+  }
+  // Heads from ground outwards: H_to = H_from − h along each tree edge
+  const H = { [GROUND]: 0 };
+  order.slice(1).forEach(id => {
+    const e = parentEdge[id];
+    H[id] = edges[e].to === id ? H[parentOf(id)] - edgeLoss(e) : H[parentOf(id)] + edgeLoss(e);
+  });
+  delete H[GROUND];
+  return { Q: Q.slice(0, pipes.length), H, iterations, converged };
+}
+
+function channelSectionValid({ shape, b, z, D }) {
+  if (shape === 'rectangular') return b > 0;
+  if (shape === 'trapezoidal') return b > 0 && z >= 0;
+  if (shape === 'triangular') return z > 0;
+  return D > 0;
+}
+
+// Flow area, wetted perimeter and top width at depth y
+function channelGeometry({ shape, b, z, D }, y) {
+  if (shape === 'circular') {
+    const theta = 2 * Math.acos(1 - (2 * Math.min(y, D)) / D);
+    return { A: ((theta - Math.sin(theta)) * D * D) / 8, P: (theta * D) / 2, T: D * Math.sin(theta / 2) };
+  }
+  const bottom = shape === 'triangular' ? 0 : b;
+  const side = shape === 'rectangular' ? 0 : z;
+  return {
+    A: (bottom + side * y) * y,
+    P: bottom + 2 * y * Math.sqrt(1 + side * side),
+    T: bottom + 2 * side * y,
+  };
+}
+
+function manningFlow(section, y, S, n) {
+  const { A, P } = channelGeometry(section, y);
+  return (1 / n) * A * Math.pow(A / P, 2 / 3) * Math.sqrt(S);
+}
+
+// A part-full pipe carries most at about 0.94 D, so normal depth is only unique below that
+function maxPipeDepth(section, S, n) {
+  let best = 0.5;
+  for (let i = 50; i <= 1000; i++) {
+    if (manningFlow(section, (i / 1000) * section.D, S, n) > manningFlow(section, best * section.D, S, n)) best = i / 1000;
+  }
+  return best * section.D;
+}
+
+function maxPipeFlow(section, S, n) {
+  return manningFlow(section, maxPipeDepth(section, S, n), S, n);
+}
+
+function normalDepth(section, Q, S, n) {
+  let hi;
+  if (section.shape === 'circular') {
+    hi = maxPipeDepth(section, S, n);
+    if (manningFlow(section, hi, S, n) < Q) return NaN;
+  } else {
+    hi = 1;
+    while (manningFlow(section, hi, S, n) < Q) hi *= 2;
+  }
+  return bisect(y => manningFlow(section, y, S, n) - Q, 1e-9, hi);
+}
+
+// Critical depth where Q²T / (g A³) = 1
+function criticalDepth(section, Q) {
+  const g = 9.81;
+  const f = y => {
+    const { A, T } = channelGeometry(section, y);
+    return (Q * Q * T) / (g * A * A * A) - 1;
+  };
+  let hi;
+  if (section.shape === 'circular') {
+    hi = section.D * 0.9999;
+    if (f(hi) > 0) return NaN;
+  } else {
+    hi = 1;
+    while (f(hi) > 0) hi *= 2;
+  }
+  return bisect(f, 1e-9, hi);
+}
+
+// Velocity, Froude number on hydraulic depth A/T and specific energy at depth y
+function channelFlowState(section, y, Q) {
+  const { A, T } = channelGeometry(section, y);
+  const V = Q / A;
+  return { V, Fr: T > 0 ? V / Math.sqrt((9.81 * A) / T) : 0, E: y + (V * V) / (2 * 9.81) };
+}
+
+function flowRegime(Fr) {
+  return Math.abs(Fr - 1) < 0.01 ? 'critical' : Fr < 1 ? 'subcritical' : 'supercritical';
+}
+
+// ---------------------- Construction/PM ----------------------
+// Predecessor list such as "A, B SS+2, C FF-1"; a bare ID is finish-to-start with no lag
+function parsePredecessors(text) {
+  const links = [];
+  for (const part of text.split(/[,;]/).map(x => x.trim()).filter(x => x !== '')) {
+    const match = part.match(/^([^\s+-]+)\s*(FS|SS|FF)?\s*(?:([+-])\s*(\d*\.?\d+))?$/i);
+    if (!match) return { error: 'cannot read predecessor "' + part + '"' };
+    const lag = match[4] ? parseFloat(match[4]) * (match[3] === '-' ? -1 : 1) : 0;
+    links.push({ id: match[1], type: (match[2] || 'FS').toUpperCase(), lag });
+  }
+  return links;
+}
+
+// PERT three-point estimate: mean (a + 4m + b) / 6 and variance ((b − a) / 6)²
+function pertEstimate(a, m, b) {
+  return { duration: (a + 4 * m + b) / 6, variance: Math.pow((b - a) / 6, 2) };
+}
+
+// Forward and backward passes over FS/SS/FF links with lags. Activities: [{ id, duration,
+// variance, links: [{ id, type, lag }] }]. Free float is the smallest slack to any successor.
+function cpmSchedule(input) {
+  const byId = {};
+  for (const a of input) {
+    if (byId[a.id]) return { error: 'Duplicate activity ID ' + a.id };
+    byId[a.id] = { ...a, successors: [] };
+  }
+  for (const a of input) {
+    for (const link of a.links) {
+      if (!byId[link.id]) return { error: 'Activity ' + a.id + ' refers to unknown predecessor ' + link.id };
+      if (link.id === a.id) return { error: 'Activity ' + a.id + ' cannot precede itself' };
+      byId[link.id].successors.push({ id: a.id, type: link.type, lag: link.lag });
+    }
+  }
+  // Topological order (Kahn); anything left over lies on a loop
+  const remaining = {};
+  input.forEach(a => {
+    remaining[a.id] = a.links.length;
+  });
+  const order = input.filter(a => !a.links.length).map(a => a.id);
+  for (let k = 0; k < order.length; k++) {
+    byId[order[k]].successors.forEach(s => {
+      if (--remaining[s.id] === 0) order.push(s.id);
+    });
+  }
+  if (order.length < input.length) return { error: 'The predecessor links form a loop' };
+  // Forward pass
+  order.forEach(id => {
+    const a = byId[id];
+    a.ES = 0;
+    a.links.forEach(({ id: p, type, lag }) => {
+      const pred = byId[p];
+      const start = type === 'SS' ? pred.ES + lag : type === 'FF' ? pred.EF + lag - a.duration : pred.EF + lag;
+      a.ES = Math.max(a.ES, start);
+    });
+    a.EF = a.ES + a.duration;
+  });
+  const finish = Math.max(...order.map(id => byId[id].EF));
+  // Backward pass
+  order.slice().reverse().forEach(id => {
+    const a = byId[id];
+    a.LF = finish;
+    a.FF = a.successors.length ? Infinity : finish - a.EF;
+    a.successors.forEach(({ id: s, type, lag }) => {
+      const succ = byId[s];
+      const latestFinish = type === 'SS' ? succ.LS - lag + a.duration : type === 'FF' ? succ.LF - lag : succ.LS - lag;
+      const slack = type === 'SS' ? succ.ES - lag - a.ES : type === 'FF' ? succ.EF - lag - a.EF : succ.ES - lag - a.EF;
+      a.LF = Math.min(a.LF, latestFinish);
+      a.FF = Math.min(a.FF, slack);
+    });
+    a.LS = a.LF - a.duration;
+    a.TF = a.LS - a.ES;
+    a.critical = Math.abs(a.TF) < 1e-9;
+  });
+  // Critical chain with the largest variance (PERT), following driving links only
+  const best = {};
+  order.forEach(id => {
+    const a = byId[id];
+    if (!a.critical) return;
+    best[id] = { variance: a.variance, prev: null };
+    a.links.forEach(({ id: p, type, lag }) => {
+      const pred = byId[p];
+      if (!best[p]) return;
+      const driving = type === 'SS' ? pred.ES + lag : type === 'FF' ? pred.EF + lag - a.duration : pred.EF + lag;
+      if (Math.abs(driving - a.ES) < 1e-9 && best[p].variance + a.variance >= best[id].variance) {
+        best[id] = { variance: best[p].variance + a.variance, prev: p };
+      }
+    });
+  });
+  let end = null;
+  order.forEach(id => {
+    if (best[id] && Math.abs(byId[id].EF - finish) < 1e-9 && (!end || best[id].variance > best[end].variance)) end = id;
+  });
+  const criticalPath = [];
+  for (let id = end; id !== null; id = best[id].prev) criticalPath.unshift(id);
+  return {
+    finish,
+    criticalPath,
+    pathVariance: end ? best[end].variance : 0,
+    order,
+    activities: input.map(a => byId[a.id]),
+  };
+}
+
+// Probability of finishing by the target with a normally distributed project duration
+function completionProbability(target, finish, sigma) {
+  return sigma > 0 ? normalCdf((target - finish) / sigma) : target >= finish ? 1 : 0;
+}
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Status from a cumulative period log [{ PV, EV, AC }]; the status period is the last row with
+// EV and AC, and later rows carry the rest of the PV baseline. Time is counted in periods.
+function earnedValueStatus(log, BAC) {
+  let AT = 0;
+  log.forEach((row, i) => {
+    if (!isNaN(row.EV) && !isNaN(row.AC)) AT = i + 1;
+  });
+  if (!AT) return null;
+  const { EV, AC } = log[AT - 1];
+  const PV = log[AT - 1].PV;
+  if (isNaN(PV) || PV <= 0 || EV <= 0 || AC <= 0) return null;
+  const SPI = EV / PV;
+  const CPI = EV / AC;
+  const estimates = [
+    ['CPI', AC + (BAC - EV) / CPI],
+    ['CPI × SPI', AC + (BAC - EV) / (CPI * SPI)],
+    ['Budget rate', AC + BAC - EV],
+  ];
+  const eac = estimates.map(([label, EAC]) => ({ label, EAC, ETC: EAC - AC, VAC: BAC - EAC }));
+  // Earned schedule: the time at which the baseline planned the value now earned
+  const pvs = [0];
+  for (const row of log) {
+    if (isNaN(row.PV)) break;
+    pvs.push(row.PV);
+  }
+  const ES = earnedSchedule(pvs, EV);
+  const PD = earnedSchedule(pvs, BAC);
+  return {
+    AT,
+    PV,
+    EV,
+    AC,
+    SV: EV - PV,
+    CV: EV - AC,
+    SPI,
+    CPI,
+    TCPI: BAC > AC ? (BAC - EV) / (BAC - AC) : Infinity,
+    eac,
+    ES,
+    SPIt: ES === null ? null : ES / AT,
+    PD,
+    IEACt: ES === null || !PD ? null : PD / (ES / AT),
+  };
+}
+
+// Time (in periods) at which the cumulative baseline reaches `value`, interpolated within
+// the period: ES = C + (EV − PV_C) / (PV_C+1 − PV_C). Null if the baseline never reaches it.
+function earnedSchedule(pvs, value) {
+  for (let c = 0; c < pvs.length - 1; c++) {
+    if (pvs[c + 1] >= value && pvs[c + 1] > pvs[c]) {
+      return c + Math.max(value - pvs[c], 0) / (pvs[c + 1] - pvs[c]);
+    }
+  }
+  return null;
+}
+
+// ---------------------- Numerical utilities ----------------------
+// Utility: ordinary least-squares line through [{ x, y }]; null when x does not vary
+function linearRegression(pts) {
+  const n = pts.length;
+  const mx = pts.reduce((sum, p) => sum + p.x, 0) / n;
+  const my = pts.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  pts.forEach(p => {
+    sxx += (p.x - mx) * (p.x - mx);
+    sxy += (p.x - mx) * (p.y - my);
+    syy += (p.y - my) * (p.y - my);
+  });
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  const intercept = my - slope * mx;
+  const r2 = syy === 0 ? 1 : Math.min((sxy * sxy) / (sxx * syy), 1);
+  return { slope, intercept, r2 };
+}
+
+// Utility: root of f on [lo, hi] by bisection; f must change sign over the bracket
+function bisect(f, lo, hi) {
+  let flo = f(lo);
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    const fm = f(mid);
+    if (fm * flo > 0) {
+      lo = mid;
+      flo = fm;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+// Utility: solve A x = b by Gaussian elimination with partial pivoting (A and b are copied).
+// Returns null when A is singular, i.e. a pivot vanishes relative to the largest coefficient.
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => row.concat(b[i]));
+  const tolerance = 1e-12 * Math.max(0, ...A.map(row => Math.max(0, ...row.map(Math.abs))));
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    const diag = M[col][col];
+    if (!(Math.abs(diag) > tolerance)) return null;
+    for (let r = col + 1; r < n; r++) {
+      const factor = M[r][col] / diag;
+      if (factor === 0) continue;
+      for (let k = col; k <= n; k++) M[r][k] -= factor * M[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let k = r + 1; k < n; k++) sum -= M[r][k] * x[k];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+}
+
+// ---------------------- Calculators ----------------------
+// One entry per calculator form, shared by the page and the CLI. `inputs` describes the plain
+// input object (the page's SI units; blank optional fields are NaN), and `run` returns
+// { results, intermediate, warnings } in the units listed in `units`, or { error } when the
+// input cannot be calculated (with any intermediate values the page still shows, such as tc).
+
+function numberInput(label, unit, value) {
+  return { type: 'number', label, unit: unit || '', value: value === undefined ? NaN : value };
+}
+
+function choiceInput(label, options, value) {
+  return { type: 'choice', label, options, value: value === undefined ? options[0] : value };
+}
+
+function textInput(label, value) {
+  return { type: 'text', label, value: value || '' };
+}
+
+function tableInput(label, columns) {
+  return { type: 'table', label, columns, value: [] };
+}
+
+// Coerce a raw value (string from the command line, JSON value, or missing) to the input's type
+function normalizeInput(spec, value, name) {
+  const given = value !== undefined && value !== null && value !== '';
+  if (spec.type === 'number') return given ? Number(value) : spec.value;
+  if (spec.type === 'text') return given ? String(value) : spec.value;
+  if (spec.type === 'choice') {
+    const choice = given ? String(value) : spec.value;
+    if (!spec.options.includes(choice)) throw new Error(name + ' must be one of: ' + spec.options.join(', '));
+    return choice;
+  }
+  if (!given) return spec.value;
+  if (!Array.isArray(value)) throw new Error(name + ' must be an array of rows');
+  return value.map(row => {
+    const out = {};
+    Object.keys(spec.columns).forEach(key => {
+      out[key] = normalizeInput(spec.columns[key], (row || {})[key], name + '.' + key);
+    });
+    return out;
+  });
+}
+
+// Run a calculator by name on a plain input object; missing inputs take their defaults, and the
+// completed input is returned alongside the results
+function runCalculator(name, input) {
+  const calculator = CALCULATORS[name];
+  if (!calculator) return { error: 'unknown calculator "' + name + '"' };
+  const raw = input || {};
+  const unknown = Object.keys(raw).filter(key => !(key in calculator.inputs));
+  if (unknown.length) return { error: 'unknown input ' + unknown.join(', ') + ' for ' + name };
+  const p = {};
+  try {
+    Object.keys(calculator.inputs).forEach(key => {
+      p[key] = normalizeInput(calculator.inputs[key], raw[key], key);
+    });
+  } catch (err) {
+    return { error: err.message };
+  }
+  return Object.assign({ input: p }, calculator.run(p));
+}
+
+const CALCULATORS = {
+  earthwork: {
+    title: 'Earthwork volumes and mass haul',
+    inputs: {
+      stations: tableInput('Stations', {
+        chainage: numberInput('Chainage', 'm'),
+        cut: numberInput('Cut area', 'm²'),
+        fill: numberInput('Fill area', 'm²'),
+        method: choiceInput('Segment method', ['avg', 'prism']),
+      }),
+      shrink: numberInput('Shrinkage factor (cut → compacted fill)', '', 1),
+      swell: numberInput('Swell factor (cut → loose haul)', '', 1),
+      freeHaul: numberInput('Free-haul distance', 'm'),
+    },
+    units: { cut: 'm³', looseCut: 'm³', fill: 'm³', net: 'm³' },
+    run(p) {
+      const result = [p.shrink, p.swell].some(x => isNaN(x) || x <= 0)
+        ? null
+        : computeEarthwork(p.stations, p.shrink, p.swell);
+      if (!result) return { error: 'need two or more stations in chainage order with non-negative areas, and positive factors' };
+      const chord = p.freeHaul > 0 ? findFreeHaulChord(result.stations, p.freeHaul) : null;
+      return {
+        results: { cut: result.totalCut, looseCut: result.looseCut, fill: result.totalFill, net: result.net },
+        intermediate: { stations: result.stations, balancePoints: result.balancePoints, freeHaulChord: chord },
+        warnings: result.net < 0 ? ['fill deficit of ' + (-result.net).toFixed(2) + ' m³ must be imported'] : [],
+      };
+    },
+  },
+
+  runoff: {
+    title: 'Rainfall runoff (rational / SCS)',
+    inputs: {
+      method: choiceInput('Method', ['rational', 'scs']),
+      C: numberInput('Runoff coefficient (C)', ''),
+      CN: numberInput('Curve number (CN)', ''),
+      P: numberInput('Rainfall depth (P)', 'mm'),
+      I: numberInput('Rainfall intensity (I)', 'mm/h'),
+      A: numberInput('Area (A)', 'ha'),
+      subAreas: tableInput('Sub-areas (replace C/CN and A when filled)', {
+        use: textInput('Land use'),
+        area: numberInput('Area', 'ha'),
+        c: numberInput('C', ''),
+        cn: numberInput('CN', ''),
+      }),
+      tcMethod: choiceInput('Time of concentration method', ['kirpich', 'kinematic', 'manual']),
+      L: numberInput('Flow length (L)', 'm'),
+      S: numberInput('Slope (S)', 'm/m'),
+      n: numberInput("Overland Manning's n", ''),
+      tc: numberInput('Time of concentration (manual)', 'min'),
+      returnPeriod: numberInput('Return period', 'years', 10),
+      idf: tableInput('IDF curve (replaces I when two or more rows)', {
+        duration: numberInput('Duration', 'min'),
+        intensity: numberInput('Intensity', 'mm/h'),
+      }),
+    },
+    units: { Q: 'm³/s', tc: 'min', I: 'mm/h', A: 'ha', runoffDepth: 'mm', volume: 'm³', S: 'mm', Tp: 'h', Tb: 'h' },
+    run(p) {
+      const composite = compositeSubAreas(p.subAreas);
+      const A = composite ? composite.area : p.A;
+      const idfRows = p.idf.filter(r => r.duration > 0 && r.intensity > 0);
+      const intensityAt = idfRows.length >= 2 ? d => interpolateIDF(idfRows, d) : () => p.I;
+      const tc = timeOfConcentration(p.tcMethod, { L: p.L, S: p.S, n: p.n, tc: p.tc }, intensityAt);
+      const warnings = isNaN(tc) ? ['no time of concentration: give L and S, or a manual tc'] : [];
+      if (p.method === 'scs') {
+        const CN = composite && !isNaN(composite.CN) ? composite.CN : p.CN;
+        if ([CN, p.P, A].some(isNaN) || CN <= 0 || CN > 100 || p.P < 0 || A < 0) {
+          return { error: 'CN must be in (0, 100], P and A non-negative', intermediate: { tc } };
+        }
+        const scs = scsRunoff(p.P, CN);
+        const peak = isNaN(tc) ? { Tp: NaN, Tb: NaN, Qp: NaN } : scsTriangularPeak(scs.Q, A, tc);
+        return {
+          results: { Q: peak.Qp, runoffDepth: scs.Q, volume: scs.Q * A * 10, tc },
+          intermediate: { CN, S: scs.S, Ia: scs.Ia, A, tc, Tp: peak.Tp, Tb: peak.Tb },
+          warnings,
+        };
+      }
+      const C = composite && !isNaN(composite.C) ? composite.C : p.C;
+      const I = intensityAt(tc);
+      if (isNaN(C) || isNaN(I) || isNaN(A) || C < 0 || I < 0 || A < 0) {
+        return { error: 'C, I (or an IDF table with tc) and A must be non-negative numbers', intermediate: { tc } };
+      }
+      return {
+        results: { Q: rationalPeakFlow(C, I, A), tc },
+        intermediate: { C, composite: !!composite, I, idf: idfRows.length >= 2, A, tc },
+        warnings,
+      };
+    },
+  },
+
+  shear: {
+    title: 'Mohr–Coulomb shear strength',
+    inputs: {
+      mode: choiceInput('Mode', ['mc', 'fit', 'state']),
+      c: numberInput("Cohesion (c')", 'kPa'),
+      phi: numberInput("Friction angle (φ')", '°'),
+      sigma: numberInput("Normal effective stress (σ')", 'kPa'),
+      testType: choiceInput('Test type', ['triaxial', 'direct']),
+      tests: tableInput('Tests', {
+        a: numberInput('σ′3 or σ′n', 'kPa'),
+        b: numberInput('σ′1 or τf', 'kPa'),
+      }),
+      sx: numberInput('Normal stress (σx)', 'kPa'),
+      sy: numberInput('Normal stress (σy)', 'kPa'),
+      txy: numberInput('Shear stress (τxy)', 'kPa'),
+    },
+    units: { tau: 'kPa', c: 'kPa', phi: '°', sigma1: 'kPa', sigma3: 'kPa', tauMax: 'kPa', center: 'kPa', thetaP: '°' },
+    run(p) {
+      if (p.mode === 'fit') {
+        const tests = p.tests.filter(r => !isNaN(r.a) && !isNaN(r.b));
+        const fitted = fitStrengthEnvelope(p.testType, tests);
+        if (!fitted) return { error: 'need two or more tests with a non-zero spread' };
+        return { results: { c: fitted.c, phi: fitted.phi }, intermediate: { r2: fitted.r2, tests }, warnings: [] };
+      }
+      if (p.mode === 'state') {
+        if ([p.sx, p.sy, p.txy].some(isNaN)) return { error: 'σx, σy and τxy are required' };
+        const st = principalStresses(p.sx, p.sy, p.txy);
+        const plane = !isNaN(p.c) && !isNaN(p.phi) ? failurePlane(st, p.c, p.phi) : null;
+        return {
+          results: { sigma1: st.sigma1, sigma3: st.sigma3, tauMax: st.tauMax },
+          intermediate: { center: st.center, thetaP: st.thetaP, failurePlane: plane },
+          warnings: plane && plane.mobilised >= 1 ? ['stress state reaches the failure envelope'] : [],
+        };
+      }
+      if ([p.c, p.sigma, p.phi].some(isNaN)) return { error: "c', φ' and σ' are required" };
+      return { results: { tau: mohrCoulombStrength(p.c, p.phi, p.sigma) }, intermediate: {}, warnings: [] };
+    },
+  },
+
+  bearing: {
+    title: 'Bearing capacity',
+    inputs: {
+      method: choiceInput('Method', ['terzaghi', 'meyerhof', 'hansen', 'vesic']),
+      shape: choiceInput('Footing shape', ['strip', 'square', 'circular', 'rectangular']),
+      c: numberInput("Cohesion (c')", 'kPa'),
+      gamma: numberInput('Unit weight (γ)', 'kN/m³'),
+      B: numberInput('Width or diameter (B)', 'm'),
+      L: numberInput('Length (L), rectangular only', 'm'),
+      Df: numberInput('Embedment depth (Df)', 'm', 0),
+      phi: numberInput("Friction angle (φ')", '°'),
+      beta: numberInput('Load inclination from vertical (β)', '°', 0),
+      Dw: numberInput('Groundwater depth (blank = deep)', 'm'),
+      FS: numberInput('Factor of safety', '', 3),
+    },
+    units: { qult: 'kPa', qall: 'kPa', q: 'kPa', gammaEff: 'kN/m³' },
+    run(p) {
+      const L = p.shape === 'rectangular' ? p.L : p.B;
+      const Dw = isNaN(p.Dw) ? Infinity : p.Dw;
+      if ([p.c, p.gamma, p.B, L, p.Df, p.phi, p.beta].some(x => isNaN(x) || x < 0) || p.B <= 0 || L < p.B ||
+          p.phi >= 90 || p.beta >= 90 || Dw < 0) {
+        return { error: 'inputs must be non-negative with B > 0, L ≥ B and φ′, β below 90°' };
+      }
+      const result = bearingCapacity({ method: p.method, shape: p.shape, c: p.c, gamma: p.gamma, B: p.B, L, Df: p.Df, phi: p.phi, beta: p.beta, Dw });
+      return {
+        results: { qult: result.qult, qall: p.FS > 0 ? result.qult / p.FS : NaN },
+        intermediate: {
+          Nc: result.Nc,
+          Nq: result.Nq,
+          Ngamma: result.Ngamma,
+          q: result.q,
+          gammaEff: result.gammaEff,
+          factors: result.factors,
+          terms: result.terms,
+        },
+        warnings: [],
+      };
+    },
+  },
+
+  consolidation: {
+    title: 'Consolidation settlement',
+    inputs: {
+      method: choiceInput('Stress distribution', ['2to1', 'boussinesq']),
+      shape: choiceInput('Footing shape', ['strip', 'square', 'rectangular']),
+      q: numberInput('Net footing pressure (q)', 'kPa'),
+      B: numberInput('Width (B)', 'm'),
+      L: numberInput('Length (L), rectangular only', 'm'),
+      Df: numberInput('Footing depth (Df)', 'm', 0),
+      gamma: numberInput('Unit weight of soil outside the clay (γ)', 'kN/m³'),
+      Dw: numberInput('Groundwater depth (blank = deep)', 'm'),
+      layers: tableInput('Clay layers', {
+        top: numberInput('Top depth', 'm'),
+        H: numberInput('Thickness', 'm'),
+        gamma: numberInput('γsat', 'kN/m³'),
+        e0: numberInput('e0', ''),
+        Cc: numberInput('Cc', ''),
+        Cr: numberInput('Cr', ''),
+        sigmaP: numberInput('σ′p (blank = NC)', 'kPa'),
+        cv: numberInput('cv', 'm²/yr'),
+        drainage: choiceInput('Drainage', ['double', 'single']),
+      }),
+    },
+    units: { settlement: 'mm', t50: 'years', t90: 'years' },
+    run(p) {
+      const footing = { method: p.method, shape: p.shape, q: p.q, B: p.B, Df: p.Df, gamma: p.gamma };
+      footing.L = p.shape === 'rectangular' ? p.L : p.shape === 'square' ? p.B : Infinity;
+      footing.Dw = isNaN(p.Dw) ? Infinity : p.Dw;
+      const layers = p.layers.filter(r => !isNaN(r.top) || !isNaN(r.H));
+      const layersValid = layers.length && layers.every(r =>
+        r.top >= 0 && r.H > 0 && r.gamma > 0 && r.e0 > 0 && r.Cc > 0 && r.Cr >= 0 && !(r.sigmaP <= 0) && r.cv > 0);
+      if ([footing.q, footing.B, footing.L, footing.Df, footing.gamma].some(x => isNaN(x) || x < 0) || footing.B <= 0 ||
+          footing.L < footing.B || footing.Dw < 0 || !layersValid) {
+        return { error: 'footing inputs must be non-negative with B > 0, and every clay layer needs H, γsat, e0, Cc, Cr and cv' };
+      }
+      const result = consolidationAnalysis(footing, layers);
+      if (result.error) return { error: result.error };
+      // Settlement–time curve (mm) sampled to 1.1 × t99
+      const tMax = result.timeTo(0.99) * 1.1 || 1;
+      const curve = [];
+      for (let i = 0; i <= 150; i++) {
+        const t = (tMax / 150) * i;
+        curve.push({ t, S: result.settlementAt(t) * 1000 });
+      }
+      return {
+        results: { settlement: result.total * 1000, t50: result.timeTo(0.5), t90: result.timeTo(0.9) },
+        intermediate: {
+          layers: result.layers.map(l => ({ sigma0: l.sigma0, dSigma: l.dSigma, state: l.state, S: l.S * 1000 })),
+          curve,
+        },
+        warnings: [],
+      };
+    },
+  },
+
+  wall: {
+    title: 'Lateral earth pressure and retaining wall',
+    inputs: {
+      theory: choiceInput('Pressure theory', ['rankine', 'coulomb']),
+      state: choiceInput('Design pressure', ['active', 'rest']),
+      type: choiceInput('Wall type', ['cantilever', 'gravity']),
+      H: numberInput('Total height to underside of base (H)', 'm'),
+      top: numberInput('Stem width at top', 'm'),
+      stem: numberInput('Stem width at base', 'm'),
+      B: numberInput('Base width (B)', 'm'),
+      tb: numberInput('Base thickness (cantilever)', 'm'),
+      toe: numberInput('Toe length (cantilever)', 'm'),
+      gammaWall: numberInput('Unit weight of wall', 'kN/m³', 24),
+      beta: numberInput('Backfill slope (β)', '°', 0),
+      delta: numberInput('Wall friction (δ), Coulomb only', '°', 0),
+      q: numberInput('Surcharge (q)', 'kPa', 0),
+      dw: numberInput('Water table below top of wall (blank = none)', 'm'),
+      D: numberInput('Soil depth in front of toe (blank = ignore)', 'm'),
+      layers: tableInput('Backfill layers, top down; the last is also the founding soil', {
+        thickness: numberInput('Thickness (blank = to base)', 'm'),
+        gamma: numberInput('γ', 'kN/m³'),
+        gammaSat: numberInput('γsat', 'kN/m³'),
+        c: numberInput('c′', 'kPa'),
+        phi: numberInput('φ′', '°'),
+      }),
+    },
+    units: {
+      Pearth: 'kN/m', Pwater: 'kN/m', Ph: 'kN/m', Pv: 'kN/m', yArm: 'm', Pp: 'kN/m', e: 'm', qmax: 'kPa', qmin: 'kPa',
+      sumW: 'kN/m', xR: 'm', Hv: 'm',
+    },
+    run(p) {
+      const w = { ...p };
+      // A gravity wall is one battered block over the full base width
+      if (p.type === 'gravity') {
+        w.stem = p.B;
+        w.tb = 0;
+        w.toe = 0;
+      }
+      if (p.theory === 'rankine') w.delta = 0;
+      if (isNaN(w.dw)) w.dw = Infinity;
+      if (isNaN(w.D)) w.D = 0;
+      const layers = p.layers.filter(r => !isNaN(r.gamma));
+      const geometryValid = [w.H, w.top, w.stem, w.B, w.tb, w.toe, w.gammaWall, w.beta, w.delta, w.q, w.dw, w.D].every(x => x >= 0) &&
+        w.H > 0 && w.top > 0 && w.stem >= w.top && w.B >= w.toe + w.stem && w.tb < w.H && w.beta < 90;
+      const layersValid = layers.length && layers.every(l => l.gamma > 0 && l.c >= 0 && l.phi >= 0 && l.phi < 90 &&
+        (isNaN(l.gammaSat) || l.gammaSat > 9.81));
+      if (!geometryValid) return { error: 'wall geometry must be non-negative with stem ≥ top width and B ≥ toe + stem' };
+      if (!layersValid) return { error: 'every backfill layer needs γ, c′ ≥ 0 and 0 ≤ φ′ < 90°' };
+      const wall = retainingWall(w, layers);
+      if (wall.error) return { error: wall.error };
+      const warnings = [];
+      if (wall.FSoverturning < 2) warnings.push('overturning FS below 2');
+      if (wall.FSsliding < 1.5) warnings.push('sliding FS below 1.5');
+      if (wall.FSbearing < 3) warnings.push('bearing FS below 3');
+      if (Math.abs(wall.e) > w.B / 6) warnings.push('resultant outside middle third');
+      return {
+        results: {
+          Pearth: wall.Pearth,
+          Pwater: wall.Pwater,
+          Ph: wall.Ph,
+          Pv: wall.Pv,
+          yArm: wall.yArm,
+          FSoverturning: wall.FSoverturning,
+          FSsliding: wall.FSsliding,
+          Pp: wall.Pp,
+          e: wall.e,
+          qmax: wall.qmax,
+          qmin: wall.qmin,
+          FSbearing: wall.FSbearing,
+        },
+        intermediate: {
+          geometry: { H: w.H, top: w.top, stem: w.stem, B: w.B, tb: w.tb, toe: w.toe, beta: w.beta, dw: w.dw },
+          coefficients: wall.coefficients.map(k => ({ Ka: k.Ka, Kp: k.Kp, K0: k.K0 })),
+          pressures: wall.pressures,
+          sumW: wall.sumW,
+          xR: wall.xR,
+          Hv: wall.Hv,
+        },
+        warnings,
+      };
+    },
+  },
+
+  'infinite-slope': {
+    title: 'Infinite slope',
+    inputs: {
+      beta: numberInput('Slope angle (β)', '°'),
+      z: numberInput('Depth to slip plane (z)', 'm'),
+      gamma: numberInput('Unit weight above water table (γ)', 'kN/m³'),
+      gammaSat: numberInput('Saturated unit weight (γsat)', 'kN/m³'),
+      m: numberInput('Water table height above slip plane as a fraction of z', '', 0),
+      c: numberInput("Cohesion (c')", 'kPa'),
+      phi: numberInput("Friction angle (φ')", '°'),
+    },
+    units: { sigmaN: 'kPa', tau: 'kPa', u: 'kPa' },
+    run(p) {
+      if (Object.values(p).some(x => isNaN(x) || x < 0) || p.beta <= 0 || p.beta >= 90 || p.z <= 0 || p.m > 1 ||
+        p.gamma <= 0 || p.gammaSat <= 9.81) {
+        return { error: 'need 0 < β < 90°, z > 0, 0 ≤ m ≤ 1, γ > 0, γsat > γw and non-negative c′, φ′' };
+      }
+      const result = infiniteSlopeFS(p);
+      return {
+        results: { FS: result.FS, dryFS: infiniteSlopeFS({ ...p, m: 0 }).FS },
+        intermediate: { sigmaN: result.sigmaN, tau: result.tau, u: result.u },
+        warnings: result.FS < 1 ? ['unstable (FoS < 1)'] : [],
+      };
+    },
+  },
+
+  slope: {
+    title: 'Circular slip (method of slices)',
+    inputs: {
+      profile: tableInput('Ground profile', { x: numberInput('x', 'm'), y: numberInput('Elevation', 'm') }),
+      layers: tableInput('Soil layers, top down; the last extends downwards', {
+        bottom: numberInput('Bottom elevation', 'm'),
+        gamma: numberInput('γ', 'kN/m³'),
+        c: numberInput('c′ (blank = c)', 'kPa'),
+        phi: numberInput('φ′ (blank = phi)', '°'),
+      }),
+      water: tableInput('Phreatic line', { x: numberInput('x', 'm'), y: numberInput('Elevation', 'm') }),
+      c: numberInput("Default cohesion (c')", 'kPa'),
+      phi: numberInput("Default friction angle (φ')", '°'),
+      xMin: numberInput('Centre x from', 'm'),
+      xMax: numberInput('Centre x to', 'm'),
+      yMin: numberInput('Centre y from', 'm'),
+      yMax: numberInput('Centre y to', 'm'),
+      base: numberInput('Lowest slip elevation', 'm'),
+    },
+    units: { xc: 'm', yc: 'm', R: 'm' },
+    run(p) {
+      const profile = p.profile.filter(r => !isNaN(r.x) && !isNaN(r.y)).sort((a, b) => a.x - b.x);
+      const water = p.water.filter(r => !isNaN(r.x) && !isNaN(r.y)).sort((a, b) => a.x - b.x);
+      const layers = p.layers
+        .filter(r => r.gamma > 0)
+        .map(r => ({ ...r, c: isNaN(r.c) ? p.c : r.c, phi: isNaN(r.phi) ? p.phi : r.phi }))
+        .sort((a, b) => (isNaN(b.bottom) ? -Infinity : b.bottom) - (isNaN(a.bottom) ? -Infinity : a.bottom));
+      if (profile.length < 2 || !layers.length || layers.some(l => isNaN(l.c) || isNaN(l.phi) || l.c < 0 || l.phi < 0 || l.phi >= 90)) {
+        return { error: 'need two or more profile points and layers with γ, c′ ≥ 0 and 0 ≤ φ′ < 90°' };
+      }
+      const search = searchSlipCircles({ profile, layers, water }, p);
+      const intermediate = { profile, layers, water, limits: search.limits };
+      if (!search.bishop) return { error: 'no slip circle in the search grid cuts the slope', intermediate };
+      const minFS = Math.min(search.bishop.FS, search.ordinary.FS);
+      return {
+        results: { bishop: search.bishop, ordinary: search.ordinary },
+        intermediate,
+        warnings: minFS < 1 ? ['unstable (FoS < 1)'] : [],
+      };
+    },
+  },
+
+  beam: {
+    title: 'Beam analysis',
+    inputs: {
+      support: choiceInput('Support arrangement', ['simple', 'cantilever', 'fixed', 'propped', 'overhang']),
+      L: numberInput('Beam length (L)', 'm'),
+      a: numberInput('Left support position (overhang)', 'm'),
+      b: numberInput('Right support position (overhang)', 'm'),
+      w: numberInput('Full-length load intensity (w)', 'kN/m', 0),
+      loads: tableInput('Loads, downward positive', {
+        type: choiceInput('Load', ['point', 'udl', 'moment']),
+        value: numberInput('Value (kN, kN/m or kN·m clockwise)', ''),
+        x1: numberInput('x / start', 'm'),
+        x2: numberInput('End (UDL only)', 'm'),
+      }),
+      E: numberInput('Modulus of elasticity (E)', 'GPa'),
+      I: numberInput('Moment of inertia (I)', 'm⁴'),
+      S: numberInput('Section modulus (S)', 'm³'),
+      y: numberInput('Extreme-fibre distance (y), if S is blank', 'm'),
+    },
+    units: { Vmax: 'kN', Mmax: 'kN·m', xMmax: 'm', deflection: 'm', xDeflection: 'm', stress: 'MPa' },
+    run(p) {
+      const w = isNaN(p.w) ? 0 : p.w;
+      const a = p.support === 'overhang' ? p.a : 0;
+      const b = p.support === 'overhang' ? p.b : p.L;
+      if ([p.L, p.E, p.I].some(x => isNaN(x) || x <= 0) || isNaN(a) || isNaN(b) || a < 0 || b > p.L || a >= b) {
+        return { error: 'L, E and I must be positive, with supports 0 ≤ a < b ≤ L' };
+      }
+      const loads = p.loads.filter(ld => !isNaN(ld.value) && ld.x1 >= 0 && ld.x1 <= p.L &&
+        (ld.type !== 'udl' || (ld.x2 > ld.x1 && ld.x2 <= p.L)));
+      if (w !== 0) loads.push({ type: 'udl', value: w, x1: 0, x2: p.L });
+      const supports = beamSupports(p.support, p.L, a, b);
+      const result = analyzeBeam(p.L, p.E * 1e6 * p.I, supports, loads);
+      if (result.error) return { error: result.error };
+      // Bending stress from the section modulus, or I / y when only the fibre distance is given
+      const S = p.S > 0 ? p.S : p.I / p.y;
+      return {
+        results: {
+          Vmax: result.Vmax.value,
+          Mmax: result.Mmax.value,
+          xMmax: result.Mmax.x,
+          deflection: Math.abs(result.deflMax.value),
+          xDeflection: result.deflMax.x,
+          stress: S > 0 ? Math.abs(result.Mmax.value) / S / 1000 : NaN,
+        },
+        intermediate: { reactions: result.reactions, supports, stations: result.stations, deflection: result.deflection },
+        warnings: loads.length < p.loads.length ? ['loads outside the beam were ignored'] : [],
+      };
+    },
+  },
+
+  buckling: {
+    title: 'Column buckling and design capacity',
+    inputs: {
+      E: numberInput('Modulus of elasticity (E)', 'GPa'),
+      I: numberInput('Moment of inertia (I)', 'm⁴'),
+      L: numberInput('Length (L)', 'm'),
+      K: numberInput('End condition factor (K)', '', 1),
+      A: numberInput('Cross-sectional area (A)', 'm²'),
+      r: numberInput('Radius of gyration (blank = √(I/A))', 'm'),
+      Fy: numberInput('Yield stress (Fy)', 'MPa'),
+      curve: choiceInput('Column curve', ['johnson', 'aisc', 'ec3-a0', 'ec3-a', 'ec3-b', 'ec3-c', 'ec3-d']),
+      phi: numberInput('Resistance factor (φ or 1/γM1)', '', 1),
+    },
+    units: { Pcr: 'kN', Fcr: 'MPa', Pn: 'kN', design: 'kN', Fe: 'MPa' },
+    run(p) {
+      if ([p.E, p.I, p.L, p.K].some(x => isNaN(x) || x <= 0)) return { error: 'E, I, L and K must be positive' };
+      const results = { Pcr: eulerBucklingLoad(p.E, p.I, p.K, p.L) };
+      const r = p.r > 0 ? p.r : Math.sqrt(p.I / p.A);
+      if (!(r > 0)) return { results, intermediate: {}, warnings: ['give A or r for the slenderness and capacity'] };
+      results.slenderness = (p.K * p.L) / r;
+      if (!(p.Fy > 0)) return { results, intermediate: {}, warnings: ['give Fy for the design capacity'] };
+      const col = columnCriticalStress(p.curve, results.slenderness, p.E * 1000, p.Fy);
+      results.Fcr = col.Fcr;
+      if (p.A > 0) {
+        results.Pn = col.Fcr * p.A * 1000;
+        if (p.phi > 0) results.design = p.phi * results.Pn;
+      }
+      return {
+        results,
+        intermediate: { Fe: col.Fe, transition: col.transition, regime: results.slenderness < col.transition ? 'inelastic' : 'elastic' },
+        warnings: p.A > 0 ? [] : ['give A for the column loads'],
+      };
+    },
+  },
+
+  section: {
+    title: 'Section properties',
+    inputs: {
+      catalogue: textInput('Catalogue section, e.g. "IPE 300" or "45 x 90" (overrides shape and dimensions)'),
+      shape: choiceInput('Shape', ['rect', 'circle', 'rhs', 'chs', 'ishape', 'channel', 'angle']),
+      b: numberInput('Width / flange width (b)', 'mm'),
+      h: numberInput('Depth (h)', 'mm'),
+      d: numberInput('Diameter (D)', 'mm'),
+      t: numberInput('Wall / leg thickness (t)', 'mm'),
+      tf: numberInput('Flange thickness (tf)', 'mm'),
+      tw: numberInput('Web thickness (tw)', 'mm'),
+    },
+    units: { A: 'mm²', xc: 'mm', yc: 'mm', Ix: 'mm⁴', Iy: 'mm⁴', Ixy: 'mm⁴', Imin: 'mm⁴', Sx: 'mm³', Sy: 'mm³', rx: 'mm', ry: 'mm', rmin: 'mm' },
+    run(p) {
+      const key = name => name.replace(/\s/g, '').replace('×', 'x').toUpperCase();
+      const entry = p.catalogue ? SECTION_CATALOGUE.find(sec => key(sec.name) === key(p.catalogue)) : null;
+      if (p.catalogue && !entry) return { error: 'no catalogue section named "' + p.catalogue + '"' };
+      const props = entry ? catalogueSectionProperties(entry) : sectionProperties(p.shape, p);
+      if (!props) return { error: 'dimensions do not describe a valid ' + p.shape + ' section' };
+      const results = {};
+      ['A', 'xc', 'yc', 'Ix', 'Iy', 'Ixy', 'Imin', 'Sx', 'Sy', 'rx', 'ry', 'rmin'].forEach(key => {
+        results[key] = props[key];
+      });
+      return {
+        results,
+        intermediate: { width: props.width, height: props.height, parts: props.parts, tabulated: Boolean(entry && entry.A) },
+        warnings: [],
+      };
+    },
+  },
+
+  rc: {
+    title: 'Reinforced concrete beam and slab design (ACI 318)',
+    inputs: {
+      member: choiceInput('Member', ['beam', 'slab']),
+      section: choiceInput('Section (beam only)', ['rect', 'tee']),
+      fc: numberInput('Concrete strength (f′c)', 'MPa', 28),
+      fy: numberInput('Steel yield strength (fy)', 'MPa', 420),
+      bw: numberInput('Web width (bw), beam only', 'mm'),
+      h: numberInput('Overall depth (h)', 'mm'),
+      d: numberInput('Effective depth (d)', 'mm'),
+      dp: numberInput('Compression steel depth (d′)', 'mm', 60),
+      bf: numberInput('Flange width (bf), T-beam only', 'mm'),
+      hf: numberInput('Flange thickness (hf), T-beam only', 'mm'),
+      Mu: numberInput('Factored moment (Mu)', 'kN·m'),
+      Vu: numberInput('Factored shear (Vu)', 'kN'),
+      Ma: numberInput('Service moment (blank = no crack/deflection check)', 'kN·m'),
+      span: numberInput('Span (L)', 'm'),
+      support: choiceInput('Support condition', ['simple', 'one-end', 'both-ends', 'cantilever']),
+      bar: choiceInput('Main bar diameter (mm)', ['10', '12', '16', '20', '25', '32'], '20'),
+      stirrup: choiceInput('Stirrup diameter (mm)', ['8', '10', '12'], '10'),
+      legs: numberInput('Stirrup legs', '', 2),
+    },
+    units: {
+      AsReq: 'mm²', AsMin: 'mm²', AscReq: 'mm²', As: 'mm²', Asc: 'mm²', spacing: 'mm', phiMn: 'kN·m', c: 'mm',
+      phiVc: 'kN', Vs: 'kN', stirrupSpacing: 'mm', hMin: 'mm', fs: 'MPa', crackSpacing: 'mm', immediate: 'mm',
+      longTerm: 'mm',
+    },
+    run(input) {
+      const p = { ...input, bar: Number(input.bar), stirrup: Number(input.stirrup) };
+      const tee = p.member === 'beam' && p.section === 'tee';
+      // A slab is designed as a 1 m strip; a rectangle is a T with no flange overhang
+      if (p.member === 'slab') {
+        p.bw = 1000;
+        p.dp = NaN;
+      }
+      if (!tee) {
+        p.bf = p.bw;
+        p.hf = 0;
+      }
+      const valid = p.fc > 0 && p.fy > 0 && p.bw > 0 && p.h > 0 && p.d > 0 && p.d < p.h && p.Mu > 0 &&
+        p.bf >= p.bw && p.hf >= 0 && p.hf < p.h && (p.member === 'slab' || (p.dp > 0 && p.dp < p.d && p.legs >= 1)) &&
+        !(p.Vu < 0) && !(p.Ma < 0) && !(p.span <= 0);
+      if (!valid) return { error: 'need positive f′c, fy, bw, h, d < h and Mu, with 0 < d′ < d for beams' };
+      const rc = designRCMember(p);
+      if (rc.error) return { error: rc.error };
+      const a = rc.analysis;
+      const results = { AsReq: rc.AsReq, AsMin: rc.AsMin, AscReq: rc.AscReq, As: rc.As, Asc: rc.Asc };
+      if (p.member === 'slab') results.spacing = rc.spacing;
+      else {
+        results.nBars = rc.nBars;
+        results.nTop = rc.nTop;
+      }
+      results.phiMn = a.phiMn / 1e6;
+      const warnings = [];
+      if (a.phiMn < p.Mu * 1e6) warnings.push('φMn is less than Mu');
+      if (a.epsT < 0.004) warnings.push('εt below 0.004, not permitted');
+      if (p.member === 'beam' && !rc.fitsOneLayer) warnings.push('bars will not fit in one layer; use two layers and reduce d');
+      const v = rc.shear;
+      if (v) {
+        results.phiVc = v.phiVc / 1e3;
+        if (p.member === 'beam') {
+          results.Vs = v.Vs / 1e3;
+          results.stirrupSpacing = v.required ? v.spacing : NaN;
+        }
+        if (v.error) warnings.push(v.error);
+      }
+      if (rc.hMin) {
+        results.hMin = rc.hMin;
+        if (p.h < rc.hMin) warnings.push('h is below the minimum depth; deflection must be calculated');
+      }
+      const sv = rc.service;
+      if (sv) {
+        results.fs = sv.fs;
+        results.crackSpacing = sv.crackSpacing;
+        if (rc.pitch > sv.crackSpacing) warnings.push('bar spacing exceeds the crack-control limit; use smaller bars at closer spacing');
+        if (sv.immediate !== undefined) {
+          results.immediate = sv.immediate;
+          results.longTerm = sv.total;
+          results.spanRatio = sv.ratio;
+          if (sv.ratio < 240) warnings.push('long-term deflection exceeds L/240');
+        }
+      }
+      return {
+        results,
+        intermediate: {
+          c: a.c,
+          a: a.a,
+          beta1: a.beta1,
+          epsT: a.epsT,
+          phi: a.phi,
+          control: a.control,
+          C: (a.Cc + a.Cs) / 1e3,
+          T: (rc.As * a.fs) / 1e3,
+          pitch: rc.pitch,
+          clearSpacing: rc.clearSpacing,
+          fitsOneLayer: rc.fitsOneLayer,
+          spacingMax: rc.spacingMax,
+          stirrupsRequired: Boolean(v && v.required),
+          stirrupSMax: v && v.sMax,
+          shearError: v && v.error,
+          service: sv ? { Ig: sv.Ig, Icr: sv.Icr, Ie: sv.Ie, Mcr: sv.Mcr / 1e6, x: sv.x } : null,
+          // The section actually designed: a slab is a 1 m strip and a rectangle has no flange
+          geometry: { bw: p.bw, bf: p.bf, hf: p.hf },
+        },
+        warnings,
+      };
+    },
+  },
+
+  'traffic-flow': {
+    title: 'Traffic stream models',
+    inputs: {
+      model: choiceInput('Model', ['greenshields', 'greenberg', 'underwood', 'triangular']),
+      vf: numberInput('Free-flow speed (vf)', 'km/h'),
+      v0: numberInput('Optimum speed (v0), Greenberg', 'km/h'),
+      kj: numberInput('Jam density (kj)', 'veh/km'),
+      k0: numberInput('Optimum density (k0), Underwood', 'veh/km'),
+      w: numberInput('Backward wave speed (w), triangular', 'km/h'),
+      dataType: choiceInput('Observation columns', ['vk', 'vq', 'kq']),
+      data: textInput('Observations, one pair per line'),
+      fit: choiceInput('Fit the model parameters to the observations', ['no', 'yes']),
+    },
+    units: { qmax: 'veh/h', kc: 'veh/km', vc: 'km/h' },
+    run(p) {
+      const observed = parseObservations(p.data, p.dataType);
+      const params = { vf: p.vf, v0: p.v0, kj: p.kj, k0: p.k0, w: p.w };
+      let fit = null;
+      if (p.fit === 'yes') {
+        fit = fitTrafficModel(p.model, observed);
+        if (!fit) {
+          return { error: 'need at least 3 usable observations to fit the ' + p.model + ' model', intermediate: { observed } };
+        }
+        Object.assign(params, fit.params);
+      }
+      const intermediate = { params, fit: fit && { params: fit.params, r2: fit.r2, fittedOn: fit.fittedOn, n: fit.n }, observed };
+      const stream = trafficStreamModel(p.model, params);
+      if (!stream) return { error: 'missing or non-positive parameters for the ' + p.model + ' model', intermediate };
+      // The model sampled out to jam density (or 5 k0 for Underwood, which never reaches it)
+      intermediate.curve = [];
+      for (let i = 1; i <= 100; i++) {
+        const k = (stream.kEnd / 100) * i;
+        const v = Math.max(stream.speedAt(k), 0);
+        intermediate.curve.push({ k, v, q: k * v });
+      }
+      return { results: { qmax: stream.qmax, kc: stream.kc, vc: stream.vc }, intermediate, warnings: [] };
+    },
+  },
+
+  'sight-distance': {
+    title: 'Stopping sight distance and curve design',
+    inputs: {
+      v: numberInput('Speed (v)', 'km/h'),
+      tr: numberInput('Reaction time (tr)', 's'),
+      f: numberInput('Friction factor (f)', ''),
+      G: numberInput('Grade (G), decimal', '', 0),
+      g1: numberInput('Approach grade (G1)', '%'),
+      g2: numberInput('Departure grade (G2)', '%'),
+      h1: numberInput('Driver eye height (h1)', 'm', 1.08),
+      h2: numberInput('Object height (h2)', 'm', 0.6),
+      headlight: numberInput('Headlight height (H)', 'm', 0.6),
+      beam: numberInput('Headlight beam angle (β)', '°', 1),
+      L: numberInput('Vertical curve design length (blank = minimum)', 'm'),
+      pviStation: numberInput('PVI station', 'm'),
+      pviElevation: numberInput('PVI elevation', 'm'),
+      interval: numberInput('Station interval', 'm', 20),
+      e: numberInput('Superelevation (e), decimal', ''),
+      fs: numberInput('Side friction factor (fs)', ''),
+      R: numberInput('Design radius (blank = minimum)', 'm'),
+      delta: numberInput('Deflection angle (Δ)', '°'),
+      piStation: numberInput('PI station', 'm'),
+    },
+    units: {
+      ssd: 'm', Lmin: 'm', L: 'm', A: '%', bvc: 'm', evc: 'm', pviStation: 'm', pviElevation: 'm', Rmin: 'm', R: 'm', M: 'm',
+      T: 'm', Lc: 'm', E: 'm', pc: 'm', pt: 'm',
+    },
+    run(p) {
+      if (!(p.v > 0)) return { error: 'v must be positive' };
+      // The horizontal curve radius needs only the speed, so a missing SSD is a warning
+      const warnings = [];
+      const ssd = [p.tr, p.f, p.G].some(isNaN) || p.tr <= 0 ? NaN : stoppingSightDistance(p.v, p.tr, p.f, p.G);
+      if (isNaN(ssd)) warnings.push('the stopping sight distance needs tr > 0, f and G with f + G > 0');
+      const interval = p.interval > 0 ? p.interval : 20;
+      let vertical = null;
+      let horizontal = null;
+      const intermediate = {};
+      if (!isNaN(ssd) && ![p.g1, p.g2].some(isNaN) && p.g1 !== p.g2 && [p.h1, p.h2, p.headlight].every(x => x > 0) && !isNaN(p.beam)) {
+        const req = verticalCurveMinLength(p.g1, p.g2, ssd, p);
+        const L = p.L > 0 ? p.L : Math.max(req.L, 1);
+        const curve = verticalCurveProfile(p.g1, p.g2, L, isNaN(p.pviStation) ? 0 : p.pviStation,
+          isNaN(p.pviElevation) ? 0 : p.pviElevation, interval);
+        vertical = {
+          type: req.type,
+          criterion: req.criterion,
+          A: req.A,
+          Lmin: req.L,
+          K: req.L / req.A,
+          L,
+          bvc: curve.bvc,
+          evc: curve.evc,
+          pviStation: curve.pviStation,
+          pviElevation: curve.pviElevation,
+        };
+        intermediate.verticalTurningPoint = curve.turning;
+        intermediate.verticalProfile = curve.points;
+        if (p.L > 0 && p.L < req.L) warnings.push('design vertical curve length is below the minimum');
+      }
+      if (!isNaN(p.e) && p.fs > 0 && p.e + p.fs > 0) {
+        const Rmin = minimumCurveRadius(p.v, p.e, p.fs);
+        const R = p.R > 0 ? p.R : Rmin;
+        horizontal = { Rmin, R, M: sightlineOffset(R, ssd) };
+        if (p.delta > 0 && p.delta < 180) {
+          const curve = horizontalCurveLayout(R, p.delta, isNaN(p.piStation) ? 0 : p.piStation, interval);
+          Object.assign(horizontal, { T: curve.T, Lc: curve.Lc, E: curve.E, pc: curve.pc, pt: curve.pt });
+          intermediate.horizontalStakeout = curve.points;
+        }
+        if (p.R > 0 && p.R < Rmin) warnings.push('design radius is below the minimum');
+      }
+      return { results: { ssd, vertical, horizontal }, intermediate, warnings };
+    },
+  },
+
+  signal: {
+    title: 'Signalized intersection timing (Webster)',
+    inputs: {
+      phases: tableInput('Phases', {
+        name: textInput('Phase'),
+        volume: numberInput('Critical volume', 'veh/h'),
+        saturation: numberInput('Saturation flow', 'veh/h', 1800),
+        lost: numberInput('Lost time', 's', 4),
+      }),
+      cycle: numberInput('Cycle length (blank = Webster optimum)', 's'),
+    },
+    units: { C: 's', Copt: 's', L: 's', delay: 's/veh' },
+    run(p) {
+      const phases = p.phases.filter(ph => ph.volume > 0 && ph.saturation > 0 && ph.lost >= 0);
+      if (phases.length < 2) return { error: 'need two or more phases with volume, saturation flow and lost time' };
+      const timing = signalTiming(phases, p.cycle);
+      if (!timing) {
+        return { error: p.cycle > 0 ? 'cycle must exceed the total lost time' : 'oversaturated: Σ v/s ≥ 1, no optimum cycle' };
+      }
+      return {
+        results: { C: timing.C, Copt: timing.Copt, Y: timing.Y, L: timing.L, delay: timing.delay, los: timing.los },
+        intermediate: { optimum: timing.optimum, phases: timing.phases },
+        warnings: timing.phases.filter(ph => ph.X >= 1).map(ph => ph.name + ' is over capacity (X = ' + ph.X.toFixed(2) + ')'),
+      };
+    },
+  },
+
+  bod: {
+    title: 'BOD kinetics from lab data',
+    inputs: {
+      method: choiceInput('Fitting method', ['thomas', 'lsq']),
+      readings: tableInput('Readings', { t: numberInput('Time', 'days'), y: numberInput('BOD', 'mg/L') }),
+    },
+    units: { k1: '1/day', Lu: 'mg/L', BOD5: 'mg/L' },
+    run(p) {
+      const readings = p.readings.filter(r => r.t > 0 && r.y > 0);
+      const fit = fitBOD(p.method, readings);
+      if (!fit) return { error: 'need at least 3 readings at different times', intermediate: { readings } };
+      return {
+        results: { k1: fit.k1, Lu: fit.Lu, BOD5: bodExerted(fit.Lu, fit.k1, 5) },
+        intermediate: { r2: fit.r2, readings },
+        warnings: [],
+      };
+    },
+  },
+
+  do: {
+    title: 'DO sag (Streeter–Phelps)',
+    inputs: {
+      mode: choiceInput('Mode', ['single', 'reach']),
+      k1: numberInput('Deoxygenation rate at 20 °C (k1)', '1/day'),
+      k2: numberInput('Reaeration rate at 20 °C (k2)', '1/day'),
+      T: numberInput('Water temperature (T)', '°C', 20),
+      theta1: numberInput('Temperature coefficient for k1', '', 1.047),
+      theta2: numberInput('Temperature coefficient for k2', '', 1.024),
+      salinity: numberInput('Salinity', 'ppt', 0),
+      velocity: numberInput('Stream velocity (u)', 'm/s'),
+      standard: numberInput('Regulatory minimum DO', 'mg/L', 5),
+      La: numberInput('Ultimate BOD after mixing (La)', 'mg/L'),
+      Da: numberInput('Initial deficit (Da)', 'mg/L'),
+      Q: numberInput('Upstream flow (reach)', 'm³/s'),
+      bod: numberInput('Upstream ultimate BOD (reach)', 'mg/L'),
+      DO: numberInput('Upstream DO (reach)', 'mg/L'),
+      length: numberInput('Reach length', 'km'),
+      sources: tableInput('Point sources (reach)', {
+        x: numberInput('Distance', 'km'),
+        Q: numberInput('Flow', 'm³/s'),
+        bod: numberInput('BODu', 'mg/L'),
+        DO: numberInput('DO', 'mg/L'),
+      }),
+    },
+    units: { DOsat: 'mg/L', minDO: 'mg/L', Dc: 'mg/L', tc: 'days', xc: 'km', k1: '1/day', k2: '1/day' },
+    run(p) {
+      if ([p.T, p.salinity, p.theta1, p.theta2].some(isNaN) || p.T < 0 || p.T > 40 || p.salinity < 0) {
+        return { error: 'need 0 ≤ T ≤ 40 °C, salinity ≥ 0 and both θ' };
+      }
+      const DOsat = saturationDO(p.T, p.salinity);
+      const k1 = temperatureCorrectedRate(p.k1, p.theta1, p.T);
+      const k2 = temperatureCorrectedRate(p.k2, p.theta2, p.T);
+      const u = p.velocity * 86.4; // m/s → km/day
+      if ([k1, k2].some(x => isNaN(x) || x <= 0)) return { error: 'k1 and k2 must be positive', intermediate: { DOsat } };
+      let results;
+      let intermediate;
+      if (p.mode === 'reach') {
+        const profile = riverReachProfile({
+          k1,
+          k2,
+          DOsat,
+          velocity: u,
+          Q: p.Q,
+          bod: p.bod,
+          DO: p.DO,
+          length: p.length,
+          sources: p.sources.filter(src => [src.x, src.Q, src.bod, src.DO].every(v => v >= 0)),
+        });
+        if (!profile) {
+          return {
+            error: 'need positive upstream flow, reach length and velocity, and non-negative BOD and DO',
+            intermediate: { DOsat },
+          };
+        }
+        results = { DOsat, minDO: profile.min.DO, xc: profile.min.x, Dc: DOsat - profile.min.DO };
+        intermediate = { k1, k2, profile: profile.points };
+      } else {
+        if ([p.La, p.Da].some(x => isNaN(x) || x < 0)) return { error: 'La and Da must be non-negative', intermediate: { DOsat } };
+        const sag = streeterPhelps(k1, k2, p.La, p.Da);
+        results = { DOsat, minDO: DOsat - sag.Dc, tc: sag.tc, xc: u > 0 ? sag.tc * u : NaN, Dc: sag.Dc };
+        // Sampled well past the critical point rather than over a fixed horizon; x is blank without a velocity
+        const tMax = Math.max(2.5 * sag.tc, 3 / k2, 1);
+        const profile = [];
+        for (let i = 0; i <= 100; i++) {
+          const t = (tMax / 100) * i;
+          profile.push({ t, x: u > 0 ? t * u : NaN, DO: DOsat - sag.deficitAt(t) });
+        }
+        intermediate = { k1, k2, profile };
+      }
+      return {
+        results,
+        intermediate,
+        warnings: results.minDO < p.standard ? ['minimum DO is below the ' + p.standard + ' mg/L standard'] : [],
+      };
+    },
+  },
+
+  clarifier: {
+    title: 'Primary clarifier sizing',
+    inputs: {
+      Q: numberInput('Average flow (Q)', 'm³/d'),
+      n: numberInput('Number of tanks', '', 2),
+      shape: choiceInput('Tank shape', ['circular', 'rectangular']),
+      D: numberInput('Diameter (circular)', 'm'),
+      L: numberInput('Length (rectangular)', 'm'),
+      W: numberInput('Width (rectangular)', 'm'),
+      depth: numberInput('Side water depth', 'm'),
+      bod: numberInput('Influent BOD5', 'mg/L'),
+      tss: numberInput('Influent TSS', 'mg/L'),
+    },
+    units: { sor: 'm³/m²·d', area: 'm²', hrt: 'h', weir: 'm³/m·d', bodRemoval: '%', tssRemoval: '%', effluentBOD: 'mg/L', effluentTSS: 'mg/L' },
+    run(p) {
+      const r = clarifierLoading(p);
+      if (!r) return { error: 'Q, number of tanks, depth and the tank dimensions must be positive' };
+      const warnings = [];
+      if (r.sor < 30 || r.sor > 50) warnings.push('overflow rate outside 30–50 m³/m²·d');
+      if (r.hrt < 1.5 || r.hrt > 2.5) warnings.push('detention time outside 1.5–2.5 h');
+      return {
+        results: {
+          sor: r.sor,
+          hrt: r.hrt,
+          weir: r.weir,
+          bodRemoval: r.bodRemoval * 100,
+          tssRemoval: r.tssRemoval * 100,
+          effluentBOD: p.bod * (1 - r.bodRemoval),
+          effluentTSS: p.tss * (1 - r.tssRemoval),
+        },
+        intermediate: { area: r.area },
+        warnings,
+      };
+    },
+  },
+
+  sludge: {
+    title: 'Activated-sludge aeration basin',
+    inputs: {
+      Q: numberInput('Flow (Q)', 'm³/d'),
+      S0: numberInput('Influent BOD5 (S0)', 'mg/L'),
+      S: numberInput('Effluent BOD5 (S)', 'mg/L'),
+      V: numberInput('Basin volume (V)', 'm³'),
+      X: numberInput('MLVSS (X)', 'mg/L'),
+      Qw: numberInput('Waste sludge flow (Qw)', 'm³/d'),
+      Xr: numberInput('Waste sludge VSS (Xr)', 'mg/L'),
+      Xe: numberInput('Effluent VSS (Xe)', 'mg/L', 0),
+      Y: numberInput('Yield coefficient (Y)', 'g VSS/g BOD', 0.6),
+      kd: numberInput('Endogenous decay (kd)', '1/day', 0.06),
+      f: numberInput('BOD5/BODu ratio (f)', '', 0.68),
+    },
+    units: { hrt: 'h', fm: 'g BOD/g VSS·d', srt: 'days', px: 'kg VSS/d', o2: 'kg O₂/d', effluentBODu: 'mg/L' },
+    run(p) {
+      const r = activatedSludge(p);
+      if (!r) return { error: 'inputs must be non-negative with Q, V, X, f > 0, S ≤ S0, Qw ≤ Q and some sludge wasted' };
+      const warnings = [];
+      if (r.fm < 0.2 || r.fm > 0.4) warnings.push('F/M outside 0.2–0.4 /d');
+      if (r.srt < 3 || r.srt > 15) warnings.push('SRT outside 3–15 days');
+      return {
+        results: { hrt: r.hrt, fm: r.fm, srt: r.srt, px: r.px, o2: r.o2 },
+        intermediate: { effluentBODu: p.S / p.f },
+        warnings,
+      };
+    },
+  },
+
+  plume: {
+    title: 'Gaussian plume dispersion',
+    inputs: {
+      Q: numberInput('Emission rate (Q)', 'g/s'),
+      hs: numberInput('Stack height (hs)', 'm'),
+      ds: numberInput('Stack inside diameter (ds)', 'm'),
+      vs: numberInput('Exit velocity (vs)', 'm/s'),
+      Ts: numberInput('Stack gas temperature (Ts)', '°C'),
+      Ta: numberInput('Ambient temperature (Ta)', '°C', 20),
+      u10: numberInput('Wind speed at 10 m', 'm/s'),
+      stability: choiceInput('Stability class', ['A', 'B', 'C', 'D', 'E', 'F'], 'D'),
+      x: numberInput('Downwind distance (x)', 'm'),
+      y: numberInput('Crosswind offset (y)', 'm', 0),
+    },
+    units: { dh: 'm', H: 'm', u: 'm/s', concentration: 'µg/m³', cMax: 'µg/m³', xMax: 'm' },
+    run(p) {
+      const plume = gaussianPlume(p);
+      if (!plume) return { error: 'Q, hs and u10 must be positive, with non-negative ds and vs and both temperatures' };
+      const y = isNaN(p.y) ? 0 : p.y;
+      // Ground-level centreline (C in µg/m³) with σy, out to five times x_max or past the receptor
+      const xEnd = Math.max(plume.xMax * 5, p.x > 0 ? p.x * 1.1 : 0);
+      const centreline = [];
+      for (let i = 0; i <= 150; i++) {
+        const x = (xEnd / 150) * i;
+        centreline.push({ x, C: plume.concentrationAt(x, 0) * 1e6, sigmaY: plume.sigmaY(x) });
+      }
+      return {
+        results: {
+          concentration: p.x > 0 ? plume.concentrationAt(p.x, y) * 1e6 : NaN,
+          cMax: plume.cMax * 1e6,
+          xMax: plume.xMax,
+        },
+        intermediate: { dh: plume.dh, H: plume.H, u: plume.u, centreline },
+        warnings: p.x > 0 ? [] : ['give x for the receptor concentration'],
+      };
+    },
+  },
+
+  manning: {
+    title: "Manning's equation for open channels",
+    inputs: {
+      shape: choiceInput('Section', ['rectangular', 'trapezoidal', 'triangular', 'circular']),
+      solve: choiceInput('Solve for', ['flow', 'depth']),
+      b: numberInput('Bottom width (b)', 'm'),
+      z: numberInput('Side slope (z, horizontal per 1 vertical)', ''),
+      dia: numberInput('Pipe diameter (D)', 'm'),
+      d: numberInput('Depth (d), solving for flow', 'm'),
+      q: numberInput('Flow (Q), solving for depth', 'm³/s'),
+      s: numberInput('Slope (S)', 'm/m'),
+      n: numberInput("Manning's n", ''),
+    },
+    units: { Q: 'm³/s', yn: 'm', yc: 'm', V: 'm/s', E: 'm', Emin: 'm', capacity: 'm³/s' },
+    run(p) {
+      const section = { shape: p.shape, b: p.b, z: p.z, D: p.dia };
+      if (!channelSectionValid(section) || [p.s, p.n].some(x => isNaN(x) || x <= 0)) {
+        return { error: 'section dimensions, slope and n must be positive' };
+      }
+      let Q;
+      let yn;
+      if (p.solve === 'flow') {
+        yn = p.d;
+        if (isNaN(yn) || yn <= 0 || (p.shape === 'circular' && yn > section.D)) return { error: 'depth must be positive and within the pipe' };
+        Q = manningFlow(section, yn, p.s, p.n);
+      } else {
+        Q = p.q;
+        if (isNaN(Q) || Q <= 0) return { error: 'flow must be positive' };
+        yn = normalDepth(section, Q, p.s, p.n);
+        if (isNaN(yn)) return { error: 'Q exceeds the pipe capacity of ' + maxPipeFlow(section, p.s, p.n).toFixed(3) + ' m³/s' };
+      }
+      const yc = criticalDepth(section, Q);
+      const flow = channelFlowState(section, yn, Q);
+      return {
+        results: { Q, yn, yc, V: flow.V, Fr: flow.Fr, regime: flowRegime(flow.Fr), E: flow.E },
+        intermediate: {
+          Emin: isNaN(yc) ? NaN : channelFlowState(section, yc, Q).E,
+          capacity: p.shape === 'circular' ? maxPipeFlow(section, p.s, p.n) : NaN,
+        },
+        warnings: isNaN(yc) ? ['no critical depth within the section'] : [],
+      };
+    },
+  },
+
+  pipe: {
+    title: 'Pressurised pipe flow',
+    inputs: {
+      method: choiceInput('Friction formula', ['colebrook', 'swamee', 'hazen']),
+      solve: choiceInput('Solve for', ['headloss', 'flow', 'diameter']),
+      L: numberInput('Length (L)', 'm'),
+      D: numberInput('Diameter (D)', 'mm'),
+      Q: numberInput('Flow (Q)', 'L/s'),
+      H: numberInput('Available head loss (h)', 'm'),
+      eps: numberInput('Roughness (ε)', 'mm', 0.05),
+      nu: numberInput('Kinematic viscosity (ν)', 'm²/s', 0.000001),
+      C: numberInput('Hazen–Williams C', '', 130),
+      K: numberInput('Sum of minor loss coefficients (ΣK)', '', 0),
+    },
+    units: { h: 'm', Q: 'L/s', D: 'mm', hf: 'm', hm: 'm', V: 'm/s', Sf: 'm/m' },
+    run(p) {
+      // Inputs in mm and L/s, calculations in m and m³/s
+      const pipe = { method: p.method, L: p.L, D: p.D / 1000, Q: p.Q / 1000, eps: p.eps / 1000, nu: p.nu, C: p.C, K: p.K };
+      const positive = ['L', p.method === 'hazen' ? 'C' : 'nu'];
+      if (p.solve !== 'diameter') positive.push('D');
+      if (p.solve !== 'flow') positive.push('Q');
+      const nonNegative = p.method === 'hazen' ? ['K'] : ['K', 'eps'];
+      const valid = positive.every(key => pipe[key] > 0) && nonNegative.every(key => pipe[key] >= 0) &&
+        (p.solve === 'headloss' || p.H > 0);
+      if (!valid) return { error: 'need positive ' + positive.join(', ') + (p.solve === 'headloss' ? '' : ', H') };
+      const result = solvePipe(p.solve, pipe, p.H);
+      if (!result) return { error: 'no ' + (p.solve === 'flow' ? 'flow' : 'diameter') + ' in the search range gives that head loss' };
+      return {
+        results: { h: result.h, Q: result.Q * 1000, D: result.D * 1000, hf: result.hf, hm: result.hm, V: result.V },
+        intermediate: p.method === 'hazen'
+          ? { Sf: result.hf / p.L }
+          : { f: result.f, Re: result.Re, regime: result.Re < 2000 ? 'laminar' : result.Re < 4000 ? 'transitional' : 'turbulent' },
+        warnings: [],
+      };
+    },
+  },
+
+  network: {
+    title: 'Pipe network',
+    inputs: {
+      method: choiceInput('Solver', ['gradient', 'hardy-cross']),
+      friction: choiceInput('Friction formula', ['hazen', 'swamee']),
+      nodes: tableInput('Nodes', {
+        id: textInput('ID'),
+        type: choiceInput('Type', ['junction', 'reservoir']),
+        x: numberInput('x', 'm'),
+        y: numberInput('y', 'm'),
+        level: numberInput('Elevation / water level', 'm'),
+        demand: numberInput('Demand', 'L/s'),
+      }),
+      pipes: tableInput('Pipes', {
+        id: textInput('ID'),
+        from: textInput('From node'),
+        to: textInput('To node'),
+        L: numberInput('Length', 'm'),
+        D: numberInput('Diameter', 'mm'),
+        C: numberInput('Hazen–Williams C', ''),
+        eps: numberInput('Roughness ε', 'mm'),
+      }),
+    },
+    units: { Q: 'L/s', V: 'm/s', hf: 'm', head: 'm', pressure: 'm', pressureKPa: 'kPa' },
+    run(p) {
+      const nodes = p.nodes
+        .filter(n => n.id.trim() !== '')
+        .map(n => ({ ...n, id: n.id.trim(), demand: (isNaN(n.demand) ? 0 : n.demand) / 1000 }));
+      const pipes = p.pipes
+        .filter(pipe => pipe.from.trim() !== '' && pipe.to.trim() !== '')
+        .map((pipe, i) => ({
+          id: pipe.id.trim() || 'P' + (i + 1),
+          from: pipe.from.trim(),
+          to: pipe.to.trim(),
+          L: pipe.L,
+          D: pipe.D / 1000,
+          roughness: p.friction === 'hazen' ? pipe.C : pipe.eps / 1000,
+        }));
+      if (!nodes.length || !pipes.length) return { error: 'need nodes and pipes' };
+      const result = solvePipeNetwork(p.method, p.friction, nodes, pipes);
+      if (result.error) return { error: result.error };
+      return {
+        results: {
+          pipes: pipes.map((pipe, i) => ({
+            id: pipe.id,
+            from: result.Q[i] >= 0 ? pipe.from : pipe.to,
+            to: result.Q[i] >= 0 ? pipe.to : pipe.from,
+            Q: Math.abs(result.Q[i]) * 1000,
+            V: result.V[i],
+            hf: Math.abs(result.h[i]),
+          })),
+          nodes: nodes.map(n => {
+            const pressure = n.type === 'reservoir' ? NaN : result.H[n.id] - (isNaN(n.level) ? 0 : n.level);
+            return { id: n.id, type: n.type, head: result.H[n.id], pressure, pressureKPa: pressure * 9.81 };
+          }),
+        },
+        intermediate: {
+          converged: result.converged,
+          iterations: result.iterations,
+          // Drawing positions of the nodes given coordinates
+          positions: Object.fromEntries(nodes.filter(n => !isNaN(n.x) && !isNaN(n.y)).map(n => [n.id, { x: n.x, y: n.y }])),
+        },
+        warnings: result.converged ? [] : ['not converged after ' + result.iterations + ' iterations'],
+      };
+    },
+  },
+
+  pond: {
+    title: 'Design storm hydrograph and detention pond routing',
+    inputs: {
+      uh: choiceInput('Unit hydrograph', ['scs', 'triangular']),
+      A: numberInput('Catchment area (A)', 'km²'),
+      CN: numberInput('Curve number (CN)', ''),
+      tc: numberInput('Time of concentration (tc)', 'h'),
+      dt: numberInput('Time step (Δt)', 'min'),
+      rain: textInput('Rainfall per time step in mm, e.g. "2, 5, 18, 7, 3"'),
+      storage: tableInput('Stage–storage', { stage: numberInput('Stage', 'm'), storage: numberInput('Storage', 'm³') }),
+      orificeD: numberInput('Orifice diameter', 'mm'),
+      orificeZ: numberInput('Orifice invert elevation', 'm'),
+      Cd: numberInput('Orifice coefficient (Cd)', '', 0.6),
+      weirZ: numberInput('Weir crest elevation', 'm'),
+      weirL: numberInput('Weir length', 'm'),
+      Cw: numberInput('Weir coefficient (Cw)', 'm^½/s', 1.7),
+      top: numberInput('Embankment crest elevation', 'm'),
+    },
+    units: {
+      runoff: 'mm', rainfall: 'mm', volume: 'm³', tp: 'h', peakInflow: 'm³/s', tPeakInflow: 'min', peakOutflow: 'm³/s',
+      tPeakOutflow: 'min', attenuation: '%', maxStage: 'm', maxStorage: 'm³', freeboard: 'm',
+    },
+    run(p) {
+      const rain = parseHyetograph(p.rain);
+      if ([p.A, p.tc, p.dt].some(x => isNaN(x) || x <= 0) || isNaN(p.CN) || p.CN < 30 || p.CN > 100 ||
+        !rain.length || rain.some(x => isNaN(x) || x < 0)) {
+        return { error: 'need positive A, tc and Δt, 30 ≤ CN ≤ 100 and non-negative rainfall depths' };
+      }
+      const uh = unitHydrograph(p.uh, p.A, p.tc, p.dt / 60);
+      const storm = stormHydrograph(rain, p.CN, uh);
+      const peakIn = Math.max(...storm.flows);
+      const results = {
+        runoff: storm.runoff,
+        rainfall: rain.reduce((a, b) => a + b, 0),
+        volume: storm.runoff * p.A * 1000,
+        tp: uh.tp,
+        peakInflow: peakIn,
+        tPeakInflow: (storm.flows.indexOf(peakIn) + 1) * p.dt,
+      };
+      const intermediate = { inflow: storm.flows };
+      const warnings = [];
+      // Pond needs a rising stage–storage table and at least one outlet
+      const table = p.storage
+        .filter(r => !isNaN(r.stage) && !isNaN(r.storage))
+        .sort((a, b) => a.stage - b.stage);
+      const outlets = { orificeD: p.orificeD / 1000, orificeZ: p.orificeZ, Cd: p.Cd, weirZ: p.weirZ, weirL: p.weirL, Cw: p.Cw };
+      const hasOrifice = outlets.orificeD > 0 && !isNaN(outlets.orificeZ) && outlets.Cd > 0;
+      const hasWeir = outlets.weirL > 0 && !isNaN(outlets.weirZ) && outlets.Cw > 0;
+      if (!hasOrifice) outlets.orificeD = 0;
+      if (!hasWeir) outlets.weirL = 0;
+      const rising = table.every((r, i) => i === 0 || (r.stage > table[i - 1].stage && r.storage > table[i - 1].storage));
+      if (peakIn <= 0 || table.length < 2 || !rising || (!hasOrifice && !hasWeir)) {
+        if (peakIn > 0 && (table.length || hasOrifice || hasWeir)) {
+          warnings.push('pond needs a rising stage–storage table and an orifice or weir outlet');
+        }
+        return { results, intermediate, warnings };
+      }
+      const routed = modifiedPuls(storm.flows, p.dt * 60, table, outlets);
+      const peakOut = Math.max(...routed.outflow);
+      results.peakOutflow = peakOut;
+      results.tPeakOutflow = routed.outflow.indexOf(peakOut) * p.dt;
+      results.attenuation = (1 - peakOut / peakIn) * 100;
+      results.maxStage = Math.max(...routed.stage);
+      results.maxStorage = Math.max(...routed.storage);
+      if (!isNaN(p.top)) {
+        results.freeboard = p.top - results.maxStage;
+        if (results.freeboard <= 0) warnings.push('overtops the crest by ' + (-results.freeboard).toFixed(2) + ' m');
+      }
+      if (routed.beyondTable) warnings.push('stage rose above the stage–storage table; results are extrapolated');
+      Object.assign(intermediate, { outflow: routed.outflow, stage: routed.stage });
+      return { results, intermediate, warnings };
+    },
+  },
+
+  evm: {
+    title: 'Earned value management',
+    inputs: {
+      BAC: numberInput('Budget at completion (BAC)', '$'),
+      start: textInput('Project start date (YYYY-MM-DD)'),
+      period: numberInput('Period length', 'days', 30),
+      log: tableInput('Cumulative period log', {
+        PV: numberInput('PV', '$'),
+        EV: numberInput('EV', '$'),
+        AC: numberInput('AC', '$'),
+      }),
+    },
+    units: {
+      AT: 'periods', PV: '$', EV: '$', AC: '$', SV: '$', CV: '$', EAC: '$', ETC: '$', VAC: '$', ES: 'periods',
+      forecastDuration: 'periods', plannedDuration: 'periods',
+    },
+    run(p) {
+      const status = p.BAC > 0 ? earnedValueStatus(p.log, p.BAC) : null;
+      if (!status) return { error: 'need BAC and a period with positive PV, EV and AC' };
+      const start = p.start ? new Date(p.start) : null;
+      const dateAt = periods => {
+        if (!start || isNaN(start) || isNaN(p.period) || p.period <= 0 || periods === null) return null;
+        return new Date(start.getTime() + periods * p.period * 86400000).toISOString().slice(0, 10);
+      };
+      const warnings = [];
+      if (status.SPI < 1) warnings.push('behind schedule (SPI < 1)');
+      if (status.CPI < 1) warnings.push('over budget (CPI < 1)');
+      if (!isFinite(status.TCPI)) warnings.push('budget already spent');
+      return {
+        results: {
+          AT: status.AT,
+          SV: status.SV,
+          CV: status.CV,
+          SPI: status.SPI,
+          CPI: status.CPI,
+          EAC: status.eac[0].EAC,
+          ETC: status.eac[0].ETC,
+          VAC: status.eac[0].VAC,
+          TCPI: status.TCPI,
+          ES: status.ES,
+          SPIt: status.SPIt,
+          forecastDuration: status.IEACt,
+          forecastFinish: dateAt(status.IEACt),
+        },
+        intermediate: {
+          PV: status.PV,
+          EV: status.EV,
+          AC: status.AC,
+          plannedDuration: status.PD,
+          plannedFinish: dateAt(status.PD),
+          eac: status.eac,
+        },
+        warnings,
+      };
+    },
+  },
+
+  cpm: {
+    title: 'CPM / PERT scheduling',
+    inputs: {
+      mode: choiceInput('Durations', ['cpm', 'pert']),
+      activities: tableInput('Activities', {
+        id: textInput('ID'),
+        m: numberInput('Duration / most likely', 'days'),
+        a: numberInput('Optimistic (PERT)', 'days'),
+        b: numberInput('Pessimistic (PERT)', 'days'),
+        pred: textInput('Predecessors, e.g. "A, B SS+2"'),
+      }),
+      target: numberInput('Target duration', 'days'),
+    },
+    units: { duration: 'days', sigma: 'days', probability: '%' },
+    run(p) {
+      const pert = p.mode === 'pert';
+      const rows = p.activities.filter(r => r.id.trim() !== '');
+      if (!rows.length) return { error: 'need at least one activity' };
+      const activities = [];
+      for (const r of rows) {
+        const id = r.id.trim();
+        if (isNaN(r.m) || r.m < 0 || (pert && (isNaN(r.a) || isNaN(r.b) || r.a > r.m || r.m > r.b))) {
+          return { error: 'activity ' + id + ' needs ' + (pert ? 'optimistic ≤ most likely ≤ pessimistic durations' : 'a duration') };
+        }
+        const links = parsePredecessors(r.pred);
+        if (links.error) return { error: 'activity ' + id + ': ' + links.error };
+        activities.push({ id, ...(pert ? pertEstimate(r.a, r.m, r.b) : { duration: r.m, variance: 0 }), links });
+      }
+      const schedule = cpmSchedule(activities);
+      if (schedule.error) return { error: schedule.error };
+      const results = { duration: schedule.finish, criticalPath: schedule.criticalPath };
+      const warnings = [];
+      if (pert) {
+        results.sigma = Math.sqrt(schedule.pathVariance);
+        if (!isNaN(p.target)) results.probability = 100 * completionProbability(p.target, schedule.finish, results.sigma);
+      } else if (p.target < schedule.finish) {
+        warnings.push('duration exceeds the target by ' + (schedule.finish - p.target).toFixed(2) + ' days');
+      }
+      return {
+        results,
+        intermediate: {
+          finish: schedule.finish,
+          order: schedule.order,
+          activities: schedule.activities.map(a => ({
+            id: a.id, duration: a.duration, links: a.links, ES: a.ES, EF: a.EF, LS: a.LS, LF: a.LF, TF: a.TF, FF: a.FF,
+            critical: a.critical,
+          })),
+        },
+        warnings,
+      };
+    },
+  },
+};
+
+// The page shares these as globals; Node (the civilcalc CLI, scripts, tests) requires the module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CALCULATORS, runCalculator, compositeSubAreas, interpolateIDF, timeOfConcentration, scsRunoff,
+    rationalPeakFlow, scsTriangularPeak, computeEarthwork, segmentVolume, findFreeHaulChord, checkNote,
+    earthPressureCoefficients, retainingWall, footingStressIncrease, degreeOfConsolidation,
+    consolidationAnalysis, formatYears, infiniteSlopeFS, polylineY, slopeSlices, sliceFactorsOfSafety,
+    searchSlipCircles, bearingCapacity, mohrCoulombStrength, fitStrengthEnvelope, principalStresses,
+    failurePlane, SECTION_CATALOGUE, catalogueSectionProperties, sectionProperties, beamSupports, analyzeBeam,
+    eulerBucklingLoad, EC3_ALPHA, columnCriticalStress, stressBlockBeta1, tSectionBlock, rcSectionAnalysis,
+    designRCMember, signalTiming, signalLOS, stoppingSightDistance, minimumCurveRadius, sightlineOffset,
+    verticalCurveMinLength, verticalCurveProfile, horizontalCurveLayout, formatStation, trafficStreamModel,
+    parseObservations, fitTrafficModel, formatConcentration, PG_STABILITY, briggsPlumeRise, gaussianPlume,
+    fitBOD, bodExerted, clarifierLoading, activatedSludge, temperatureCorrectedRate, complianceNote,
+    saturationDO, streeterPhelps, riverReachProfile, SCS_DIMENSIONLESS_UH, interpolateTable, unitHydrograph,
+    parseHyetograph, stormHydrograph, pondOutflow, modifiedPuls, frictionFactor, pipeHeadLoss, solvePipe,
+    solvePipeNetwork, gradientMethod, hardyCross, channelSectionValid, channelGeometry, manningFlow,
+    maxPipeDepth, maxPipeFlow, normalDepth, criticalDepth, channelFlowState, flowRegime, parsePredecessors,
+    pertEstimate, cpmSchedule, completionProbability, normalCdf, earnedValueStatus, earnedSchedule,
+    linearRegression, bisect, solveLinearSystem,
+  };
+}
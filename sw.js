@@ -3,12 +3,13 @@
  * Implements a simple cache-first strategy to support offline use.
  */
 
-const CACHE_NAME = 'civil-calculator-v1';
+const CACHE_NAME = 'civil-calculator-v2';
 // Files to pre-cache
 const PRECACHE = [
   '/',
   '/index.html',
   '/style.css',
+  '/engine.js',
   '/app.js',
   '/manifest.json',
   '/icon.png'
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'civilcalc.js');
+
+// Runs the CLI with optional stdin; returns { status, stdout, stderr }
+function civilcalc(args, input) {
+  return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+}
+
+const MANNING = ['manning', '--b', '3', '--d', '1.2', '--s', '0.001', '--n', '0.013'];
+
+test('list prints every calculator', () => {
+  const out = civilcalc(['list']);
+  assert.strictEqual(out.status, 0);
+  assert.match(out.stdout, /^manning\s+Manning's equation/m);
+});
+
+test('--help lists the inputs with units and defaults', () => {
+  const out = civilcalc(['clarifier', '--help']);
+  assert.strictEqual(out.status, 0);
+  assert.match(out.stdout, /--Q\s+Average flow \(Q\) \[m³\/d\]/);
+  assert.match(out.stdout, /--n\s+Number of tanks \(default 2\)/);
+});
+
+test('a calculation prints its results with units', () => {
+  const out = civilcalc(MANNING);
+  assert.strictEqual(out.status, 0);
+  assert.match(out.stdout, /Q = 6\.6829 m³\/s/);
+});
+
+test('--json prints the input and results, with blanks as null', () => {
+  const out = civilcalc(MANNING.concat('--json'));
+  assert.strictEqual(out.status, 0);
+  const result = JSON.parse(out.stdout);
+  assert.strictEqual(result.calculator, 'manning');
+  assert.strictEqual(result.input.z, null);
+  assert.ok(Math.abs(result.results.Q - 6.6829) < 1e-4);
+});
+
+test('flags match input keys case-insensitively and override --input', () => {
+  const input = JSON.stringify({ b: 3, d: 1.2, s: 0.001, n: 0.02 });
+  const out = civilcalc(['manning', '--input', '-', '--N', '0.013', '--json'], input);
+  assert.strictEqual(out.status, 0);
+  assert.strictEqual(JSON.parse(out.stdout).input.n, 0.013);
+});
+
+test('table inputs are read as JSON rows', () => {
+  const activities = JSON.stringify([{ id: 'A', m: 3 }, { id: 'B', m: 2, pred: 'A' }]);
+  const out = civilcalc(['cpm', '--activities', activities, '--json']);
+  assert.strictEqual(out.status, 0);
+  assert.deepStrictEqual(JSON.parse(out.stdout).results.criticalPath, ['A', 'B']);
+});
+
+test('inputs that cannot be calculated exit with status 1', () => {
+  const out = civilcalc(['manning', '--b', '3', '--d', '1', '--s', '0.001', '--n', '-1']);
+  assert.strictEqual(out.status, 1);
+  assert.match(out.stderr, /^civilcalc: section dimensions, slope and n must be positive/);
+});
+
+test('usage errors exit with status 2', () => {
+  [
+    [[]],
+    [['nope']],
+    [['manning', '--b']],
+    [['manning', '--input', '-'], '[1]'],
+    [['manning', '--input', '-'], '{'],
+    [['batch']],
+    [['batch', '-'], '{}'],
+  ].forEach(([args, input]) => {
+    assert.strictEqual(civilcalc(args, input).status, 2, args.join(' '));
+  });
+});
+
+test('batch runs every entry and exits with 1 when one fails', () => {
+  const cases = [
+    { calculator: 'manning', input: { b: 3, d: 1.2, s: 0.001, n: 0.013 } },
+    { calculator: 'manning', input: { n: -1 } },
+  ];
+  const out = civilcalc(['batch', '-'], JSON.stringify(cases));
+  assert.strictEqual(out.status, 1);
+  const results = JSON.parse(out.stdout);
+  assert.strictEqual(results.length, 2);
+  assert.ok(results[0].results.Q > 0);
+  assert.match(results[1].error, /must be positive/);
+  assert.strictEqual(civilcalc(['batch', '-'], JSON.stringify(cases.slice(0, 1))).status, 0);
+});
+
+test('batch entries that are not { calculator, input } objects are usage errors', () => {
+  [[null], [{ input: {} }], [{ calculator: 'manning', input: [] }]].forEach(cases => {
+    const out = civilcalc(['batch', '-'], JSON.stringify(cases));
+    assert.strictEqual(out.status, 2, JSON.stringify(cases));
+    assert.match(out.stderr, /batch entry 1 must be a \{ calculator, input \} object/);
+  });
+});
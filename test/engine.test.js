@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CALCULATORS, runCalculator, formatStation, solveLinearSystem } = require('../engine.js');
+
+test('every calculator describes its inputs and reports missing ones as an error', () => {
+  Object.keys(CALCULATORS).forEach(name => {
+    const calculator = CALCULATORS[name];
+    assert.strictEqual(typeof calculator.title, 'string', name);
+    assert.strictEqual(typeof calculator.run, 'function', name);
+    Object.keys(calculator.inputs).forEach(key => {
+      assert.ok(['number', 'choice', 'text', 'table'].includes(calculator.inputs[key].type), name + '.' + key);
+    });
+    assert.strictEqual(typeof runCalculator(name, {}).error, 'string', name);
+  });
+});
+
+test('runCalculator fills in defaults and returns the completed input', () => {
+  const out = runCalculator('clarifier', { Q: 10000, D: 20, depth: 3.5 });
+  assert.strictEqual(out.input.n, 2);
+  assert.strictEqual(out.input.shape, 'circular');
+  assert.ok(out.results.sor > 0);
+});
+
+test('runCalculator rejects unknown calculators and malformed inputs', () => {
+  assert.match(runCalculator('nope', {}).error, /unknown calculator "nope"/);
+  assert.match(runCalculator('manning', { foo: 1 }).error, /unknown input foo/);
+  assert.match(runCalculator('manning', { shape: 'oval' }).error, /shape must be one of/);
+  assert.match(runCalculator('cpm', { activities: 'A' }).error, /activities must be an array/);
+});
+
+test('manning flow matches Q = A R^(2/3) S^(1/2) / n', () => {
+  const out = runCalculator('manning', { b: 3, d: 1.2, s: 0.001, n: 0.013 });
+  const A = 3 * 1.2;
+  const R = A / (3 + 2 * 1.2);
+  assert.ok(Math.abs(out.results.Q - (A * Math.pow(R, 2 / 3) * Math.sqrt(0.001)) / 0.013) < 1e-9);
+  assert.strictEqual(out.results.regime, 'subcritical');
+});
+
+test('cpm finds the duration and critical path', () => {
+  const out = runCalculator('cpm', {
+    activities: [
+      { id: 'A', m: 3 },
+      { id: 'B', m: 2, pred: 'A' },
+      { id: 'C', m: 4, pred: 'A' },
+      { id: 'D', m: 1, pred: 'B, C' },
+    ],
+  });
+  assert.strictEqual(out.results.duration, 8);
+  assert.deepStrictEqual(out.results.criticalPath, ['A', 'C', 'D']);
+});
+
+test('formatStation writes km and 100-ft stations', () => {
+  assert.strictEqual(formatStation(1234.5), '1+234.50');
+  assert.strictEqual(formatStation(-5), '-0+005.00');
+  assert.strictEqual(formatStation(999.996), '1+000.00');
+  assert.strictEqual(formatStation(4050.3, 100), '40+50.30');
+});
+
+test('solveLinearSystem solves regular systems and returns null for singular ones', () => {
+  const x = solveLinearSystem([[2, 1], [1, 3]], [3, 5]);
+  assert.ok(Math.abs(x[0] - 0.8) < 1e-12 && Math.abs(x[1] - 1.4) < 1e-12);
+  assert.strictEqual(solveLinearSystem([[1, 2], [2, 4]], [1, 2]), null);
+});